@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// Command-line runner for batch studies and regression checks: simulates an
+// hourly weather file against a JSON system config and prints the monthly and
+// yearly results as JSON (m³, as returned by the engine) or CSV (liters/m³).
+//
+// The weather file may be any format the dashboard imports. The config holds
+// runSimulation parameters; headM, storageLiters and dailyDemandLiters are
+// required, everything else takes the engine defaults, and `pump` may name a
+// preset instead of giving `pumpCurves`; `source` describes a borehole.
+// Field calibration from the dashboard goes in `pumpDerate` and `pv.derate`;
+// `pumpFit` picks the curve fit (linear, spline or poly).
+// A `community` block (groups, growthPct, baseYear, designYear, basis) stands
+// in for dailyDemandLiters with the demand of its basis year. A `mount` block
+// (mode fixed or tracker, tilt, azimuth, ...) transposes the irradiance to
+// that mounting first; the file must hold irradiance it can be split from.
+// A `lifetime` block (pvDegradationPct, pumpWearPct, targetPct, years,
+// lifeYears) adds a year-by-year run over the project life, cycling through
+// the full years of the series with the array and pump ageing.
+//
+// As in the dashboard, the series is shifted to local time: --utc-offset,
+// else the config's `utcOffset`, else solar time from the file's longitude.
+
+import { readFileSync } from "node:fs";
+import { basename } from "node:path";
+import {
+  PUMP_PRESETS, DEFAULT_MOUNT, mountSupport, mountWeather, DEFAULT_DEMAND, DEFAULT_COMMUNITY, communityDemand, communityBasisYear, DEFAULT_PIPE, DEFAULT_PV, DEFAULT_CONTROLLER, DEFAULT_SOURCE, DEFAULT_TIME_SHIFT,
+  DEFAULT_FINANCE, DEFAULT_LIFETIME, runLifetime, listYears,
+  importWeather, resolveUtcOffset, localiseWeather, runSimulation, runYearly, sourceWarnings, validatePumpCurves, toCSV, MONTHLY_CSV
+} from "./solar_pump_engine.mjs";
+
+const USAGE = `usage: node solar_pump_cli.mjs <weather file> <config.json> [options]
+
+options:
+  --format json|csv   output format (default json)
+  --year YYYY         simulate one calendar year of the series
+  --utc-offset H      local time offset in hours (default from config or longitude)`;
+
+const REQUIRED = ["headM", "storageLiters"];
+
+const YEARLY_CSV = [
+  { label: "year", get: r => r.year }, { label: "days", get: r => r.days }, { label: "partial", get: r => r.partial ? 1 : 0 },
+  { label: "pumped_m3", get: r => +r.pumped.toFixed(3) }, { label: "delivered_m3", get: r => +r.delivered.toFixed(3) },
+  { label: "deficit_m3", get: r => +r.deficit.toFixed(3) }, { label: "reliability_pct", get: r => +r.reliability.toFixed(2) },
+  { label: "days_not_served", get: r => r.daysNotServed }
+];
+
+const LIFETIME_CSV = [
+  { label: "year", get: r => r.year }, { label: "weather_year", get: r => r.weatherYear ?? "" },
+  { label: "pv_factor", get: r => +r.pvFactor.toFixed(4) }, { label: "pump_factor", get: r => +r.pumpFactor.toFixed(4) },
+  { label: "demand_L_per_day", get: r => Math.round(r.dailyDemandLiters) }, { label: "delivered_m3", get: r => +r.delivered.toFixed(3) },
+  { label: "reliability_pct", get: r => +r.reliability.toFixed(2) }, { label: "days_not_served", get: r => r.daysNotServed },
+  { label: "replaced", get: r => r.replaced.join(" ") }
+];
+
+const SUMMARY_FIELDS = [
+  "days", "yearlyPumped", "yearlyDemand", "yearlyDeficit", "yearlyOverflow", "reliability", "daysNotServed",
+  "daysFull", "daysEmpty", "pumpHours", "starts", "stops", "pumpKWh", "curtailedKWh", "avgHead", "startStorage", "endStorage",
+  "lolp", "lolpByHour", "longestDeficitRun", "autonomyDays", "p50DailyPumped", "p90DailyPumped"
+];
+
+function parseArgs(argv) {
+  const args = { files: [], format: "json", year: null, utcOffset: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--format") args.format = argv[++i];
+    else if (a === "--year") args.year = Number(argv[++i]);
+    else if (a === "--utc-offset") args.utcOffset = Number(argv[++i]);
+    else if (a === "-h" || a === "--help") args.help = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else args.files.push(a);
+  }
+  if (!["json", "csv"].includes(args.format)) throw new Error(`--format must be json or csv, not "${args.format}"`);
+  if (Number.isNaN(args.year) || Number.isNaN(args.utcOffset)) throw new Error("--year and --utc-offset take a number");
+  return args;
+}
+
+// Community demand in its basis year; groups left out count as zero, but a
+// block that adds up to no demand at all is an error, not a 100% result
+function buildCommunity(config) {
+  if (!config.community) return null;
+  const community = { ...DEFAULT_COMMUNITY, ...config.community, groups: config.community.groups ?? {} };
+  const demand = communityDemand(community, communityBasisYear(community));
+  if (!(demand.total > 0)) throw new Error(`Community demand is 0 L/d in ${demand.year}: give its groups (count, litersEach) or leave the block out`);
+  return demand;
+}
+
+// Project-life run; demand follows the community's growth from its base year
+function buildLifetime(config, run, hours) {
+  if (!config.lifetime) return null;
+  const { years = DEFAULT_FINANCE.projectLifeYears, lifeYears, ...ageing } = config.lifetime;
+  const lifetime = { ...DEFAULT_LIFETIME, ...ageing };
+  const full = listYears(hours).filter(y => !y.partial).map(y => hours.filter(r => r.year === y.year));
+  const community = config.community && { ...DEFAULT_COMMUNITY, ...config.community, groups: config.community.groups ?? {} };
+  const plan = {
+    years, lifeYears: { ...DEFAULT_FINANCE.lifeYears, ...lifeYears },
+    weatherYears: full.length ? full : [hours],
+    demandLiters: community && Array.from({ length: years }, (_, i) => communityDemand(community, community.baseYear + i).total)
+  };
+  return { ...runLifetime(run, plan, lifetime), target: lifetime.targetPct };
+}
+
+function buildParams(config, weather, community) {
+  const missing = [...REQUIRED, ...(community ? [] : ["dailyDemandLiters"])].filter(k => typeof config[k] !== "number");
+  if (missing.length) throw new Error(`Config is missing ${missing.join(", ")}`);
+  if (!(config.headM > 0)) throw new Error("Config headM must be a positive number of metres");
+  if (!(config.storageLiters >= 0)) throw new Error("Config storageLiters must be zero or more");
+  const pumpCurves = config.pumpCurves ?? PUMP_PRESETS[config.pump]?.curves;
+  if (!pumpCurves) throw new Error(`Config needs pumpCurves or a pump preset (${Object.keys(PUMP_PRESETS).join(", ")})`);
+  return {
+    headM: config.headM, storageLiters: config.storageLiters, dailyDemandLiters: community?.total ?? config.dailyDemandLiters,
+    demand: { ...DEFAULT_DEMAND, ...config.demand }, pumpCurves,
+    pipe: { ...DEFAULT_PIPE, ...config.pipe }, pv: { ...DEFAULT_PV, ...config.pv },
+    controller: { ...DEFAULT_CONTROLLER, ...config.controller }, pumpDerate: config.pumpDerate ?? 1,
+    pumpFit: config.pumpFit ?? "linear", source: { ...DEFAULT_SOURCE, ...config.source },
+    solarSource: { kind: weather.kind, fileKWp: weather.meta.kWp },
+    initialFillPct: config.initialFillPct ?? 0, warmUp: !!config.warmUp
+  };
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || args.files.length !== 2) {
+    if (args.help) console.log(USAGE); else console.error(USAGE);
+    return args.help ? 0 : 1;
+  }
+  const [weatherPath, configPath] = args.files;
+  const weather = importWeather(readFileSync(weatherPath, "utf8"), basename(weatherPath));
+  const config = JSON.parse(readFileSync(configPath, "utf8"));
+  const community = buildCommunity(config);
+  const params = buildParams(config, weather, community);
+
+  const loaded = { ...weather, sourceOffset: weather.meta.utcOffset ?? 0 };
+  const mount = config.mount && { ...DEFAULT_MOUNT, ...config.mount };
+  const support = mountSupport(loaded);
+  if (mount && mount.mode !== "file" && support.reason) throw new Error(`Cannot apply mount: ${support.reason}`);
+
+  const utcOffset = args.utcOffset ?? config.utcOffset ?? resolveUtcOffset(DEFAULT_TIME_SHIFT, weather.meta.lon);
+  const local = localiseWeather(mountWeather(loaded, mount), utcOffset);
+  const hours = args.year != null ? local.hours.filter(r => r.year === args.year) : local.hours;
+  if (hours.length === 0) throw new Error(`No data for ${args.year} in ${basename(weatherPath)}`);
+
+  const run = { ...params, profiles: local.profiles, tempProfiles: local.tempProfiles };
+  const sim = runSimulation({ ...run, hours });
+  const yearly = runYearly(run, hours);
+  const lifetime = buildLifetime(config, run, hours);
+  const warnings = [
+    ...sourceWarnings(sim, params.source),
+    ...validatePumpCurves(params.pumpCurves).filter(i => i.level === "error")
+      .map(i => `pump curve${i.curve == null ? "" : ` ${params.pumpCurves[i.curve].head} m`}: ${i.message}`)
+  ];
+
+  if (args.format === "csv") {
+    console.log(`${toCSV(sim.monthly, MONTHLY_CSV)}\n\n${toCSV(yearly.rows, YEARLY_CSV)}${lifetime ? `\n\n${toCSV(lifetime.rows, LIFETIME_CSV)}` : ""}`);
+    for (const w of warnings) console.error(`warning: ${w}`);
+  } else {
+    console.log(JSON.stringify({
+      weather: {
+        file: basename(weatherPath), format: weather.format, rows: weather.rowCount, utcOffset, shiftHours: local.shift,
+        mount: mount && mount.mode !== "file" ? { ...mount, from: support.basis } : null
+      },
+      summary: Object.fromEntries(SUMMARY_FIELDS.map(k => [k, sim[k]])),
+      community: community && { year: community.year, dailyLiters: community.total, groups: community.rows.map(r => ({ id: r.id, count: r.count, liters: r.liters })) },
+      source: sim.source, warnings,
+      monthly: sim.monthly,
+      yearly: { rows: yearly.rows, worstYear: yearly.worstYear, p50: yearly.p50, p90: yearly.p90 },
+      lifetime: lifetime && { target: lifetime.target, firstBelowYear: lifetime.firstBelowYear, worstYear: lifetime.worst.year, delivered: lifetime.delivered, rows: lifetime.rows }
+    }, null, 2));
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`error: ${err.message}`);
+  process.exitCode = 1;
+}
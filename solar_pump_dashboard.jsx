@@ -1,282 +1,234 @@
-import { useState, useMemo, useCallback, useRef } from "react";
+import { useState, useMemo, useCallback, useRef, useEffect } from "react";
 import {
-  LineChart, Line, BarChart, Bar, AreaChart, Area,
+  LineChart, Line, BarChart, Bar, AreaChart, Area, ComposedChart,
   XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
-  Legend, ReferenceLine
+  Legend, ReferenceLine, ReferenceDot, ErrorBar
 } from "recharts";
+import {
+  MONTH_NAMES, DEFAULT_PROFILES, DEFAULT_WEATHER_META, DEMAND_SHAPES, DEFAULT_DEMAND, normaliseShape, DEMAND_CATEGORIES, DEFAULT_COMMUNITY,
+  communityDemand, communityBasisYear, PUMP_PRESETS, clonePumpCurves, newPumpId, normalisePumpEntry, uniquePumpName,
+  parsePumpLibrary, exportPumpLibrary, PUMP_LIBRARY_CSV, pumpLibraryRows,
+  PIPE_MATERIALS, DEFAULT_PIPE, WEATHER_IMPORTERS, importWeather, MOUNT_MODES, HORIZON_POINTS, DEFAULT_MOUNT, mountSupport,
+  mountWeather, annualInsolation, PUMP_FITS, buildPumpMap, pumpMaxPower, validatePumpCurves, DEFAULT_PV,
+  DEFAULT_SOLAR_SOURCE, pvPowerAtController, DEFAULT_CONTROLLER, DEFAULT_SOURCE, seasonalLevel, sourceWarnings, listYears, DEFAULT_TIME_SHIFT, utcMillis,
+  formatUtcOffset, resolveUtcOffset, localiseWeather, runSimulation, runYearly, DAY_CLASSES, fitWeatherModel,
+  simulateWeatherYears, summariseMonteCarlo, DEFAULT_COSTS, estimateCapex, sizingGrid, sizeDesigns, paretoDesigns, DEFAULT_FINANCE,
+  computeEconomics, DEFAULT_LIFETIME, runLifetime, parseMeasuredCSV, simulateMeasuredPeriod, compareMeasured, fitDerating, HOURLY_CSV, DAILY_CSV, MONTHLY_CSV, toCSV, buildPumpCurveViz, SYSTEM_CURVE_LOADS,
+  buildSystemCurveViz, buildDurationCurves
+} from "./solar_pump_engine.mjs";
 
 // ─── DEFAULT CONSTANTS ────────────────────────────────────────────
 const DEFAULT_SITE = { lat: 1.406, lon: 34.480, elev: 1886, name: "Kapchorwa, Uganda" };
-const MONTH_NAMES = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-const DAYS_IN_MONTH = [31,28,31,30,31,30,31,31,30,31,30,31];
-const LITERS_PER_PERSON = 15;
-
-// Default: average hourly G(i) irradiance (W/m²) per month
-// Source: PVGIS-SARAH3, Kapchorwa Uganda (1.406°N, 34.480°E, 1886m), 3° slope, 0° azimuth, 2023
-const DEFAULT_PROFILES = {
-  1:[0,0,0,0,16.1,260.6,519.9,747.5,916.1,1021.1,988.0,870.6,705.9,545.0,332.6,117.5,0,0,0,0,0,0,0,0],
-  2:[0,0,0,0,7.4,233.9,507.2,725.4,933.0,1037.9,1050.3,894.6,712.4,516.2,343.6,121.1,0,0,0,0,0,0,0,0],
-  3:[0,0,0,0,15.9,203.5,442.3,610.8,788.2,862.7,890.8,774.6,653.0,452.7,234.8,88.7,0,0,0,0,0,0,0,0],
-  4:[0,0,0,0,41.8,236.9,444.0,638.9,791.5,856.2,860.2,801.1,595.5,389.6,237.5,66.5,0,0,0,0,0,0,0,0],
-  5:[0,0,0,0,60.4,273.0,495.2,666.5,821.0,909.4,903.9,789.4,596.9,394.7,185.7,49.2,0,0,0,0,0,0,0,0],
-  6:[0,0,0,0,33.0,209.8,429.6,588.7,747.2,760.1,775.3,708.8,615.5,407.8,183.2,55.8,0,0,0,0,0,0,0,0],
-  7:[0,0,0,0,22.2,207.5,426.2,612.7,769.2,785.5,773.2,684.0,616.0,449.3,253.6,72.5,0,0,0,0,0,0,0,0],
-  8:[0,0,0,0,34.0,247.3,467.4,699.7,861.0,918.3,820.3,751.0,623.0,403.8,248.6,77.7,0,0,0,0,0,0,0,0],
-  9:[0,0,0,0,50.4,257.6,513.2,727.6,863.8,935.9,908.0,847.8,639.3,405.3,191.3,48.8,0,0,0,0,0,0,0,0],
-  10:[0,0,0,0,72.1,275.5,490.1,699.7,816.5,857.7,879.4,702.7,466.3,317.5,174.5,24.0,0,0,0,0,0,0,0,0],
-  11:[0,0,0,0,62.8,290.4,515.3,697.9,824.8,872.9,784.2,748.1,574.3,376.6,193.9,24.6,0,0,0,0,0,0,0,0],
-  12:[0,0,0,0,34.2,279.2,502.4,708.4,843.5,915.3,895.2,821.1,627.1,449.7,231.7,50.3,0,0,0,0,0,0,0,0]
-};
-
-// Pump presets
-const PUMP_PRESETS = {
-  "SQF-2 (1kW)": {
-    refHead: 150,
-    segments: [
-      { flow: 2.79, power: 660 },
-      { flow: 2.52, power: 590 },
-      { flow: 2.15, power: 500 },
-      { flow: 1.84, power: 430 },
-      { flow: 1.49, power: 350 },
-      { flow: 0.94, power: 240 },
-      { flow: 0.53, power: 160 },
-      { flow: 0.30, power: 100 },
-    ]
-  },
-  "SQF-10 (2kW)": {
-    refHead: 150,
-    segments: [
-      { flow: 5.50, power: 1800 },
-      { flow: 5.00, power: 1500 },
-      { flow: 4.20, power: 1200 },
-      { flow: 3.40, power: 900 },
-      { flow: 2.50, power: 700 },
-      { flow: 1.60, power: 500 },
-      { flow: 0.80, power: 300 },
-      { flow: 0.30, power: 150 },
-    ]
-  },
-  "Custom": {
-    refHead: 150,
-    segments: [
-      { flow: 2.0, power: 500 },
-      { flow: 1.0, power: 250 },
-      { flow: 0.3, power: 100 },
-    ]
-  }
+// Community plans start from this year's survey and look 15 years ahead
+const THIS_YEAR = new Date().getFullYear();
+const INITIAL_COMMUNITY = { ...DEFAULT_COMMUNITY, baseYear: THIS_YEAR, designYear: THIS_YEAR + 15 };
+
+// ─── WORKER RUNNER ────────────────────────────────────────────────
+// Monte Carlo years and the sizing search run in batches in a module Web
+// Worker (solar_pump_worker.mjs) so the UI stays responsive. If a worker
+// cannot be created or fails to start, the same batches run on the main
+// thread between frames.
+
+const MC_BATCH = 10;
+const SIZING_BATCH = 2; // pump × array pairs, each a bisection over the tank sizes
+
+// The worker's batch functions, for the main-thread fallback
+const BATCH_JOBS = {
+  montecarlo: (job, from, to) => simulateWeatherYears({ ...job, from, to }),
+  sizing: (job, from, to) => sizeDesigns(job.params, job.opts, job.costs, from, to)
 };
 
-// ─── PVGIS CSV PARSER ─────────────────────────────────────────────
-// Supports PVGIS hourly CSV exports. Users configure their PV system
-// (kWp, slope, azimuth) on the PVGIS website before downloading.
-//
-// If the CSV has a P column (PV power output in W), it is used directly.
-// If only G(i) is present (irradiance in W/m²), values are used as-is
-// (equivalent to a ~1 kWp system at standard test conditions).
-
-function parsePVGIS_CSV(text) {
-  const lines = text.split(/\r?\n/);
-  const meta = { lat: null, lon: null, elev: null, slope: null, azimuth: null, db: null, kWp: null };
-  let dataStart = -1;
-
-  // Parse header metadata
-  for (let i = 0; i < Math.min(lines.length, 25); i++) {
-    const line = lines[i].trim();
-    const lower = line.toLowerCase();
-    if (lower.includes("latitude")) { const m = line.match(/([\d.-]+)\s*$/); if (m) meta.lat = parseFloat(m[1]); }
-    if (lower.includes("longitude")) { const m = line.match(/([\d.-]+)\s*$/); if (m) meta.lon = parseFloat(m[1]); }
-    if (lower.includes("elevation")) { const m = line.match(/([\d.-]+)\s*$/); if (m) meta.elev = parseFloat(m[1]); }
-    if (lower.includes("nominal power")) { const m = line.match(/([\d.]+)/); if (m) meta.kWp = parseFloat(m[1]); }
-    if (lower.includes("slope")) { const m = line.match(/([\d.]+)/); if (m) meta.slope = parseFloat(m[1]); }
-    if (lower.includes("azimuth")) { const m = line.match(/([\d.-]+)/); if (m) meta.azimuth = parseFloat(m[1]); }
-    if (lower.includes("radiation database")) { const m = line.match(/:\s*(.+)$/); if (m) meta.db = m[1].trim(); }
-    if (/^time[,\t]/i.test(line)) { dataStart = i; break; }
-  }
-
-  if (dataStart === -1) {
-    for (let i = 0; i < lines.length; i++) {
-      if (/^\d{8}:\d{4}/.test(lines[i].trim())) { dataStart = i; break; }
+// Runs items [0, job.total) of job.kind, job.batch at a time; returns a cancel function
+function startBatches(job, { onResults, onDone, onError }) {
+  let cancelled = false, worker = null, received = 0;
+  const cleanup = () => {
+    worker?.terminate();
+    worker = null;
+  };
+  const runInline = (from) => {
+    if (cancelled) return;
+    if (from >= job.total) return onDone();
+    const to = Math.min(job.total, from + job.batch);
+    try {
+      onResults(BATCH_JOBS[job.kind](job, from, to), to);
+    } catch (err) {
+      return onError(err);
     }
+    setTimeout(() => runInline(to), 0);
+  };
+  try {
+    worker = new Worker(new URL("./solar_pump_worker.mjs", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      if (cancelled) return;
+      if (e.data.done) { cleanup(); onDone(); return; }
+      received = e.data.to;
+      onResults(e.data.results, e.data.to);
+    };
+    // Carry on from the last batch received; a genuine engine error resurfaces there
+    worker.onerror = (e) => {
+      e.preventDefault();
+      cleanup();
+      runInline(received);
+    };
+    worker.postMessage(job);
+  } catch {
+    cleanup();
+    runInline(0);
   }
-  if (dataStart === -1) throw new Error("Could not locate data rows. Expected PVGIS hourly format with timestamps like 20230101:0006.");
-
-  // Parse header columns — prefer P (power), fall back to G(i)
-  const headers = lines[dataStart].split(/[,\t]+/).map(h => h.trim());
-  const timeIdx = headers.findIndex(h => h.toLowerCase() === "time");
-  const pIdx = headers.findIndex(h => h === "P" || h === "p");
-  const giIdx = headers.findIndex(h => h === "G(i)" || h === "g(i)" || h === "Gi");
-  const useP = pIdx >= 0;
-  const valIdx = useP ? pIdx : giIdx;
-
-  if (valIdx < 0) throw new Error("CSV must contain a 'P' (PV power) or 'G(i)' (irradiance) column. Download hourly data from PVGIS.");
-
-  // Parse hourly data
-  const hourlyData = [];
-  for (let i = dataStart + 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || !/^\d{8}/.test(line)) continue;
-    const parts = line.split(/[,\t]+/);
-    const timeStr = parts[timeIdx >= 0 ? timeIdx : 0]?.trim();
-    if (!timeStr || !/^\d{8}/.test(timeStr)) continue;
-
-    const month = parseInt(timeStr.substring(4, 6));
-    const hour = parseInt((timeStr.split(":")[1] || "0000").substring(0, 2));
-    const val = parseFloat(parts[valIdx]) || 0;
-
-    hourlyData.push({ month, hour, val });
-  }
+  return () => { cancelled = true; cleanup(); };
+}
 
-  if (hourlyData.length < 100) throw new Error(`Only found ${hourlyData.length} data rows. Expected ~8760 for a full year.`);
+// ─── SCENARIOS ────────────────────────────────────────────────────
+// A scenario is a full snapshot of the inputs (parameters, pump curves,
+// demand and solar data in its source time base with the local offset),
+// re-simulated on demand for the compare view.
+
+const MAX_SCENARIOS = 4;
+const SCENARIO_COLORS = ["#22D3EE", "#F59E0B", "#A78BFA", "#34D399"];
+
+// The four stat-card metrics; `better` drives the sign colouring of deltas
+const STAT_METRICS = [
+  { key: "pumped", label: "Annual Pumped", unit: "L", better: 1, get: (s) => s.yearlyPumped * 1000 },
+  { key: "reliability", label: "Reliability", unit: "%", better: 1, get: (s) => s.reliability, digits: 1 },
+  { key: "avgDaily", label: "Avg Daily", unit: "L/d", better: 1, get: (s) => s.yearlyPumped / s.days * 1000 },
+  { key: "daysNotServed", label: "Days Not Served", unit: "d", better: -1, get: (s) => s.daysNotServed }
+];
+
+function simulateScenario(sc) {
+  const weather = { ...sc.params, hours: sc.hours, meta: sc.weatherMeta, sourceOffset: sc.sourceOffset ?? 0, kind: sc.params.solarSource.kind };
+  const local = localiseWeather(mountWeather(weather, sc.mount), sc.utcOffset ?? 0);
+  const hours = sc.simMode === "chrono" && local.hours ? local.hours.filter(r => r.year === sc.simYear) : null;
+  return runSimulation({ ...sc.params, profiles: local.profiles, tempProfiles: local.tempProfiles, hours });
+}
 
-  // Build monthly average profiles
-  const buckets = {};
-  for (let m = 1; m <= 12; m++) { buckets[m] = {}; for (let h = 0; h < 24; h++) buckets[m][h] = []; }
-  for (const d of hourlyData) {
-    if (d.month >= 1 && d.month <= 12 && d.hour >= 0 && d.hour < 24) {
-      buckets[d.month][d.hour].push(d.val);
-    }
-  }
+// ─── PROJECT FILES ────────────────────────────────────────────────
+// A project is the scenario snapshot plus costs, serialised as versioned JSON.
+// The hourly series is stored column-wise and only in downloaded files; the
+// URL hash carries the same state without it (base64url JSON), so a shared
+// chronological design falls back to the average day until the CSV is loaded.
+// Irradiance components are stored with the series when the file had them.
+
+const COMPONENT_FIELDS = ["dni", "dhi", "gb", "gd"];
+
+const PROJECT_VERSION = 1;
+const round = (v, dp) => v == null ? v : Math.round(v * 10 ** dp) / 10 ** dp;
+
+function toProject(cfg, { includeHours = true } = {}) {
+  const p = cfg.params;
+  const roundProfiles = (pr) => pr && Object.fromEntries(Object.entries(pr).map(([m, arr]) => [m, arr.map(v => round(v, 1))]));
+  const hours = includeHours && cfg.hours ? {
+    year: cfg.hours.map(r => r.year), month: cfg.hours.map(r => r.month), day: cfg.hours.map(r => r.day),
+    hour: cfg.hours.map(r => r.hour), val: cfg.hours.map(r => round(r.val, 2)),
+    temp: cfg.hours.some(r => r.temp != null) ? cfg.hours.map(r => round(r.temp, 2)) : null,
+    ...Object.fromEntries(COMPONENT_FIELDS.filter(f => cfg.hours.some(r => r[f] != null)).map(f => [f, cfg.hours.map(r => round(r[f], 1))]))
+  } : null;
+  return {
+    format: "solar-pump-project", version: PROJECT_VERSION,
+    site: cfg.site,
+    system: {
+      headM: p.headM, storageLiters: p.storageLiters, dailyDemandLiters: p.dailyDemandLiters,
+      initialFillPct: p.initialFillPct ?? 0, warmUp: !!p.warmUp
+    },
+    demand: p.demand, community: cfg.community,
+    pump: { preset: cfg.pumpPreset, curves: p.pumpCurves, derate: p.pumpDerate ?? 1, fit: p.pumpFit ?? "linear" },
+    pipe: p.pipe, pv: p.pv, controller: p.controller, source: p.source,
+    solar: {
+      source: p.solarSource, profiles: roundProfiles(p.profiles), tempProfiles: roundProfiles(p.tempProfiles),
+      simMode: hours ? cfg.simMode : "avg", simYear: hours ? cfg.simYear : null, status: cfg.uploadStatus ?? null,
+      sourceOffset: cfg.sourceOffset ?? 0, timeShift: cfg.timeShift ?? DEFAULT_TIME_SHIFT,
+      meta: cfg.weatherMeta ?? null, mount: cfg.mount ?? DEFAULT_MOUNT, hours
+    },
+    costs: cfg.costs, finance: cfg.finance, lifetime: cfg.lifetime
+  };
+}
 
-  const profiles = {};
-  for (let m = 1; m <= 12; m++) {
-    profiles[m] = [];
-    for (let h = 0; h < 24; h++) {
-      const arr = buckets[m][h];
-      profiles[m].push(arr.length > 0 ? +(arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(1) : 0);
-    }
-  }
+function fromProject(obj) {
+  if (!obj || obj.format !== "solar-pump-project") throw new Error("Not a solar pump project file");
+  if (!(obj.version <= PROJECT_VERSION)) throw new Error(`Project version ${obj.version} is newer than this app supports (${PROJECT_VERSION})`);
+  const { system, pump, solar } = obj;
+  if (!system || !pump?.curves?.length || !solar?.profiles) throw new Error("Project file is missing system, pump or solar data");
+  const h = solar.hours;
+  const hours = h ? h.val.map((val, i) => ({
+    year: h.year[i], month: h.month[i], day: h.day[i], hour: h.hour[i], val, temp: h.temp ? h.temp[i] : null,
+    ...Object.fromEntries(COMPONENT_FIELDS.filter(f => h[f]).map(f => [f, h[f][i]])),
+    t: utcMillis({ year: h.year[i], month: h.month[i], day: h.day[i], hour: h.hour[i] }, solar.sourceOffset ?? 0)
+  })) : null;
+  return {
+    params: {
+      headM: system.headM, storageLiters: system.storageLiters, dailyDemandLiters: system.dailyDemandLiters,
+      initialFillPct: system.initialFillPct ?? 0, warmUp: !!system.warmUp,
+      demand: { ...DEFAULT_DEMAND, ...obj.demand },
+      profiles: solar.profiles, tempProfiles: solar.tempProfiles ?? null,
+      pumpCurves: clonePumpCurves(pump.curves), pumpDerate: pump.derate ?? 1, pumpFit: pump.fit ?? "linear",
+      pipe: { ...DEFAULT_PIPE, ...obj.pipe }, pv: { ...DEFAULT_PV, ...obj.pv },
+      controller: { ...DEFAULT_CONTROLLER, ...obj.controller },
+      source: { ...DEFAULT_SOURCE, ...obj.source },
+      solarSource: { ...DEFAULT_SOLAR_SOURCE, ...solar.source }
+    },
+    community: obj.community
+      ? { ...DEFAULT_COMMUNITY, ...obj.community, groups: { ...DEFAULT_COMMUNITY.groups, ...obj.community.groups } }
+      : INITIAL_COMMUNITY,
+    pumpPreset: typeof pump.preset === "string" && pump.preset ? pump.preset : "Custom",
+    hours, simMode: hours ? solar.simMode : "avg", simYear: hours ? solar.simYear : null,
+    sourceOffset: solar.sourceOffset ?? 0, timeShift: { ...DEFAULT_TIME_SHIFT, ...solar.timeShift },
+    // Projects saved before the mounting option: only the built-in profiles have a known orientation
+    weatherMeta: solar.meta ?? (solar.status ? null : DEFAULT_WEATHER_META),
+    mount: { ...DEFAULT_MOUNT, ...solar.mount },
+    site: { ...DEFAULT_SITE, ...obj.site }, uploadStatus: solar.status,
+    costs: { ...DEFAULT_COSTS, ...obj.costs },
+    finance: obj.finance ? { ...DEFAULT_FINANCE, ...obj.finance } : DEFAULT_FINANCE,
+    lifetime: { ...DEFAULT_LIFETIME, ...obj.lifetime }
+  };
+}
 
-  const colUsed = useP ? "P (PV power)" : "G(i) (irradiance)";
-  return { profiles, meta, rowCount: hourlyData.length, colUsed };
+function encodeHash(cfg) {
+  const bytes = new TextEncoder().encode(JSON.stringify(toProject(cfg, { includeHours: false })));
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
 }
 
-// ─── PUMP CURVE MATH ──────────────────────────────────────────────
-function buildPiecewiseCoeffs(segments) {
-  const sorted = [...segments].sort((a, b) => b.power - a.power);
-  const result = [];
-  for (let i = 0; i < sorted.length - 1; i++) {
-    const a = (sorted[i].flow - sorted[i + 1].flow) / (sorted[i].power - sorted[i + 1].power);
-    const b = sorted[i].flow - a * sorted[i].power;
-    result.push({ ...sorted[i], a, b, nextPower: sorted[i + 1].power });
-  }
-  const last = sorted[sorted.length - 1];
-  if (sorted.length >= 2) {
-    const prev = sorted[sorted.length - 2];
-    const a = (prev.flow - last.flow) / (prev.power - last.power);
-    const b = last.flow - a * last.power;
-    result.push({ ...last, a, b, nextPower: 0 });
-  } else {
-    result.push({ ...last, a: last.flow / last.power, b: 0, nextPower: 0 });
+function decodeHash(str) {
+  let obj;
+  try {
+    const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+    obj = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+  } catch {
+    throw new Error("Link data is incomplete or corrupted.");
   }
-  return result;
+  return fromProject(obj);
 }
 
-function getFlowFromPower(powerW, coeffs) {
-  if (powerW <= 0) return 0;
-  for (const seg of coeffs) {
-    if (powerW >= seg.nextPower) return Math.max(0, seg.a * powerW + seg.b);
-  }
-  return 0;
-}
-
-function scaleCoeffs(coeffs, refHead, actualHead) {
-  const ratio = refHead / actualHead;
-  return coeffs.map(c => ({ ...c, a: c.a * ratio, b: c.b * ratio }));
-}
-
-// ─── SIMULATION ENGINE ────────────────────────────────────────────
-// Pump curve values are flow rates in m³/hr at a given power input.
-// Each hour: look up flow rate → add directly to storage.
-// Power is capped at highest pump curve point (no extrapolation beyond data).
-
-function runSimulation({ headM, storageLiters, dailyDemandLiters, profiles, pumpSegments, refHead }) {
-  const storageM3 = storageLiters / 1000;
-  const dailyDemandM3 = dailyDemandLiters / 1000;
-  const hourlyDemandM3 = dailyDemandM3 / 24;
-  const maxPumpPower = Math.max(...pumpSegments.map(s => s.power));
-
-  const rawCoeffs = buildPiecewiseCoeffs(pumpSegments);
-  const coeffs = scaleCoeffs(rawCoeffs, refHead, headM);
-
-  const monthly = [];
-  const dailyServed = [];
-  let dayOfYear = 0;
-  let yearlyPumped = 0, yearlyDemand = 0, yearlyDeficit = 0, yearlyOverflow = 0;
-  let daysNotServed = 0;
-  let storage = 0; // start empty — conservative sizing assumption
-
-  for (let m = 0; m < 12; m++) {
-    const profile = profiles[m + 1];
-    const days = DAYS_IN_MONTH[m];
-    let monthPumped = 0, monthDeficit = 0, monthOverflow = 0;
-
-    for (let d = 0; d < days; d++) {
-      dayOfYear++;
-      let dayPumped = 0;
-      let dayDeficit = 0;
-
-      for (let h = 0; h < 24; h++) {
-        // Cap power at max pump curve point
-        const powerW = Math.min(profile[h], maxPumpPower);
-        // Flow in m³/hr — add directly for this hour
-        const flowM3 = getFlowFromPower(powerW, coeffs);
-        storage += flowM3;
-        dayPumped += flowM3;
-        monthPumped += flowM3;
-        storage -= hourlyDemandM3;
-        if (storage > storageM3) { monthOverflow += storage - storageM3; storage = storageM3; }
-        if (storage < 0) { dayDeficit += Math.abs(storage); monthDeficit += Math.abs(storage); storage = 0; }
-      }
+// ─── DOWNLOADS ────────────────────────────────────────────────────
+function downloadFile(name, text, type = "text/csv") {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
 
-      // Water actually delivered = demand minus what was missed
-      const served = (dailyDemandM3 - dayDeficit) * 1000; // liters
-      dailyServed.push({ day: dayOfYear, served: +served.toFixed(0), demand: dailyDemandLiters });
-      if (dayDeficit > 0.0001) daysNotServed++;
-    }
+// ─── PUMP LIBRARY STORAGE ─────────────────────────────────────────
+// The user pump library lives in localStorage. Without storage (private
+// windows, full quota, server rendering) it simply lasts for the session.
 
-    monthly.push({
-      month: MONTH_NAMES[m], monthIdx: m, days,
-      totalPumped: monthPumped, totalDemand: dailyDemandM3 * days,
-      deficit: monthDeficit, overflow: monthOverflow,
-      avgDailyPumped: monthPumped / days
-    });
-    yearlyPumped += monthPumped;
-    yearlyDemand += dailyDemandM3 * days;
-    yearlyDeficit += monthDeficit;
-    yearlyOverflow += monthOverflow;
-  }
+const LIBRARY_KEY = "solar-pump-library";
 
-  const hourlyProfile = (monthIdx) => {
-    const profile = profiles[monthIdx + 1];
-    return profile.map((val, h) => {
-      const powerW = Math.min(val, maxPumpPower);
-      const flowRate = getFlowFromPower(powerW, coeffs);
-      return {
-        hour: h, label: `${h}:00`,
-        power: Math.round(powerW),
-        flowRate: +flowRate.toFixed(3),
-        demand: +hourlyDemandM3.toFixed(4)
-      };
-    });
-  };
-
-  return {
-    monthly, dailyServed, daysNotServed,
-    yearlyPumped, yearlyDemand, yearlyDeficit, yearlyOverflow,
-    reliability: yearlyDemand > 0 ? Math.max(0, (1 - yearlyDeficit / yearlyDemand) * 100) : 100,
-    hourlyProfile
-  };
+function loadLibrary() {
+  try {
+    const list = JSON.parse(globalThis.localStorage?.getItem(LIBRARY_KEY) ?? "[]");
+    return Array.isArray(list) ? list.filter(e => e?.id && e.name && e.curves?.length) : [];
+  } catch {
+    return [];
+  }
 }
 
-function buildPumpCurveViz(pumpSegments, refHead, headM) {
-  const rawCoeffs = buildPiecewiseCoeffs(pumpSegments);
-  const coeffs = scaleCoeffs(rawCoeffs, refHead, headM);
-  const maxP = Math.max(...pumpSegments.map(s => s.power));
-  const points = [];
-  for (let p = 0; p <= maxP; p += Math.max(5, maxP / 200)) {
-    points.push({ power: Math.round(p), flow: +getFlowFromPower(p, coeffs).toFixed(3) });
+function saveLibrary(entries) {
+  try {
+    globalThis.localStorage?.setItem(LIBRARY_KEY, JSON.stringify(entries));
+  } catch {
+    // storage unavailable or full; the library stays in memory
   }
-  return points;
 }
 
 // ─── THEME ────────────────────────────────────────────────────────
@@ -292,8 +244,23 @@ const C = {
 const ttStyle = { backgroundColor: C.card, border: `1px solid ${C.border}`, borderRadius: "8px", fontSize: "12px", color: C.text };
 
 // ─── UI COMPONENTS ────────────────────────────────────────────────
-function Card({ children, style }) {
-  return <div style={{ background: C.card, border: `1px solid ${C.border}`, borderRadius: "14px", padding: "20px 24px", ...style }}>{children}</div>;
+function Card({ children, style, className }) {
+  return <div className={className} style={{ background: C.card, border: `1px solid ${C.border}`, borderRadius: "14px", padding: "20px 24px", ...style }}>{children}</div>;
+}
+
+function KVTable({ rows }) {
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+      <tbody>
+        {rows.filter(Boolean).map(([k, v]) => (
+          <tr key={k} style={{ borderBottom: `1px solid ${C.border}15` }}>
+            <td style={{ padding: "5px 10px", color: C.textDim, width: "40%" }}>{k}</td>
+            <td style={{ padding: "5px 10px" }}>{v}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
 }
 
 function Stat({ label, value, unit, color, sub }) {
@@ -347,6 +314,37 @@ function Section({ icon, title, right, children }) {
   );
 }
 
+function Pills({ options, value, onChange }) {
+  return (
+    <div style={{ display: "flex", gap: "4px", flexWrap: "wrap" }}>
+      {options.map(o => (
+        <button key={o.id} onClick={() => !o.disabled && onChange(o.id)} disabled={o.disabled} title={o.title} style={{
+          padding: "5px 10px", borderRadius: "6px",
+          border: `1px solid ${value === o.id ? C.accent : C.border}`,
+          background: value === o.id ? `${C.accent}15` : "transparent",
+          color: value === o.id ? C.accent : o.disabled ? C.textMuted : C.textDim,
+          fontSize: "11px", fontWeight: 600, cursor: o.disabled ? "not-allowed" : "pointer", opacity: o.disabled ? 0.5 : 1
+        }}>{o.label}</button>
+      ))}
+    </div>
+  );
+}
+
+function NumField({ label, value, onChange, unit, step = 1, min, max, width = "80px" }) {
+  return (
+    <label style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px", marginBottom: "8px" }}>
+      <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase" }}>{label}</span>
+      <span style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+        <input type="number" value={value} step={step} min={min} max={max} onChange={e => onChange(parseFloat(e.target.value) || 0)} style={{
+          width, padding: "5px 8px", borderRadius: "6px", border: `1px solid ${C.border}`,
+          background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace", textAlign: "right"
+        }} />
+        <span style={{ fontSize: "11px", color: C.textMuted, minWidth: "36px" }}>{unit}</span>
+      </span>
+    </label>
+  );
+}
+
 function Tabs({ tabs, active, onChange }) {
   return (
     <div style={{ display: "flex", gap: "2px", background: C.cardAlt, borderRadius: "10px", padding: "3px", marginBottom: "20px" }}>
@@ -364,14 +362,403 @@ function Tabs({ tabs, active, onChange }) {
   );
 }
 
+// ─── CHARTS ───────────────────────────────────────────────────────
+// Shared by the dashboard tabs and the printable report.
+
+// `pumpedBand` / `deficitBand` ([below, above] the bar, L) draw Monte Carlo ranges
+function MonthlyBalanceChart({ data, height = 240 }) {
+  const bands = data[0]?.pumpedBand != null;
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data} barGap={2}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="month" tick={{ fill: C.textDim, fontSize: 10 }} />
+        <YAxis tick={{ fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} formatter={(v) => [`${v.toLocaleString()} L`]} />
+        <Bar dataKey="pumped" name="Pumped" fill={C.water} radius={[3,3,0,0]}>
+          {bands && <ErrorBar dataKey="pumpedBand" width={6} strokeWidth={1.5} stroke={C.text} />}
+        </Bar>
+        <Bar dataKey="demand" name="Demand" fill={C.accent} radius={[3,3,0,0]} opacity={0.5} />
+        <Bar dataKey="deficit" name="Deficit" fill={C.deficit} radius={[3,3,0,0]}>
+          {bands && <ErrorBar dataKey="deficitBand" width={6} strokeWidth={1.5} stroke={C.deficit} />}
+        </Bar>
+        <Legend wrapperStyle={{ fontSize: "10px" }} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+function HourlyProfileChart({ data, height = 220 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={data}>
+        <defs>
+          <linearGradient id="sg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stopColor={C.solar} stopOpacity={0.25}/><stop offset="100%" stopColor={C.solar} stopOpacity={0.02}/></linearGradient>
+          <linearGradient id="wg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stopColor={C.water} stopOpacity={0.25}/><stop offset="100%" stopColor={C.water} stopOpacity={0.02}/></linearGradient>
+        </defs>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="label" tick={{ fill: C.textDim, fontSize: 9 }} interval={2} />
+        <YAxis yAxisId="p" tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Power (W)", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <YAxis yAxisId="f" orientation="right" tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Flow (m³/hr)", angle: 90, position: "insideRight", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} />
+        <Area yAxisId="p" type="monotone" dataKey="power" name="PV Power (W)" stroke={C.solar} fill="url(#sg)" strokeWidth={2} />
+        <Area yAxisId="f" type="monotone" dataKey="flowRate" name="Flow (m³/hr)" stroke={C.water} fill="url(#wg)" strokeWidth={2} />
+        <Line yAxisId="f" type="stepAfter" dataKey="demand" name="Demand (m³/hr)" stroke={C.accent} strokeWidth={2} strokeDasharray="5 3" dot={false} />
+        <Legend wrapperStyle={{ fontSize: "10px" }} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+function DailyServedChart({ data, height = 240 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={data} barCategoryGap={0}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="day" tick={{ fill: C.textDim, fontSize: 9 }} interval={29}
+          label={{ value: "Day of Year", position: "bottom", fill: C.textDim, fontSize: 10, dy: 5 }} />
+        <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Liters", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle}
+          formatter={(v, name) => [`${v.toLocaleString()} L`, name === "served" ? "Water Delivered" : "Daily Demand"]}
+          labelFormatter={(d, p) => `Day ${d}${p?.[0] ? ` · ${p[0].payload.date}` : ""}`} />
+        <Bar dataKey="served" name="served" fill={C.water} radius={0} isAnimationActive={false} />
+        <Line dataKey="demand" name="demand" type="stepAfter" stroke={C.accent} strokeWidth={2} strokeDasharray="6 3" dot={false} isAnimationActive={false} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+function YearlyDeliveryChart({ yearly, height = 180 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={yearly.rows.map(r => ({ year: r.year, delivered: +r.delivered.toFixed(1), deficit: +r.deficit.toFixed(1) }))}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="year" tick={{ fill: C.textDim, fontSize: 10 }} />
+        <YAxis tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "m³ / yr", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} formatter={(v) => [`${v.toLocaleString()} m³`]} />
+        <Bar dataKey="delivered" name="Delivered" stackId="a" fill={C.water} />
+        <Bar dataKey="deficit" name="Deficit" stackId="a" fill={C.deficit} radius={[3,3,0,0]} />
+        <ReferenceLine y={yearly.p50} stroke={C.success} strokeDasharray="6 3" label={{ value: "P50", position: "right", fill: C.success, fontSize: 10 }} />
+        <ReferenceLine y={yearly.p90} stroke={C.accent} strokeDasharray="6 3" label={{ value: "P90", position: "right", fill: C.accent, fontSize: 10 }} />
+        <Legend wrapperStyle={{ fontSize: "10px" }} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+// Delivered volume (bars) and reliability (line) per year of the project life,
+// with the target, replacement years and the first year below target marked
+function LifetimeChart({ life, target, height = 260 }) {
+  const data = life.rows.map(r => ({ year: r.year, delivered: +r.delivered.toFixed(1), deficit: +r.deficit.toFixed(1), reliability: +r.reliability.toFixed(2) }));
+  const low = Math.min(target, ...data.map(d => d.reliability));
+  const below = life.rows.find(r => r.year === life.firstBelowYear);
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="year" tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Year of operation", position: "bottom", fill: C.textDim, fontSize: 10 }} />
+        <YAxis yAxisId="v" tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "m³ / yr", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <YAxis yAxisId="r" orientation="right" domain={[Math.max(0, Math.floor(low - 2)), 100]} tick={{ fill: C.textDim, fontSize: 10 }}
+          label={{ value: "Reliability (%)", angle: 90, position: "insideRight", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} labelFormatter={(l) => `Year ${l}`}
+          formatter={(v, name) => [name === "Reliability" ? `${v}%` : `${v.toLocaleString()} m³`, name]} />
+        <Bar yAxisId="v" dataKey="delivered" name="Delivered" stackId="a" fill={C.water} isAnimationActive={false} />
+        <Bar yAxisId="v" dataKey="deficit" name="Deficit" stackId="a" fill={C.deficit} radius={[3,3,0,0]} isAnimationActive={false} />
+        <Line yAxisId="r" type="monotone" dataKey="reliability" name="Reliability" stroke={C.success} strokeWidth={2.5} dot={{ r: 2 }} isAnimationActive={false} />
+        <ReferenceLine yAxisId="r" y={target} stroke={C.accent} strokeDasharray="6 3" label={{ value: `target ${target}%`, position: "insideBottomLeft", fill: C.accent, fontSize: 10 }} />
+        {life.rows.filter(r => r.replaced.length).map(r => (
+          <ReferenceLine key={r.year} yAxisId="v" x={r.year} stroke={C.textMuted} strokeDasharray="2 3"
+            label={{ value: r.replaced.map(k => k === "pv" ? "PV" : "pump").join("+"), position: "top", fill: C.textMuted, fontSize: 9 }} />
+        ))}
+        {below && <ReferenceDot yAxisId="r" x={below.year} y={+below.reliability.toFixed(2)} r={5} fill={C.deficit} stroke={C.bg} />}
+        <Legend wrapperStyle={{ fontSize: "10px" }} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+function ReliabilityHistogram({ summary, height = 180 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={summary.histogram}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="bin" tick={{ fill: C.textDim, fontSize: 10 }} />
+        <YAxis allowDecimals={false} tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "years", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} formatter={(v) => [`${v} of ${summary.years} years`]} />
+        <Bar dataKey="years" name="Synthetic years" fill={C.water} radius={[3,3,0,0]} isAnimationActive={false} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+function TankLevelChart({ data, capacityLiters, height = 220 }) {
+  // Full / empty days are drawn as full-height background bars
+  const rows = data.map(d => ({
+    day: d.day, date: d.date, levelMin: d.levelMin, range: d.levelMax - d.levelMin, levelEnd: d.levelEnd,
+    full: d.full ? capacityLiters : null, empty: d.empty ? capacityLiters : null
+  }));
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={rows} barCategoryGap={0}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="day" tick={{ fill: C.textDim, fontSize: 9 }} interval={29}
+          label={{ value: "Day of Year", position: "bottom", fill: C.textDim, fontSize: 10, dy: 5 }} />
+        <YAxis domain={[0, capacityLiters]} tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Liters", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle}
+          formatter={(v, name, p) => name === "range" ? [`${p.payload.levelMin.toLocaleString()}–${(p.payload.levelMin + v).toLocaleString()} L`, "Daily range"]
+            : name === "full" || name === "empty" ? ["yes", name === "full" ? "Reached full" : "Ran empty"] : [`${v.toLocaleString()} L`, "End of day"]}
+          labelFormatter={(d, p) => `Day ${d}${p?.[0] ? ` · ${p[0].payload.date}` : ""}`} />
+        <Bar dataKey="full" name="full" fill={C.success} opacity={0.12} isAnimationActive={false} legendType="none" />
+        <Bar dataKey="empty" name="empty" fill={C.deficit} opacity={0.18} isAnimationActive={false} legendType="none" />
+        <Area dataKey="levelMin" stackId="lvl" stroke="none" fill="transparent" isAnimationActive={false} legendType="none" tooltipType="none" />
+        <Area dataKey="range" stackId="lvl" stroke="none" fill={C.overflow} fillOpacity={0.3} isAnimationActive={false} legendType="none" />
+        <Line dataKey="levelEnd" name="levelEnd" type="monotone" stroke={C.overflow} strokeWidth={1.5} dot={false} isAnimationActive={false} legendType="none" />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+function LolpByHourChart({ data, height = 160 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data.map((v, h) => ({ label: `${h}:00`, lolp: v == null ? null : +v.toFixed(1) }))}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="label" tick={{ fill: C.textDim, fontSize: 9 }} interval={2} />
+        <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "% of hours", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} formatter={(v) => [v == null ? "no demand" : `${v}%`, "Loss of load"]} />
+        <Bar dataKey="lolp" name="Loss of load" fill={C.deficit} radius={[3,3,0,0]} isAnimationActive={false} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+function DurationCurveChart({ data, height = 220 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="pct" type="number" domain={[0, 100]} tick={{ fill: C.textDim, fontSize: 9 }} tickFormatter={v => `${v}%`}
+          label={{ value: "% of days reached or exceeded", position: "bottom", fill: C.textDim, fontSize: 10, dy: 5 }} />
+        <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Liters / day", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} formatter={(v, name) => [`${v.toLocaleString()} L`, name]} labelFormatter={(p) => `${p}% of days`} />
+        <Line dataKey="pumped" name="Pumped" type="stepAfter" stroke={C.water} strokeWidth={2} dot={false} isAnimationActive={false} />
+        <Line dataKey="deficit" name="Deficit" type="stepAfter" stroke={C.deficit} strokeWidth={2} dot={false} isAnimationActive={false} />
+        <Legend wrapperStyle={{ fontSize: "10px" }} verticalAlign="top" />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+// Month × day grid of the share of demand served each day
+const SERVED_BANDS = [
+  { min: 100, label: "100%", color: C.success },
+  { min: 90, label: "90–99%", color: C.solar },
+  { min: 50, label: "50–89%", color: C.accent },
+  { min: 0, label: "< 50%", color: C.deficit }
+];
+
+function ServedCalendar({ days }) {
+  const cells = {};
+  for (const d of days) cells[`${d.month}-${d.dayOfMonth}`] = d;
+  const pctOf = (d) => d.demand > 0 ? Math.floor(d.served / d.demand * 100) : 100;
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <div style={{ display: "grid", gridTemplateColumns: "32px repeat(31, minmax(12px, 1fr))", gap: "2px", fontSize: "9px", fontFamily: "monospace", color: C.textMuted }}>
+        <span />
+        {Array.from({ length: 31 }, (_, i) => <span key={i} style={{ textAlign: "center" }}>{(i + 1) % 5 === 0 ? i + 1 : ""}</span>)}
+        {MONTH_NAMES.map((name, m) => [
+          <span key={name}>{name}</span>,
+          ...Array.from({ length: 31 }, (_, i) => {
+            const d = cells[`${m + 1}-${i + 1}`];
+            const pct = d && pctOf(d);
+            return <div key={`${name}${i}`} title={d ? `${d.date}: ${pct}% served (${d.served.toLocaleString()} of ${d.demand.toLocaleString()} L)` : undefined}
+              style={{ height: "14px", borderRadius: "2px", background: d ? SERVED_BANDS.find(b => pct >= b.min).color : "transparent", opacity: d ? 0.85 : 1 }} />;
+          })
+        ])}
+      </div>
+      <div style={{ display: "flex", gap: "12px", marginTop: "8px", fontSize: "10px", color: C.textDim }}>
+        {SERVED_BANDS.map(b => (
+          <span key={b.label} style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            <span style={{ width: "10px", height: "10px", borderRadius: "2px", background: b.color }} />{b.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function PumpCurveChart({ viz, height = 300 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={viz.points}>
+        <defs><linearGradient id="pg2" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stopColor={C.water} stopOpacity={0.2}/><stop offset="100%" stopColor={C.water} stopOpacity={0.02}/></linearGradient></defs>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="power" type="number" domain={[0, "dataMax"]} tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Power (W)", position: "bottom", fill: C.textDim, fontSize: 10 }} />
+        <YAxis tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Flow (m³/hr)", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} formatter={(v, name) => [`${v} m³/hr`, name]} labelFormatter={(l) => `${l} W`} />
+        <Area type="monotone" dataKey="operating" name="Operating (TDH)" stroke={C.water} fill="url(#pg2)" strokeWidth={2.5} dot={false} />
+        {viz.heads.map((h, i) => (
+          <Line key={h} type="monotone" dataKey={`h${h}`} name={`${h} m datasheet`} stroke={`hsl(${30 + i * 40}, 85%, 60%)`}
+            strokeWidth={1.5} strokeDasharray="4 3" dot={false} connectNulls={false} />
+        ))}
+        {/* Datasheet points over the fitted curves */}
+        {viz.heads.map((h, i) => (
+          <Line key={`r${h}`} dataKey={`r${h}`} name={`${h} m points`} stroke="none" legendType="circle" isAnimationActive={false}
+            dot={{ r: 3, fill: `hsl(${30 + i * 40}, 85%, 60%)`, stroke: C.card }} activeDot={false} connectNulls={false} />
+        ))}
+        <Legend wrapperStyle={{ fontSize: "10px" }} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+function SystemCurveChart({ viz, height = 260 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={viz.points}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+        <XAxis dataKey="flow" type="number" domain={[0, "dataMax"]} tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Flow (m³/hr)", position: "bottom", fill: C.textDim, fontSize: 10 }} />
+        <YAxis domain={[0, Math.ceil(viz.hMax)]} allowDataOverflow tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Head (m)", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+        <Tooltip contentStyle={ttStyle} formatter={(v, name) => [`${v} m`, name]} labelFormatter={(l) => `${l} m³/hr`} />
+        <Line dataKey="system" name="System (static + friction)" stroke={C.deficit} strokeWidth={2.5} dot={false} />
+        {SYSTEM_CURVE_LOADS.map((load, i) => (
+          <Line key={load} dataKey={`p${load * 100}`} name={`Pump @ ${load * 100}% power`} stroke={C.water}
+            strokeOpacity={0.4 + 0.6 * (i + 1) / SYSTEM_CURVE_LOADS.length} strokeWidth={1.5} dot={false} connectNulls={false} />
+        ))}
+        {viz.operating.filter(o => o.flow > 0).map(o => (
+          <ReferenceDot key={o.load} x={+o.flow.toFixed(3)} y={+o.head.toFixed(1)} r={4} fill={C.accent} stroke={C.bg} />
+        ))}
+        <Legend wrapperStyle={{ fontSize: "10px" }} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+function MonthlySummaryTable({ monthly, selectedMonth, onSelect }) {
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+        <thead>
+          <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+            {["Month","Days","Pumped (L)","Demand (L)","Deficit (L)","Avg Daily (L)","Pump h","Curtailed (kWh)","Reliability"].map(h => (
+              <th key={h} style={{ padding: "8px 10px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {monthly.map((m, i) => {
+            const rel = m.totalDemand > 0 ? Math.max(0, (1 - m.deficit / m.totalDemand) * 100) : 100;
+            const rc = rel >= 90 ? C.success : rel >= 70 ? C.accent : C.deficit;
+            return (
+              <tr key={i} onClick={onSelect && (() => onSelect(i))}
+                style={{ borderBottom: `1px solid ${C.border}15`, cursor: onSelect ? "pointer" : "default", background: selectedMonth === i ? `${C.accent}06` : "transparent" }}>
+                <td style={{ padding: "8px 10px", fontWeight: 600 }}>{m.month}</td>
+                <td style={{ padding: "8px 10px", color: C.textDim }}>{m.days}</td>
+                <td style={{ padding: "8px 10px", color: C.water }}>{(m.totalPumped*1000).toFixed(0)}</td>
+                <td style={{ padding: "8px 10px", color: C.accent }}>{(m.totalDemand*1000).toFixed(0)}</td>
+                <td style={{ padding: "8px 10px", color: m.deficit > 0 ? C.deficit : C.textMuted }}>{m.deficit > 0 ? (m.deficit*1000).toFixed(0) : "—"}</td>
+                <td style={{ padding: "8px 10px", color: C.textDim }}>{(m.avgDailyPumped*1000).toFixed(0)}</td>
+                <td style={{ padding: "8px 10px", color: C.textDim }}>{m.pumpHours.toFixed(0)}</td>
+                <td style={{ padding: "8px 10px", color: m.curtailedKWh > 0.05 ? C.solar : C.textMuted }}>{m.curtailedKWh > 0.05 ? m.curtailedKWh.toFixed(1) : "—"}</td>
+                <td style={{ padding: "8px 10px" }}><span style={{ color: rc, background: `${rc}12`, padding: "2px 7px", borderRadius: "4px", fontSize: "10px", fontWeight: 600 }}>{rel.toFixed(1)}%</span></td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── ARRAY MOUNTING PANEL ─────────────────────────────────────────
+function mountLabel(mount) {
+  if (mount.mode === "tracker") return `single-axis tracker, axis ${mount.axisAzimuth}° · ±${mount.maxRotation}°`;
+  return `fixed ${mount.tilt}° tilt · ${mount.azimuth}° azimuth`;
+}
+
+function MountPanel({ mount, onChange, support, meta, insolation }) {
+  const set = (field) => (val) => onChange({ ...mount, [field]: val });
+  const setHorizon = (i) => (val) => onChange({ ...mount, horizon: mount.horizon.map((v, j) => j === i ? val : v) });
+  const active = mount.mode !== "file" && !support.reason;
+  const downloaded = meta?.surface === "horizontal" ? "horizontal" : `${meta?.slope ?? "?"}° slope, ${meta?.azimuth ?? "?"}° azimuth`;
+  return (
+    <Card>
+      <Section icon="📐" title="Array Mounting">
+        <div style={{ marginBottom: "12px" }}>
+          <Pills value={mount.mode} onChange={set("mode")} options={MOUNT_MODES.map(m => m.id === "file" ? m
+            : { ...m, disabled: !!support.reason, title: support.reason ?? m.title })} />
+        </div>
+        {mount.mode === "fixed" && (
+          <>
+            <NumField label="Tilt" value={mount.tilt} onChange={set("tilt")} unit="°" step={1} min={0} max={90} />
+            <NumField label="Azimuth" value={mount.azimuth} onChange={set("azimuth")} unit="° (0=S)" step={5} min={-180} max={180} />
+          </>
+        )}
+        {mount.mode === "tracker" && (
+          <>
+            <NumField label="Axis azimuth" value={mount.axisAzimuth} onChange={set("axisAzimuth")} unit="° (0=N–S)" step={5} min={-90} max={90} />
+            <NumField label="Max rotation" value={mount.maxRotation} onChange={set("maxRotation")} unit="±°" step={5} min={0} max={90} />
+          </>
+        )}
+        {mount.mode !== "file" && (
+          <>
+            <NumField label="Ground albedo" value={mount.albedo} onChange={set("albedo")} step={0.05} min={0} max={1} />
+            <div style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase", margin: "8px 0 6px" }}>Horizon elevation (°)</div>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: "6px" }}>
+              {HORIZON_POINTS.map((name, i) => (
+                <label key={name} style={{ display: "flex", flexDirection: "column", gap: "2px", fontSize: "10px", color: C.textMuted, fontFamily: "monospace" }}>
+                  {name}
+                  <input type="number" value={mount.horizon[i]} step={1} min={0} max={90} onChange={e => setHorizon(i)(parseFloat(e.target.value) || 0)} style={{
+                    width: "100%", boxSizing: "border-box", padding: "4px 6px", borderRadius: "6px", border: `1px solid ${C.border}`,
+                    background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace", textAlign: "right"
+                  }} />
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+        <div style={{ marginTop: "12px", padding: "10px 12px", background: C.cardAlt, borderRadius: "8px", fontSize: "11px", color: C.textDim, lineHeight: 1.7 }}>
+          {support.reason
+            ? <>{support.reason} The data is used as downloaded ({downloaded}).</>
+            : active
+              ? <>Plane irradiance for a {mountLabel(mount)} mounting, transposed with the Hay–Davies model from {support.basis}.</>
+              : <>Data used as downloaded ({downloaded}). Choose a mounting to transpose it from {support.basis}.</>}
+        </div>
+        {insolation && (
+          <div style={{ marginTop: "8px", fontSize: "11px", color: C.textMuted }}>
+            Plane irradiance: <span style={{ color: C.solar }}>{insolation.mounted.toFixed(0)} kWh/m²·yr</span>
+            {active && ` (${insolation.mounted >= insolation.file ? "+" : "−"}${Math.abs(insolation.mounted / insolation.file * 100 - 100).toFixed(1)}% on the data as downloaded)`}
+          </div>
+        )}
+      </Section>
+    </Card>
+  );
+}
+
 // ─── PUMP EDITOR ──────────────────────────────────────────────────
-function PumpEditor({ segments, onChange, refHead, onRefHeadChange }) {
-  const update = (idx, field, val) => {
-    const next = segments.map((s, i) => i === idx ? { ...s, [field]: parseFloat(val) || 0 } : s);
-    onChange(next);
+const ISSUE_COLORS = { error: C.deficit, warning: C.accent, info: C.textMuted };
+
+function PumpEditor({ curves, onChange, issues = [] }) {
+  const [active, setActive] = useState(0);
+  const idx = Math.min(active, curves.length - 1);
+  const { head, segments } = curves[idx];
+  const shown = issues.filter(i => i.curve === idx || i.curve === null);
+  const rowLevel = (row) => issues.find(i => i.curve === idx && i.row === row && i.level === "error")?.level
+    ?? issues.find(i => i.curve === idx && i.row === row)?.level;
+  const flagged = (ci) => issues.some(i => i.curve === ci && i.level !== "info");
+
+  const setCurve = (patch) => onChange(curves.map((c, i) => i === idx ? { ...c, ...patch } : c));
+  const update = (row, field, val) => {
+    setCurve({ segments: segments.map((s, i) => i === row ? { ...s, [field]: parseFloat(val) || 0 } : s) });
+  };
+  const addRow = () => setCurve({ segments: [...segments, { flow: 0, power: 0 }] });
+  const removeRow = (row) => { if (segments.length > 2) setCurve({ segments: segments.filter((_, i) => i !== row) }); };
+  const addCurve = () => {
+    const top = Math.max(...curves.map(c => c.head));
+    onChange([...curves, { head: top + 50, segments: segments.map(s => ({ ...s })) }]);
+    setActive(curves.length);
   };
-  const addRow = () => onChange([...segments, { flow: 0, power: 0 }]);
-  const removeRow = (idx) => { if (segments.length > 2) onChange(segments.filter((_, i) => i !== idx)); };
+  const removeCurve = () => { if (curves.length > 1) { onChange(curves.filter((_, i) => i !== idx)); setActive(0); } };
 
   const inputStyle = {
     width: "80px", padding: "6px 8px", borderRadius: "6px", border: `1px solid ${C.border}`,
@@ -380,23 +767,45 @@ function PumpEditor({ segments, onChange, refHead, onRefHeadChange }) {
 
   return (
     <div>
+      <div style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "12px", flexWrap: "wrap" }}>
+        <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", marginRight: "4px" }}>HEAD CURVES:</span>
+        <Pills value={idx} onChange={setActive} options={curves.map((c, i) => ({ id: i, label: `${c.head} m${flagged(i) ? " ⚠" : ""}` }))} />
+        <button onClick={addCurve} style={{
+          padding: "5px 10px", borderRadius: "6px", border: `1px dashed ${C.border}`,
+          background: "transparent", color: C.textDim, fontSize: "11px", cursor: "pointer"
+        }}>+ Head</button>
+      </div>
       <div style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "14px" }}>
-        <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace" }}>REF HEAD:</span>
-        <input type="number" value={refHead} onChange={e => onRefHeadChange(+e.target.value || 1)} style={{ ...inputStyle, width: "60px" }} />
-        <span style={{ fontSize: "11px", color: C.textMuted }}>m — head at which datasheet values apply</span>
+        <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace" }}>HEAD:</span>
+        <input type="number" value={head} onChange={e => setCurve({ head: parseFloat(e.target.value) || 0 })} style={{ ...inputStyle, width: "60px" }} />
+        <span style={{ fontSize: "11px", color: C.textMuted }}>m — total dynamic head at which this datasheet curve applies</span>
+        {curves.length > 1 && (
+          <button onClick={removeCurve} style={{ marginLeft: "auto", background: "none", border: "none", color: C.deficit, cursor: "pointer", fontSize: "11px" }}>Remove curve</button>
+        )}
       </div>
       <div style={{ display: "grid", gridTemplateColumns: "auto 80px 80px 32px", gap: "4px 8px", alignItems: "center" }}>
         <div style={{ fontSize: "10px", color: C.textMuted, fontFamily: "monospace" }}>#</div>
         <div style={{ fontSize: "10px", color: C.water, fontFamily: "monospace", textAlign: "center" }}>FLOW m³/hr</div>
         <div style={{ fontSize: "10px", color: C.solar, fontFamily: "monospace", textAlign: "center" }}>POWER W</div>
         <div />
-        {segments.map((seg, i) => [
-          <span key={`n${i}`} style={{ fontSize: "11px", color: C.textMuted, fontFamily: "monospace" }}>{i + 1}</span>,
-          <input key={`f${i}`} type="number" step="0.01" value={seg.flow} onChange={e => update(i, "flow", e.target.value)} style={inputStyle} />,
-          <input key={`p${i}`} type="number" step="10" value={seg.power} onChange={e => update(i, "power", e.target.value)} style={inputStyle} />,
+        {segments.map((seg, i) => {
+          const level = rowLevel(i);
+          const rowStyle = level ? { ...inputStyle, borderColor: ISSUE_COLORS[level] } : inputStyle;
+          return [
+          <span key={`n${i}`} style={{ fontSize: "11px", color: level ? ISSUE_COLORS[level] : C.textMuted, fontFamily: "monospace" }}>{i + 1}</span>,
+          <input key={`f${i}`} type="number" step="0.01" value={seg.flow} onChange={e => update(i, "flow", e.target.value)} style={rowStyle} />,
+          <input key={`p${i}`} type="number" step="10" value={seg.power} onChange={e => update(i, "power", e.target.value)} style={rowStyle} />,
           <button key={`r${i}`} onClick={() => removeRow(i)} style={{ background: "none", border: "none", color: C.deficit, cursor: "pointer", fontSize: "14px", padding: "2px" }} title="Remove">×</button>
-        ])}
+          ];
+        })}
       </div>
+      {shown.length > 0 && (
+        <div style={{ marginTop: "10px", fontSize: "11px", lineHeight: 1.6 }}>
+          {shown.map((i, k) => (
+            <div key={k} style={{ color: ISSUE_COLORS[i.level] }}>{i.level === "info" ? "ℹ" : "⚠"} {i.message}</div>
+          ))}
+        </div>
+      )}
       <button onClick={addRow} style={{
         marginTop: "10px", padding: "5px 14px", borderRadius: "6px",
         border: `1px dashed ${C.border}`, background: "transparent",
@@ -406,31 +815,1066 @@ function PumpEditor({ segments, onChange, refHead, onRefHeadChange }) {
   );
 }
 
+// ─── PUMP LIBRARY PANEL ───────────────────────────────────────────
+function PumpLibraryPanel({ library, selectedId, onUse, onChange, onSaveCurrent, currentLabel }) {
+  const fileRef = useRef(null);
+  const [msg, setMsg] = useState(null);
+  const selected = library.find(e => e.id === selectedId);
+  const names = [...Object.keys(PUMP_PRESETS), ...library.map(e => e.name)]; // presets keep their names
+
+  const update = (id, patch) => onChange(library.map(e => e.id === id ? { ...e, ...patch } : e));
+  const rename = (entry, name) => update(entry.id, { name: uniquePumpName(name || "Unnamed pump", names.filter(n => n !== entry.name)) });
+  const duplicate = (entry) => {
+    const copy = { ...entry, id: newPumpId(), name: uniquePumpName(`${entry.name} copy`, names), curves: clonePumpCurves(entry.curves) };
+    onChange([...library, copy]);
+  };
+  const remove = (entry) => {
+    if (typeof window !== "undefined" && !window.confirm(`Delete ${entry.name} from the library?`)) return;
+    onChange(library.filter(e => e.id !== entry.id));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        const taken = [...names];
+        const added = parsePumpLibrary(ev.target.result, file.name).map(p => {
+          const name = uniquePumpName(p.name, taken);
+          taken.push(name);
+          return { ...p, name };
+        });
+        onChange([...library, ...added]);
+        setMsg({ ok: true, text: `Imported ${added.length} pump${added.length === 1 ? "" : "s"} from ${file.name}` });
+      } catch (err) {
+        setMsg({ ok: false, text: `${file.name}: ${err.message}` });
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+  const saveCurrent = () => {
+    try {
+      onSaveCurrent();
+      setMsg(null);
+    } catch (err) {
+      setMsg({ ok: false, text: `Cannot save ${currentLabel}: ${err.message}` });
+    }
+  };
+
+  const btn = (color = C.textDim) => ({
+    padding: "3px 8px", borderRadius: "5px", border: `1px solid ${color === C.textDim ? C.border : color}`,
+    background: "transparent", color, fontSize: "10px", fontWeight: 600, cursor: "pointer"
+  });
+  const barBtn = {
+    padding: "6px 12px", borderRadius: "6px", border: `1px solid ${C.border}`, background: C.cardAlt,
+    color: C.textDim, fontSize: "11px", cursor: "pointer"
+  };
+  const inputStyle = {
+    width: "100%", padding: "5px 8px", borderRadius: "6px", border: `1px solid ${C.border}`,
+    background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace"
+  };
+  const th = { padding: "6px 8px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" };
+
+  return (
+    <Card>
+      <Section icon="📚" title="My Pump Library"
+        right={<span style={{ fontSize: "11px", color: C.textMuted, fontFamily: "monospace" }}>{library.length} pump{library.length === 1 ? "" : "s"} · stored in this browser</span>}>
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "12px" }}>
+          <button onClick={saveCurrent} style={{ ...barBtn, borderColor: C.accent, color: C.accent, background: `${C.accent}15`, fontWeight: 600 }}>+ Save {currentLabel}</button>
+          <input ref={fileRef} type="file" accept=".csv,.txt,.json,application/json" onChange={handleImport} style={{ display: "none" }} />
+          <button onClick={() => fileRef.current?.click()} style={barBtn}>Import CSV / JSON</button>
+          <button onClick={() => downloadFile("pump_library.json", exportPumpLibrary(library), "application/json")} disabled={!library.length} style={barBtn}>Export JSON</button>
+          <button onClick={() => downloadFile("pump_library.csv", toCSV(pumpLibraryRows(library), PUMP_LIBRARY_CSV))} disabled={!library.length} style={barBtn}>Export CSV</button>
+        </div>
+        {msg && <div style={{ fontSize: "11px", color: msg.ok ? C.success : C.deficit, marginBottom: "10px" }}>{msg.ok ? "✓" : "⚠"} {msg.text}</div>}
+        {library.length === 0 ? (
+          <div style={{ fontSize: "11px", color: C.textMuted, lineHeight: 1.6 }}>
+            Save the pump being edited, or import datasheet curves: a CSV with one point per row
+            (name, manufacturer, refHead, head, flow m³/h, power W) or a library exported from here.
+          </div>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+            <thead>
+              <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                <th style={th}>Pump</th><th style={th}>Make</th><th style={th}>Ref head</th><th style={th}>Curves</th><th style={th} />
+              </tr>
+            </thead>
+            <tbody>
+              {library.map(e => (
+                <tr key={e.id} style={{ borderBottom: `1px solid ${C.border}15`, background: e.id === selectedId ? `${C.accent}08` : "transparent" }}>
+                  <td style={{ padding: "6px 8px", fontWeight: 600, color: e.id === selectedId ? C.accent : C.text }}>{e.name}</td>
+                  <td style={{ padding: "6px 8px", color: C.textDim }}>{e.manufacturer || "—"}</td>
+                  <td style={{ padding: "6px 8px", color: C.textDim }}>{e.refHead} m</td>
+                  <td style={{ padding: "6px 8px", color: C.textDim }}>{e.curves.map(c => c.head).join("/")} m</td>
+                  <td style={{ padding: "6px 8px", whiteSpace: "nowrap", textAlign: "right" }}>
+                    <span style={{ display: "inline-flex", gap: "4px" }}>
+                      <button onClick={() => onUse(e)} style={btn(C.accent)}>{e.id === selectedId ? "Editing" : "Use"}</button>
+                      <button onClick={() => duplicate(e)} style={btn()}>Duplicate</button>
+                      <button onClick={() => remove(e)} style={btn(C.deficit)}>Delete</button>
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {selected && (
+          <div style={{ display: "grid", gridTemplateColumns: "2fr 2fr 1fr", gap: "8px", marginTop: "12px" }}>
+            <label style={{ fontSize: "10px", color: C.textMuted, fontFamily: "monospace" }}>NAME
+              <input key={`n${selected.id}-${selected.name}`} defaultValue={selected.name} onBlur={ev => rename(selected, ev.target.value.trim())} style={inputStyle} />
+            </label>
+            <label style={{ fontSize: "10px", color: C.textMuted, fontFamily: "monospace" }}>MANUFACTURER
+              <input value={selected.manufacturer} onChange={ev => update(selected.id, { manufacturer: ev.target.value })} style={inputStyle} />
+            </label>
+            <label style={{ fontSize: "10px", color: C.textMuted, fontFamily: "monospace" }}>REF HEAD m
+              <input type="number" min={1} value={selected.refHead} onChange={ev => update(selected.id, { refHead: parseFloat(ev.target.value) || 0 })} style={inputStyle} />
+            </label>
+          </div>
+        )}
+        <div style={{ marginTop: "10px", fontSize: "11px", color: C.textMuted }}>
+          Curve edits to a library pump are saved to its entry. Library pumps are also candidates in the sizing search.
+        </div>
+      </Section>
+    </Card>
+  );
+}
+
+// ─── DEMAND EDITOR ────────────────────────────────────────────────
+function DemandEditor({ demand, onChange, dailyDemandLiters }) {
+  const shape = normaliseShape(demand.hourly);
+  const setHour = (h, val) => onChange({ ...demand, shape: "Custom", hourly: demand.hourly.map((v, i) => i === h ? Math.max(0, val) : v) });
+  const setMonth = (m, val) => onChange({ ...demand, monthly: demand.monthly.map((v, i) => i === m ? Math.max(0, val) : v) });
+  const chart = shape.map((f, h) => ({ label: `${h}:00`, liters: +(f * dailyDemandLiters).toFixed(1) }));
+  const seasonal = demand.monthly.map((f, m) => ({ month: MONTH_NAMES[m], liters: Math.round(f * dailyDemandLiters) }));
+
+  const inputStyle = {
+    width: "100%", padding: "4px 2px", borderRadius: "5px", border: `1px solid ${C.border}`,
+    background: C.cardAlt, color: C.text, fontSize: "11px", fontFamily: "monospace", textAlign: "center"
+  };
+  const cellLabel = { fontSize: "9px", color: C.textMuted, fontFamily: "monospace", textAlign: "center", marginBottom: "2px" };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+      <Card>
+        <Section icon="🕐" title="Daily Demand Shape"
+          right={<Pills value={demand.shape} onChange={(name) => onChange({ ...demand, shape: name, hourly: [...DEMAND_SHAPES[name]] })}
+            options={[...Object.keys(DEMAND_SHAPES), ...(demand.shape === "Custom" ? ["Custom"] : [])].map(n => ({ id: n, label: n, disabled: n === "Custom" }))} />}>
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={chart}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+              <XAxis dataKey="label" tick={{ fill: C.textDim, fontSize: 9 }} interval={2} />
+              <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "L/hr", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+              <Tooltip contentStyle={ttStyle} formatter={(v) => [`${v} L`, "Draw"]} />
+              <Bar dataKey="liters" fill={C.accent} radius={[3,3,0,0]} />
+            </BarChart>
+          </ResponsiveContainer>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(24, 1fr)", gap: "3px", marginTop: "12px" }}>
+            {demand.hourly.map((v, h) => (
+              <div key={h}>
+                <div style={cellLabel}>{h}</div>
+                <input type="number" min={0} step={1} value={v} onChange={e => setHour(h, parseFloat(e.target.value) || 0)} style={inputStyle} />
+              </div>
+            ))}
+          </div>
+          <div style={{ marginTop: "10px", fontSize: "11px", color: C.textMuted }}>
+            Relative weights per hour — editing any hour switches to a custom shape. Weights are scaled so the day sums to the daily demand
+            ({dailyDemandLiters.toLocaleString()} L at a multiplier of 1).
+          </div>
+        </Section>
+      </Card>
+      <Card>
+        <Section icon="🌦" title="Seasonal Multipliers"
+          right={<button onClick={() => onChange({ ...demand, monthly: Array(12).fill(1) })} style={{
+            padding: "5px 12px", borderRadius: "6px", border: `1px solid ${C.border}`,
+            background: "transparent", color: C.textDim, fontSize: "11px", cursor: "pointer"
+          }}>Reset to 1.0</button>}>
+          <ResponsiveContainer width="100%" height={180}>
+            <BarChart data={seasonal}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+              <XAxis dataKey="month" tick={{ fill: C.textDim, fontSize: 10 }} />
+              <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "L/day", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+              <Tooltip contentStyle={ttStyle} formatter={(v) => [`${v.toLocaleString()} L/day`, "Demand"]} />
+              <ReferenceLine y={dailyDemandLiters} stroke={C.textMuted} strokeDasharray="4 3" />
+              <Bar dataKey="liters" fill={C.accent} radius={[3,3,0,0]} />
+            </BarChart>
+          </ResponsiveContainer>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(12, 1fr)", gap: "6px", marginTop: "12px" }}>
+            {demand.monthly.map((v, m) => (
+              <div key={m}>
+                <div style={cellLabel}>{MONTH_NAMES[m]}</div>
+                <input type="number" min={0} step={0.05} value={v} onChange={e => setMonth(m, parseFloat(e.target.value) || 0)} style={inputStyle} />
+              </div>
+            ))}
+          </div>
+          <div style={{ marginTop: "10px", fontSize: "11px", color: C.textMuted }}>
+            Multiplier on the daily demand for each month, e.g. 1.3 in the dry season when households rely on the tap stand.
+          </div>
+        </Section>
+      </Card>
+    </div>
+  );
+}
+
+function CommunityPanel({ community, onChange, horizon, manualLiters }) {
+  const set = (field) => (val) => onChange({ ...community, [field]: val });
+  const setGroup = (id, field, val) => onChange({
+    ...community, groups: { ...community.groups, [id]: { ...community.groups[id], [field]: Math.max(0, val) } }
+  });
+  const th = { padding: "6px 8px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" };
+  const td = { padding: "6px 8px" };
+  const inputStyle = {
+    width: "80px", padding: "4px 6px", borderRadius: "5px", border: `1px solid ${C.border}`,
+    background: C.cardAlt, color: C.text, fontSize: "11px", fontFamily: "monospace", textAlign: "right"
+  };
+  const relTag = (sim) => {
+    const rc = sim.reliability >= 90 ? C.success : sim.reliability >= 70 ? C.accent : C.deficit;
+    return <span style={{ color: rc, background: `${rc}12`, padding: "2px 7px", borderRadius: "4px", fontWeight: 600 }}>{sim.reliability.toFixed(1)}%</span>;
+  };
+
+  return (
+    <Card>
+      <Section icon="👥" title="Community Demand"
+        right={<Pills value={community.enabled ? "community" : "single"} onChange={(id) => onChange({ ...community, enabled: id === "community" })} options={[
+          { id: "single", label: "Single figure" },
+          { id: "community", label: "Build from community" }
+        ]} />}>
+        {!horizon ? (
+          <div style={{ fontSize: "11px", color: C.textMuted }}>
+            Demand is the single daily figure set on the Simulation tab ({manualLiters.toLocaleString()} L/d). Build it from
+            people, school pupils, clinic beds and livestock instead to size for the population at the end of the design horizon.
+          </div>
+        ) : (
+          <>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                  <th style={th}>Group</th><th style={th}>Count {horizon.today.year}</th><th style={th}>L/day each</th>
+                  <th style={th}>L/day {horizon.today.year}</th><th style={th}>Count {horizon.design.year}</th><th style={th}>L/day {horizon.design.year}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {DEMAND_CATEGORIES.map((cat, i) => {
+                  const g = community.groups[cat.id];
+                  const later = horizon.design.rows[i];
+                  return (
+                    <tr key={cat.id} style={{ borderBottom: `1px solid ${C.border}15` }}>
+                      <td style={{ ...td, fontWeight: 600 }}>{cat.label}</td>
+                      <td style={td}>
+                        <input type="number" min={0} step={1} value={g.count} onChange={e => setGroup(cat.id, "count", parseFloat(e.target.value) || 0)} style={inputStyle} />
+                        <span style={{ color: C.textMuted, marginLeft: "4px" }}>{cat.unit}</span>
+                      </td>
+                      <td style={td}>
+                        <input type="number" min={0} step={1} value={g.litersEach} onChange={e => setGroup(cat.id, "litersEach", parseFloat(e.target.value) || 0)} style={inputStyle} />
+                      </td>
+                      <td style={{ ...td, color: C.accent }}>{horizon.today.rows[i].liters.toLocaleString()}</td>
+                      <td style={{ ...td, color: C.textDim }}>{later.count.toLocaleString()}</td>
+                      <td style={{ ...td, color: C.accent }}>{later.liters.toLocaleString()}</td>
+                    </tr>
+                  );
+                })}
+                <tr>
+                  <td style={{ ...td, fontWeight: 600 }}>Total</td><td style={td} /><td style={td} />
+                  <td style={{ ...td, color: C.accent, fontWeight: 600 }}>{horizon.today.total.toLocaleString()}</td><td style={td} />
+                  <td style={{ ...td, color: C.accent, fontWeight: 600 }}>{horizon.design.total.toLocaleString()}</td>
+                </tr>
+                <tr>
+                  <td style={{ ...td, color: C.textDim }}>Reliability</td><td style={td} /><td style={td} />
+                  <td style={td}>{relTag(horizon.today.sim)}</td><td style={td} />
+                  <td style={td}>{relTag(horizon.design.sim)}</td>
+                </tr>
+              </tbody>
+            </table>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "0 24px", marginTop: "14px" }}>
+              <NumField label="Growth" value={community.growthPct} onChange={set("growthPct")} unit="%/yr" step={0.1} min={0} max={10} />
+              <NumField label="Survey year" value={community.baseYear} onChange={set("baseYear")} unit="" min={1990} max={2100} />
+              <NumField label="Design year" value={community.designYear} onChange={(y) => set("designYear")(Math.max(community.baseYear, y))} unit="" min={community.baseYear} max={2100} />
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: "10px", marginTop: "6px" }}>
+              <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase" }}>Simulate</span>
+              <Pills value={community.basis} onChange={set("basis")} options={[
+                { id: "base", label: `Today (${community.baseYear})` },
+                { id: "design", label: `Design year (${community.designYear})` }
+              ]} />
+            </div>
+            <div style={{ marginTop: "10px", fontSize: "11px", color: C.textMuted }}>
+              Counts grow by {community.growthPct}% a year, compounded ({horizon.design.growth.toFixed(2)}× by {horizon.design.year}). The selected year's
+              total drives the simulation; reliability for the other year runs on the same weather.
+            </div>
+          </>
+        )}
+      </Section>
+    </Card>
+  );
+}
+
+// ─── SIZING PANEL ─────────────────────────────────────────────────
+function SizingPanel({ params, pumps, costs, basis, onApply }) {
+  const [opts, setOpts] = useState({
+    targetKind: "reliability", reliability: 95,
+    kWpMin: 0.4, kWpMax: 4, kWpStep: 0.2, tankMin: 500, tankMax: 40000, tankStep: 500
+  });
+  const [sortBy, setSortBy] = useState("cost");
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null); // { done, total } pump × array pairs while searching
+  const [error, setError] = useState(null);
+  const cancelRef = useRef(null);
+  const set = (field) => (val) => setOpts(o => ({ ...o, [field]: val }));
+  const badRange = !(opts.kWpStep > 0) || !(opts.tankStep > 0) || opts.kWpMin > opts.kWpMax || opts.tankMin > opts.tankMax;
+  const running = progress !== null;
+
+  // Stop a search still running when the tab is left
+  useEffect(() => () => cancelRef.current?.(), []);
+
+  const run = () => {
+    const target = { kind: opts.targetKind, reliability: opts.reliability };
+    const total = pumps.length * sizingGrid(opts).kWps.length;
+    const found = [];
+    let runs = 0;
+    setResult(null);
+    setError(null);
+    setProgress({ done: 0, total });
+    cancelRef.current = startBatches({ kind: "sizing", batch: SIZING_BATCH, total, params, opts: { ...opts, target, pumps }, costs }, {
+      onResults: (batch, done) => {
+        found.push(...batch.designs);
+        runs += batch.runs;
+        setProgress({ done, total });
+      },
+      onDone: () => {
+        setResult({ designs: paretoDesigns(found), feasible: found.length, runs, target });
+        setProgress(null);
+      },
+      onError: (err) => {
+        setError(`Sizing search failed: ${err.message}`);
+        setProgress(null);
+      }
+    });
+  };
+  const cancel = () => {
+    cancelRef.current?.();
+    cancelRef.current = null;
+    setProgress(null);
+  };
+
+  const rows = result ? [...result.designs].sort((a, b) => sortBy === "cost"
+    ? a.capex - b.capex
+    : a.storageLiters - b.storageLiters || a.kWp - b.kWp) : [];
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "300px 1fr", gap: "16px", alignItems: "start" }}>
+      <Card>
+        <Section icon="🎯" title="Sizing Target">
+          <Pills value={opts.targetKind} onChange={set("targetKind")} options={[
+            { id: "reliability", label: "Reliability ≥" },
+            { id: "days", label: "Zero days not served" }
+          ]} />
+          <div style={{ marginTop: "12px" }}>
+            {opts.targetKind === "reliability" && <NumField label="Reliability" value={opts.reliability} onChange={set("reliability")} unit="%" step={0.5} min={0} max={100} />}
+            <NumField label="Array min" value={opts.kWpMin} onChange={set("kWpMin")} unit="kWp" step={0.1} min={0.1} />
+            <NumField label="Array max" value={opts.kWpMax} onChange={set("kWpMax")} unit="kWp" step={0.1} min={0.1} />
+            <NumField label="Array step" value={opts.kWpStep} onChange={set("kWpStep")} unit="kWp" step={0.1} min={0.05} />
+            <NumField label="Tank min" value={opts.tankMin} onChange={set("tankMin")} unit="L" step={500} min={0} />
+            <NumField label="Tank max" value={opts.tankMax} onChange={set("tankMax")} unit="L" step={500} min={500} />
+            <NumField label="Tank step" value={opts.tankStep} onChange={set("tankStep")} unit="L" step={100} min={100} />
+          </div>
+          <div style={{ fontSize: "11px", color: C.textMuted, margin: "8px 0 12px", lineHeight: 1.6 }}>
+            Pumps: {pumps.map(p => p.name).join(", ")}<br/>
+            Evaluated on: {basis}
+            {badRange && <><br/><span style={{ color: C.deficit }}>Each minimum must be at most its maximum and steps above 0.</span></>}
+          </div>
+          <button onClick={running ? cancel : run} disabled={!running && badRange} style={{
+            width: "100%", padding: "10px", borderRadius: "8px", border: `1px solid ${running ? C.deficit : C.accent}`,
+            background: `${running ? C.deficit : C.accent}15`, color: running ? C.deficit : C.accent,
+            fontSize: "13px", fontWeight: 600, cursor: "pointer"
+          }}>{running ? `Cancel (${progress.done}/${progress.total})` : "Run Search"}</button>
+          {error && <div style={{ fontSize: "11px", color: C.deficit, marginTop: "8px" }}>{error}</div>}
+        </Section>
+      </Card>
+      <Card>
+        <Section icon="📋" title="Feasible Designs (Pareto set)"
+          right={<Pills value={sortBy} onChange={setSortBy} options={[{ id: "cost", label: "By cost" }, { id: "size", label: "By size" }]} />}>
+          {!result && <div style={{ fontSize: "12px", color: C.textDim }}>{running
+            ? `Searching… ${progress.done} of ${progress.total} pump and array sizes done.`
+            : "Set a target and run the search. Each pump and array size gets the smallest tank that meets the target."}</div>}
+          {result && rows.length === 0 && (
+            <div style={{ fontSize: "12px", color: C.deficit }}>No design meets the target within the search ranges ({result.runs} simulations). Widen the array or tank range.</div>
+          )}
+          {rows.length > 0 && (
+            <>
+              <div style={{ fontSize: "11px", color: C.textMuted, marginBottom: "10px" }}>
+                {rows.length} Pareto designs out of {result.feasible} feasible · {result.runs} simulations ·
+                target {result.target.kind === "days" ? "zero days not served" : `≥${result.target.reliability}% reliability`}
+              </div>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                      {["Pump","Array (kWp)","Tank (L)","Reliability","Days Not Served","CAPEX (USD)",""].map(h => (
+                        <th key={h} style={{ padding: "8px 10px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" }}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((d, i) => (
+                      <tr key={`${d.pumpName}-${d.kWp}`} style={{ borderBottom: `1px solid ${C.border}15`, background: i === 0 ? `${C.success}08` : "transparent" }}>
+                        <td style={{ padding: "8px 10px", fontWeight: 600 }}>{d.pumpName}</td>
+                        <td style={{ padding: "8px 10px", color: C.solar }}>{d.kWp.toFixed(1)}</td>
+                        <td style={{ padding: "8px 10px", color: C.overflow }}>{d.storageLiters.toLocaleString()}</td>
+                        <td style={{ padding: "8px 10px", color: C.success }}>{d.reliability.toFixed(1)}%</td>
+                        <td style={{ padding: "8px 10px", color: d.daysNotServed > 0 ? C.deficit : C.textMuted }}>{d.daysNotServed}</td>
+                        <td style={{ padding: "8px 10px", color: C.text }}>{Math.round(d.capex).toLocaleString()}</td>
+                        <td style={{ padding: "8px 10px" }}>
+                          <button onClick={() => onApply(d)} style={{
+                            padding: "3px 10px", borderRadius: "5px", border: `1px solid ${C.accent}`,
+                            background: "transparent", color: C.accent, fontSize: "10px", fontWeight: 600, cursor: "pointer"
+                          }}>Apply</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+          <div style={{ marginTop: "14px", fontSize: "10px", color: C.textMuted, lineHeight: 1.6 }}>
+            Indicative costs: pump ${costs.pumpPerKW}/kW + controller ${costs.controllerPerKW}/kW rated · PV ${costs.pvPerKWp}/kWp ·
+            tank ${costs.tankPerLiter}/L · pipe ${costs.pipePerM}/m
+          </div>
+        </Section>
+      </Card>
+    </div>
+  );
+}
+
+// ─── ECONOMICS PANEL ──────────────────────────────────────────────
+function EconomicsPanel({ costs, onCostsChange, finance, onFinanceChange, capex, econ }) {
+  const setCost = (field) => (val) => onCostsChange({ ...costs, [field]: val });
+  const setFin = (field) => (val) => onFinanceChange({ ...finance, [field]: val });
+  const setLife = (field) => (val) => onFinanceChange({ ...finance, lifeYears: { ...finance.lifeYears, [field]: val } });
+  const setDiesel = (field) => (val) => onFinanceChange({ ...finance, diesel: { ...finance.diesel, [field]: val } });
+  const usd = (v) => `$${Math.round(v).toLocaleString()}`;
+  const sub = { fontSize: "11px", color: C.textMuted, fontFamily: "monospace", textTransform: "uppercase", margin: "14px 0 8px", letterSpacing: "0.05em" };
+  const cheaper = econ.solar.lcow <= econ.diesel.lcow;
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "320px 1fr", gap: "16px", alignItems: "start" }}>
+      <Card>
+        <Section icon="💲" title="Cost Inputs">
+          <div style={{ ...sub, marginTop: 0 }}>Unit costs (USD)</div>
+          <NumField label="Pump" value={costs.pumpPerKW} onChange={setCost("pumpPerKW")} unit="/kW" step={100} min={0} />
+          <NumField label="Controller" value={costs.controllerPerKW} onChange={setCost("controllerPerKW")} unit="/kW" step={50} min={0} />
+          <NumField label="PV" value={costs.pvPerKWp} onChange={setCost("pvPerKWp")} unit="/kWp" step={50} min={0} />
+          <NumField label="Tank" value={costs.tankPerLiter} onChange={setCost("tankPerLiter")} unit="/L" step={0.05} min={0} />
+          <NumField label="Pipework" value={costs.pipePerM} onChange={setCost("pipePerM")} unit="/m" step={1} min={0} />
+          <div style={sub}>Operation</div>
+          <NumField label="O&M" value={finance.omPctOfCapex} onChange={setFin("omPctOfCapex")} unit="% / yr" step={0.5} min={0} />
+          <NumField label="Discount rate" value={finance.discountRatePct} onChange={setFin("discountRatePct")} unit="%" step={0.5} min={0} />
+          <NumField label="Project life" value={finance.projectLifeYears} onChange={setFin("projectLifeYears")} unit="yr" step={1} min={1} max={50} />
+          <div style={sub}>Replacement interval</div>
+          <NumField label="Pump" value={finance.lifeYears.pump} onChange={setLife("pump")} unit="yr" step={1} min={0} />
+          <NumField label="Controller" value={finance.lifeYears.controller} onChange={setLife("controller")} unit="yr" step={1} min={0} />
+          <NumField label="PV" value={finance.lifeYears.pv} onChange={setLife("pv")} unit="yr" step={1} min={0} />
+          <NumField label="Tank" value={finance.lifeYears.tank} onChange={setLife("tank")} unit="yr" step={1} min={0} />
+          <NumField label="Pipework" value={finance.lifeYears.pipe} onChange={setLife("pipe")} unit="yr" step={1} min={0} />
+          <div style={sub}>Diesel baseline</div>
+          <NumField label="Genset" value={finance.diesel.gensetCost} onChange={setDiesel("gensetCost")} unit="USD" step={100} min={0} />
+          <NumField label="Genset life" value={finance.diesel.gensetLifeYears} onChange={setDiesel("gensetLifeYears")} unit="yr" step={1} min={0} />
+          <NumField label="Fuel price" value={finance.diesel.fuelPrice} onChange={setDiesel("fuelPrice")} unit="/L" step={0.05} min={0} />
+          <NumField label="Fuel use" value={finance.diesel.fuelLPerKWh} onChange={setDiesel("fuelLPerKWh")} unit="L/kWh" step={0.05} min={0} />
+          <NumField label="Pump η" value={finance.diesel.pumpEffPct} onChange={setDiesel("pumpEffPct")} unit="%" step={1} min={1} max={100} />
+          <NumField label="O&M" value={finance.diesel.omPerYear} onChange={setDiesel("omPerYear")} unit="/yr" step={50} min={0} />
+        </Section>
+      </Card>
+      <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+        <div style={{ display: "flex", gap: "10px", flexWrap: "wrap" }}>
+          <Stat label="CAPEX" value={usd(capex.total)} unit="" color={C.accent} sub={`PV ${usd(capex.pv)} · tank ${usd(capex.tank)}`} />
+          <Stat label="Life-Cycle Cost (NPV)" value={usd(econ.solar.npv)} unit="" color={C.solar} sub={`${finance.projectLifeYears} yr @ ${finance.discountRatePct}%`} />
+          <Stat label="Cost of Water" value={econ.solar.lcow.toFixed(2)} unit="$/m³" color={cheaper ? C.success : C.deficit} sub={`${econ.deliveredM3.toFixed(0)} m³/yr delivered`} />
+          <Stat label="Diesel Baseline" value={econ.diesel.lcow.toFixed(2)} unit="$/m³" color={C.overflow} sub={`${Math.round(econ.diesel.fuelL).toLocaleString()} L fuel/yr`} />
+        </div>
+        <Card>
+          <Section icon="📈" title="Cumulative Discounted Cost — Solar vs Diesel">
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={econ.cumulative}>
+                <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+                <XAxis dataKey="year" tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Year", position: "bottom", fill: C.textDim, fontSize: 10 }} />
+                <YAxis tick={{ fill: C.textDim, fontSize: 10 }} tickFormatter={v => `$${(v / 1000).toFixed(0)}k`} />
+                <Tooltip contentStyle={ttStyle} formatter={(v, name) => [usd(v), name]} labelFormatter={(l) => `Year ${l}`} />
+                <Line type="stepAfter" dataKey="solar" name="Solar" stroke={C.solar} strokeWidth={2.5} dot={false} />
+                <Line type="stepAfter" dataKey="diesel" name="Diesel" stroke={C.overflow} strokeWidth={2} strokeDasharray="6 3" dot={false} />
+                <Legend wrapperStyle={{ fontSize: "10px" }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </Section>
+        </Card>
+        <Card>
+          <Section icon="📋" title="CAPEX Breakdown">
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+              <tbody>
+                {[["Pump", capex.pump], ["Controller", capex.controller], ["PV array", capex.pv], ["Storage tank", capex.tank], ["Pipework", capex.pipe]].map(([k, v]) => (
+                  <tr key={k} style={{ borderBottom: `1px solid ${C.border}15` }}>
+                    <td style={{ padding: "6px 10px", color: C.textDim }}>{k}</td>
+                    <td style={{ padding: "6px 10px", textAlign: "right" }}>{usd(v)}</td>
+                    <td style={{ padding: "6px 10px", textAlign: "right", color: C.textMuted }}>{capex.total > 0 ? (v / capex.total * 100).toFixed(0) : 0}%</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td style={{ padding: "6px 10px", fontWeight: 600 }}>Total</td>
+                  <td style={{ padding: "6px 10px", textAlign: "right", fontWeight: 600, color: C.accent }}>{usd(capex.total)}</td>
+                  <td />
+                </tr>
+              </tbody>
+            </table>
+            <div style={{ marginTop: "12px", fontSize: "10px", color: C.textMuted, lineHeight: 1.6 }}>
+              Delivered water = demand − deficit from the current simulation. Diesel baseline pumps the same volume at the simulated
+              average TDH; it shares the pump, tank and pipework costs and replaces the PV array and controller with a genset.
+            </div>
+          </Section>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+// ─── LIFETIME PANEL ───────────────────────────────────────────────
+function LifetimePanel({ lifetime, onChange, finance, onFinanceChange, basis, growth, onRun, running, life }) {
+  const set = (field) => (val) => onChange({ ...lifetime, [field]: val });
+  const setLife = (field) => (val) => onFinanceChange({ ...finance, lifeYears: { ...finance.lifeYears, [field]: val } });
+  const sub = { fontSize: "11px", color: C.textMuted, fontFamily: "monospace", textTransform: "uppercase", margin: "14px 0 8px", letterSpacing: "0.05em" };
+  const below = life?.rows.find(r => r.year === life.firstBelowYear);
+  const replacements = life?.rows.filter(r => r.replaced.length) ?? [];
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "300px 1fr", gap: "16px", alignItems: "start" }}>
+      <Card>
+        <Section icon="⏳" title="Ageing">
+          <NumField label="PV degradation" value={lifetime.pvDegradationPct} onChange={set("pvDegradationPct")} unit="% / yr" step={0.1} min={0} max={10} />
+          <NumField label="Pump wear" value={lifetime.pumpWearPct} onChange={set("pumpWearPct")} unit="% / yr" step={0.1} min={0} max={20} />
+          <NumField label="Target" value={lifetime.targetPct} onChange={set("targetPct")} unit="%" step={0.5} min={0} max={100} />
+          <div style={sub}>Life (shared with Economics)</div>
+          <NumField label="Project life" value={finance.projectLifeYears} onChange={(v) => onFinanceChange({ ...finance, projectLifeYears: v })} unit="yr" step={1} min={1} max={50} />
+          <NumField label="Pump" value={finance.lifeYears.pump} onChange={setLife("pump")} unit="yr" step={1} min={0} />
+          <NumField label="PV" value={finance.lifeYears.pv} onChange={setLife("pv")} unit="yr" step={1} min={0} />
+          <div style={{ fontSize: "11px", color: C.textMuted, margin: "8px 0 12px", lineHeight: 1.6 }}>
+            Weather: {basis}<br/>
+            Demand: {growth}
+          </div>
+          <button onClick={onRun} disabled={running || finance.projectLifeYears < 1} style={{
+            width: "100%", padding: "10px", borderRadius: "8px", border: `1px solid ${C.accent}`,
+            background: `${C.accent}15`, color: C.accent, fontSize: "13px", fontWeight: 600, cursor: running ? "wait" : "pointer"
+          }}>{running ? "Simulating…" : "Run Lifetime"}</button>
+        </Section>
+      </Card>
+      {life ? (
+        <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+          <div style={{ display: "flex", gap: "10px", flexWrap: "wrap" }}>
+            <Stat label="First Year Below Target" value={below ? below.year : "None"} unit={below ? `of ${life.rows.length}` : ""}
+              color={below ? C.deficit : C.success} sub={below ? `${below.reliability.toFixed(1)}% < ${life.target}%` : `≥${life.target}% every year`} />
+            <Stat label="Worst Year" value={life.worst.reliability.toFixed(1)} unit="%" color={C.accent} sub={`year ${life.worst.year} · ${life.worst.daysNotServed} days not served`} />
+            <Stat label="Lifetime Delivered" value={Math.round(life.delivered).toLocaleString()} unit="m³" color={C.water} sub={`${(life.delivered / life.rows.length).toFixed(0)} m³/yr average`} />
+            <Stat label="Replacements" value={replacements.length} unit="" color={C.solar}
+              sub={replacements.map(r => `${r.replaced.map(k => k === "pv" ? "PV" : "pump").join("+")} yr ${r.year}`).join(" · ") || "none in the project life"} />
+          </div>
+          <Card>
+            <Section icon="📈" title="Reliability & Delivery over Project Life">
+              <LifetimeChart life={life} target={life.target} />
+            </Section>
+          </Card>
+          <Card>
+            <Section icon="📋" title="Year by Year">
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                      {["Year","Weather","PV","Pump","Demand (L/d)","Delivered (m³)","Reliability","Days Not Served","Replaced"].map(h => (
+                        <th key={h} style={{ padding: "8px 10px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" }}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {life.rows.map(r => (
+                      <tr key={r.year} style={{ borderBottom: `1px solid ${C.border}15`, background: r.year === life.firstBelowYear ? `${C.deficit}10` : "transparent" }}>
+                        <td style={{ padding: "6px 10px", fontWeight: 600 }}>{r.year}</td>
+                        <td style={{ padding: "6px 10px", color: C.textDim }}>{r.weatherYear ?? "avg day"}</td>
+                        <td style={{ padding: "6px 10px", color: C.solar }}>{(r.pvFactor * 100).toFixed(1)}%</td>
+                        <td style={{ padding: "6px 10px", color: C.water }}>{(r.pumpFactor * 100).toFixed(1)}%</td>
+                        <td style={{ padding: "6px 10px" }}>{Math.round(r.dailyDemandLiters).toLocaleString()}</td>
+                        <td style={{ padding: "6px 10px" }}>{r.delivered.toFixed(0)}</td>
+                        <td style={{ padding: "6px 10px", color: r.reliability < life.target ? C.deficit : C.success }}>{r.reliability.toFixed(1)}%</td>
+                        <td style={{ padding: "6px 10px", color: r.daysNotServed > 0 ? C.deficit : C.textMuted }}>{r.daysNotServed}</td>
+                        <td style={{ padding: "6px 10px", color: C.accent }}>{r.replaced.map(k => k === "pv" ? "PV" : "pump").join(", ")}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ marginTop: "12px", fontSize: "10px", color: C.textMuted, lineHeight: 1.6 }}>
+                PV output and pump flow fall linearly with age and return to 100% when the component is replaced at the end of its
+                life. Each year starts with the tank level the previous one ended on.
+              </div>
+            </Section>
+          </Card>
+        </div>
+      ) : (
+        <Card>
+          <div style={{ fontSize: "12px", color: C.textDim }}>
+            {running ? "Simulating…" : `Run to simulate each of the ${finance.projectLifeYears} years of the project life with the array and pump ageing, and see the first year the design falls below the reliability target.`}
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+// ─── SCENARIO COMPARE ─────────────────────────────────────────────
+function ScenarioPanel({ scenarios, onSave, onLoad, onDelete }) {
+  const [name, setName] = useState("");
+  const sims = useMemo(() => scenarios.map(simulateScenario), [scenarios]);
+  const full = scenarios.length >= MAX_SCENARIOS && !scenarios.some(s => s.name === name.trim());
+
+  const monthly = MONTH_NAMES.map((month, m) => {
+    const row = { month };
+    sims.forEach((sim, i) => {
+      row[`p${i}`] = +(sim.monthly[m].totalPumped * 1000).toFixed(0);
+      row[`d${i}`] = +(sim.monthly[m].totalDemand * 1000).toFixed(0);
+    });
+    return row;
+  });
+  const daily = Array.from({ length: Math.max(0, ...sims.map(s => s.dailyServed.length)) }, (_, d) => {
+    const row = { day: d + 1 };
+    sims.forEach((sim, i) => { if (sim.dailyServed[d]) row[`s${i}`] = sim.dailyServed[d].served; });
+    return row;
+  });
+
+  const save = () => {
+    const n = name.trim() || `Scenario ${scenarios.length + 1}`;
+    onSave(n);
+    setName("");
+  };
+  const fmt = (v, m) => v.toLocaleString(undefined, { maximumFractionDigits: m.digits ?? 0, minimumFractionDigits: m.digits ?? 0 });
+  const cell = { padding: "6px 10px", textAlign: "right" };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+      <Card>
+        <Section icon="💾" title="Saved Scenarios" right={<span style={{ fontSize: "11px", color: C.textMuted, fontFamily: "monospace" }}>{scenarios.length} / {MAX_SCENARIOS}</span>}>
+          <div style={{ display: "flex", gap: "8px", marginBottom: "14px" }}>
+            <input value={name} onChange={e => setName(e.target.value)} onKeyDown={e => e.key === "Enter" && !full && save()}
+              placeholder={`Scenario ${scenarios.length + 1}`} style={{
+                flex: 1, maxWidth: "320px", padding: "7px 10px", borderRadius: "6px", border: `1px solid ${C.border}`,
+                background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace"
+              }} />
+            <button onClick={save} disabled={full} title={full ? `Delete a scenario first (max ${MAX_SCENARIOS})` : "Save the current configuration"} style={{
+              padding: "7px 14px", borderRadius: "6px", border: `1px solid ${C.accent}`, background: full ? "transparent" : `${C.accent}20`,
+              color: full ? C.textMuted : C.accent, fontSize: "12px", fontWeight: 600, cursor: full ? "not-allowed" : "pointer"
+            }}>Save current</button>
+          </div>
+          {scenarios.length === 0 && (
+            <div style={{ fontSize: "12px", color: C.textMuted }}>
+              Save the current configuration to start a comparison. A scenario stores the parameters, pump curves, pipe, PV array, demand and solar data.
+            </div>
+          )}
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(240px, 1fr))", gap: "10px" }}>
+            {scenarios.map((sc, i) => (
+              <div key={sc.name} style={{ padding: "10px 12px", borderRadius: "8px", border: `1px solid ${SCENARIO_COLORS[i]}40`, background: `${SCENARIO_COLORS[i]}0A` }}>
+                <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "6px" }}>
+                  <span style={{ width: "10px", height: "10px", borderRadius: "50%", background: SCENARIO_COLORS[i] }} />
+                  <span style={{ fontSize: "13px", fontWeight: 600, flex: 1 }}>{sc.name}</span>
+                  <button onClick={() => onLoad(sc)} style={{ background: "none", border: "none", color: C.water, fontSize: "11px", cursor: "pointer" }}>Load</button>
+                  <button onClick={() => onDelete(sc.name)} style={{ background: "none", border: "none", color: C.deficit, fontSize: "11px", cursor: "pointer" }}>Delete</button>
+                </div>
+                <div style={{ fontSize: "10px", color: C.textDim, fontFamily: "monospace", lineHeight: 1.6 }}>
+                  {sc.pumpPreset} · {sc.params.pv.kWp.toFixed(1)} kWp · {(sc.params.storageLiters / 1000).toFixed(1)} m³<br/>
+                  {sc.params.headM} m lift · {sc.params.dailyDemandLiters.toLocaleString()} L/d · {sc.siteName}{sc.simMode === "chrono" ? ` ${sc.simYear}` : ""}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Section>
+      </Card>
+
+      {scenarios.length > 0 && (<>
+        <Card>
+          <Section icon="📋" title="Metric Comparison" right={scenarios.length > 1 && <span style={{ fontSize: "11px", color: C.textMuted, fontFamily: "monospace" }}>Δ vs {scenarios[0].name}</span>}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                  <th style={{ padding: "6px 10px", textAlign: "left", color: C.textMuted, fontWeight: 500 }}>Metric</th>
+                  {scenarios.map((sc, i) => (
+                    <th key={sc.name} style={{ ...cell, color: SCENARIO_COLORS[i], fontWeight: 600 }}>{sc.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {STAT_METRICS.map(m => {
+                  const base = m.get(sims[0]);
+                  return (
+                    <tr key={m.key} style={{ borderBottom: `1px solid ${C.border}15` }}>
+                      <td style={{ padding: "6px 10px", color: C.textDim }}>{m.label} <span style={{ color: C.textMuted }}>({m.unit})</span></td>
+                      {sims.map((sim, i) => {
+                        const v = m.get(sim), d = v - base;
+                        const good = d * m.better > 0;
+                        return (
+                          <td key={i} style={cell}>
+                            {fmt(v, m)}
+                            {i > 0 && Math.abs(d) > 1e-9 && (
+                              <span style={{ marginLeft: "6px", color: good ? C.success : C.deficit }}>{d > 0 ? "+" : "−"}{fmt(Math.abs(d), m)}</span>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </Section>
+        </Card>
+
+        <Card>
+          <Section icon="📊" title="Monthly Water Balance">
+            <ResponsiveContainer width="100%" height={260}>
+              <ComposedChart data={monthly} barGap={2}>
+                <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+                <XAxis dataKey="month" tick={{ fill: C.textDim, fontSize: 10 }} />
+                <YAxis tick={{ fill: C.textDim, fontSize: 10 }} />
+                <Tooltip contentStyle={ttStyle} formatter={(v, name) => [`${v.toLocaleString()} L`, name]} />
+                {scenarios.map((sc, i) => (
+                  <Bar key={`p${i}`} dataKey={`p${i}`} name={`${sc.name} pumped`} fill={SCENARIO_COLORS[i]} radius={[3,3,0,0]} />
+                ))}
+                {scenarios.map((sc, i) => (
+                  <Line key={`d${i}`} dataKey={`d${i}`} name={`${sc.name} demand`} type="monotone" stroke={SCENARIO_COLORS[i]} strokeWidth={1.5} strokeDasharray="6 3" dot={false} />
+                ))}
+                <Legend wrapperStyle={{ fontSize: "10px" }} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </Section>
+        </Card>
+
+        <Card>
+          <Section icon="💧" title="Daily Load Served">
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={daily}>
+                <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+                <XAxis dataKey="day" tick={{ fill: C.textDim, fontSize: 9 }} interval={29}
+                  label={{ value: "Day of Year", position: "bottom", fill: C.textDim, fontSize: 10, dy: 5 }} />
+                <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Liters", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+                <Tooltip contentStyle={ttStyle} formatter={(v, name) => [`${v.toLocaleString()} L`, name]} labelFormatter={(d) => `Day ${d}`} />
+                {scenarios.map((sc, i) => (
+                  <Line key={i} dataKey={`s${i}`} name={sc.name} type="stepAfter" stroke={SCENARIO_COLORS[i]} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                ))}
+                <Legend wrapperStyle={{ fontSize: "10px" }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </Section>
+        </Card>
+      </>)}
+    </div>
+  );
+}
+
+// ─── FIELD DATA PANEL ─────────────────────────────────────────────
+const STAT_ROWS = [
+  { label: "Points", get: s => s.n, digits: 0 },
+  { label: "Mean measured", get: s => s.meanMeasured, unit: "L", scale: 1000 },
+  { label: "Mean predicted", get: s => s.meanPredicted, unit: "L", scale: 1000 },
+  { label: "Bias (pred − meas)", get: s => s.bias, unit: "L", scale: 1000 },
+  { label: "MAE", get: s => s.mae, unit: "L", scale: 1000 },
+  { label: "RMSE", get: s => s.rmse, unit: "L", scale: 1000 },
+  { label: "NMBE", get: s => s.nmbePct, unit: "%", digits: 1 },
+  { label: "CV(RMSE)", get: s => s.cvRmsePct, unit: "%", digits: 1 },
+  { label: "R²", get: s => s.r2, digits: 3 }
+];
+
+function FieldDataPanel({ measured, onMeasured, params, hours, utcOffset, onApply }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+  const [fitKind, setFitKind] = useState("pv");
+  const [fit, setFit] = useState(null);
+  const [fitting, setFitting] = useState(false);
+
+  const handleUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        onMeasured({ ...parseMeasuredCSV(ev.target.result), name: file.name });
+        setError(null);
+        setFit(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const compared = useMemo(() => {
+    if (!measured) return null;
+    try {
+      return compareMeasured(simulateMeasuredPeriod(params, hours, measured, utcOffset), measured, utcOffset);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [measured, params, hours, utcOffset]);
+
+  const runFit = () => {
+    setFitting(true);
+    // Let the "Fitting…" state paint before the synchronous search blocks the thread
+    setTimeout(() => {
+      setFit({ ...fitDerating({ params, hours, measured, utcOffset, fit: fitKind }), kind: fitKind });
+      setFitting(false);
+    }, 30);
+  };
+
+  const fmt = (row, s) => {
+    const v = s && row.get(s);
+    if (v == null) return "—";
+    return `${(v * (row.scale ?? 1)).toLocaleString(undefined, { maximumFractionDigits: row.digits ?? 0 })}${row.unit ? ` ${row.unit}` : ""}`;
+  };
+  const volumeData = compared?.volume?.points.map(p => ({ date: p.date.slice(5), measured: Math.round(p.measured * 1000), predicted: Math.round(p.predicted * 1000) }));
+  // One level point per hour at most keeps long logs readable
+  const levelData = compared?.level?.points
+    .filter((p, i, all) => i === 0 || p.time.slice(0, 13) !== all[i - 1].time.slice(0, 13))
+    .map(p => ({ time: p.time.slice(5), measured: Math.round(p.measured * 1000), predicted: Math.round(p.predicted * 1000) }));
+  const th = { padding: "6px 8px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" };
+  const td = { padding: "6px 8px" };
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "320px 1fr", gap: "16px", alignItems: "start" }}>
+      <Card>
+        <Section icon="📈" title="Measured Data">
+          <input ref={fileRef} type="file" accept=".csv,.txt" onChange={handleUpload} style={{ display: "none" }} />
+          <button onClick={() => fileRef.current?.click()} style={{
+            width: "100%", padding: "10px", borderRadius: "8px", border: `1px solid ${C.accent}`,
+            background: `${C.accent}15`, color: C.accent, fontSize: "13px", fontWeight: 600, cursor: "pointer", marginBottom: "12px"
+          }}>Upload Logger CSV</button>
+          {error && <div style={{ fontSize: "12px", color: C.deficit, marginBottom: "10px" }}>⚠ {error}</div>}
+          {measured ? (
+            <div style={{ fontSize: "11px", color: C.textDim, lineHeight: 1.8, fontFamily: "monospace", marginBottom: "12px" }}>
+              {measured.name}<br/>
+              {measured.rowCount.toLocaleString()} readings{measured.skipped ? ` · ${measured.skipped} skipped` : ""}<br/>
+              {new Date(measured.from).toISOString().slice(0, 16).replace("T", " ")} – {new Date(measured.to).toISOString().slice(0, 16).replace("T", " ")}<br/>
+              {[measured.columns.total && `meter total "${measured.columns.total}"`, measured.columns.flow && `volume "${measured.columns.flow}"`,
+                measured.columns.level && `level "${measured.columns.level}" (${measured.levelUnit === "pct" ? "%" : "L"})`].filter(Boolean).join(" · ")}
+            </div>
+          ) : (
+            <div style={{ fontSize: "11px", color: C.textMuted, lineHeight: 1.6, marginBottom: "12px" }}>
+              A CSV with a timestamp column in site local time ({formatUtcOffset(utcOffset)}) and a flow meter total, the volume pumped
+              since the previous reading, and/or the tank level. Volumes in m³ unless the header says L; levels in L, or % when the
+              header has "%". The weather file must cover the same dates (NASA POWER has recent years).
+            </div>
+          )}
+          <div style={{ fontSize: "11px", color: C.textDim, textTransform: "uppercase", letterSpacing: "0.05em", fontFamily: "monospace", margin: "4px 0 6px" }}>Fit derating on</div>
+          <Pills value={fitKind} onChange={setFitKind} options={[
+            { id: "pv", label: "PV output" },
+            { id: "pump", label: "Pump flow" },
+            { id: "both", label: "Both" }
+          ]} />
+          <button onClick={runFit} disabled={!compared || !!compared.error || fitting} style={{
+            width: "100%", padding: "10px", borderRadius: "8px", border: `1px solid ${C.accent}`, marginTop: "12px",
+            background: `${C.accent}15`, color: C.accent, fontSize: "13px", fontWeight: 600,
+            cursor: fitting ? "wait" : "pointer", opacity: !compared || compared.error ? 0.5 : 1
+          }}>{fitting ? "Fitting…" : "Fit to Measurements"}</button>
+          {fit && (
+            <div style={{ marginTop: "12px", padding: "10px 12px", background: `${C.success}10`, border: `1px solid ${C.success}30`, borderRadius: "8px", fontSize: "11px", color: C.textDim, lineHeight: 1.8 }}>
+              PV × <span style={{ color: C.text }}>{fit.pvDerate.toFixed(2)}</span> · pump flow × <span style={{ color: C.text }}>{fit.pumpDerate.toFixed(2)}</span><br/>
+              Daily volume CV(RMSE): {fmt(STAT_ROWS[7], fit.before.volume.stats)} → {fmt(STAT_ROWS[7], fit.after.volume.stats)}<br/>
+              Level RMSE: {fmt(STAT_ROWS[5], fit.before.level.stats)} → {fmt(STAT_ROWS[5], fit.after.level.stats)}
+              <button onClick={() => onApply(fit)} style={{
+                display: "block", marginTop: "8px", padding: "4px 12px", borderRadius: "5px", border: `1px solid ${C.success}`,
+                background: "transparent", color: C.success, fontSize: "11px", fontWeight: 600, cursor: "pointer"
+              }}>Apply to design</button>
+            </div>
+          )}
+          <div style={{ marginTop: "12px", fontSize: "11px", color: C.textMuted, lineHeight: 1.6 }}>
+            Current factors: PV × {(params.pv.derate ?? 1).toFixed(2)} · pump flow × {(params.pumpDerate ?? 1).toFixed(2)}.
+            Hours the float switch stopped the pump say nothing about either, so fit on a period when the tank was not mostly full.
+          </div>
+        </Section>
+      </Card>
+
+      <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+        {!measured && <Card><div style={{ fontSize: "12px", color: C.textDim }}>Upload logged flow meter or tank level readings to compare them with the model over the same hours.</div></Card>}
+        {compared?.error && <Card><div style={{ fontSize: "12px", color: C.deficit }}>⚠ {compared.error}</div></Card>}
+        {compared && !compared.error && (
+          <>
+            <Card>
+              <Section icon="🎯" title="Error Statistics">
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                      <th style={th}>Metric</th><th style={th}>Daily pumped volume</th><th style={th}>Tank level</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {STAT_ROWS.map(row => (
+                      <tr key={row.label} style={{ borderBottom: `1px solid ${C.border}15` }}>
+                        <td style={{ ...td, color: C.textDim }}>{row.label}</td>
+                        <td style={{ ...td, color: C.water }}>{fmt(row, compared.volume.stats)}</td>
+                        <td style={{ ...td, color: C.overflow }}>{fmt(row, compared.level.stats)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Section>
+            </Card>
+            {volumeData.length > 0 && (
+              <Card>
+                <Section icon="💧" title="Daily Pumped Volume — Measured vs Predicted">
+                  <ResponsiveContainer width="100%" height={220}>
+                    <ComposedChart data={volumeData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+                      <XAxis dataKey="date" tick={{ fill: C.textDim, fontSize: 9 }} />
+                      <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "L/day", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+                      <Tooltip contentStyle={ttStyle} />
+                      <Legend wrapperStyle={{ fontSize: "10px" }} />
+                      <Bar dataKey="measured" name="Measured" fill={C.water} radius={[3,3,0,0]} />
+                      <Line dataKey="predicted" name="Predicted" stroke={C.accent} strokeWidth={2} dot={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </Section>
+              </Card>
+            )}
+            {levelData.length > 0 && (
+              <Card>
+                <Section icon="🛢" title="Tank Level — Measured vs Predicted">
+                  <ResponsiveContainer width="100%" height={220}>
+                    <LineChart data={levelData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+                      <XAxis dataKey="time" tick={{ fill: C.textDim, fontSize: 9 }} minTickGap={40} />
+                      <YAxis tick={{ fill: C.textDim, fontSize: 9 }} domain={[0, params.storageLiters]} label={{ value: "L", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+                      <Tooltip contentStyle={ttStyle} />
+                      <Legend wrapperStyle={{ fontSize: "10px" }} />
+                      <Line dataKey="measured" name="Measured" stroke={C.overflow} strokeWidth={1.5} dot={false} />
+                      <Line dataKey="predicted" name="Predicted" stroke={C.accent} strokeWidth={1.5} dot={false} strokeDasharray="4 3" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </Section>
+              </Card>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── MONTE CARLO PANEL ────────────────────────────────────────────
+function MonteCarloPanel({ config, onConfigChange, onRun, onCancel, state, summary }) {
+  const set = (field) => (val) => onConfigChange({ ...config, [field]: val });
+  const { running, done, total, model, error } = state;
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "220px 1fr", gap: "16px", alignItems: "start" }}>
+      <div>
+        <NumField label="Years" value={config.years} onChange={set("years")} unit="" step={10} min={10} max={1000} />
+        <NumField label="Seed" value={config.seed} onChange={set("seed")} unit="" step={1} min={0} />
+        <button onClick={running ? onCancel : onRun} disabled={!running && config.years < 1} style={{
+          width: "100%", padding: "10px", borderRadius: "8px", border: `1px solid ${running ? C.deficit : C.accent}`,
+          background: `${running ? C.deficit : C.accent}15`, color: running ? C.deficit : C.accent,
+          fontSize: "13px", fontWeight: 600, cursor: "pointer"
+        }}>{running ? `Cancel (${done}/${total})` : "Run Monte Carlo"}</button>
+        <div style={{ fontSize: "11px", color: C.textMuted, marginTop: "10px", lineHeight: 1.6 }}>
+          {!model && "Generates synthetic weather years from the loaded data and simulates each one."}
+          {model?.source === "series" && <>Day classes fitted to {model.days} days of the loaded series
+            ({DAY_CLASSES.map((c, i) => `${c.toLowerCase()} ${(model.classShare[i] * 100).toFixed(0)}%`).join(" · ")}).</>}
+          {model?.source === "profiles" && "Generic day-class chain around the monthly average profiles. Load an hourly series to fit it to the site."}
+          {error && <div style={{ color: C.deficit, marginTop: "6px" }}>{error}</div>}
+        </div>
+      </div>
+      {summary ? (
+        <div>
+          <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", marginBottom: "12px" }}>
+            <Stat label="Mean Reliability" value={summary.mean.toFixed(1)} unit="%" color={C.success} sub={`${summary.years} synthetic years`} />
+            <Stat label="P90 Reliability" value={summary.p90.toFixed(1)} unit="%" color={C.accent} sub={`P50 ${summary.p50.toFixed(1)}% · worst ${summary.worst.toFixed(1)}%`} />
+            <Stat label="Years Fully Served" value={summary.fullyServedPct.toFixed(0)} unit="%" color={C.water} sub="no day with a deficit" />
+            <Stat label="P90 Delivered" value={summary.delivered.lo.toFixed(0)} unit="m³/yr" color={C.water} sub={`P50 ${summary.delivered.mid.toFixed(0)} m³`} />
+          </div>
+          <ReliabilityHistogram summary={summary} />
+        </div>
+      ) : (
+        <div style={{ fontSize: "12px", color: C.textDim }}>
+          {running ? "Simulating…" : "Run to see the reliability distribution. The monthly water balance then shows P90–P10 ranges."}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ─── MAIN DASHBOARD ───────────────────────────────────────────────
 export default function SolarPumpDashboard() {
   // System params
   const [headM, setHeadM] = useState(150);
   const [storageLiters, setStorageLiters] = useState(5000);
-  const [dailyDemandLiters, setDailyDemandLiters] = useState(2000);
+  const [manualDemandLiters, setManualDemandLiters] = useState(2000);
+  const [community, setCommunity] = useState(INITIAL_COMMUNITY);
+  const [initialFillPct, setInitialFillPct] = useState(0);
+  const [warmUp, setWarmUp] = useState(false);
+  const [demand, setDemand] = useState(DEFAULT_DEMAND);
   const [selectedMonth, setSelectedMonth] = useState(0);
 
   // Solar data
   const [profiles, setProfiles] = useState(DEFAULT_PROFILES);
+  const [tempProfiles, setTempProfiles] = useState(null);
+  const [solarSource, setSolarSource] = useState(DEFAULT_SOLAR_SOURCE);
+  const [hours, setHours] = useState(null);
+  const [sourceOffset, setSourceOffset] = useState(0); // UTC offset of the loaded data's timestamps
+  const [weatherMeta, setWeatherMeta] = useState(DEFAULT_WEATHER_META); // site and orientation the data is for
+  const [mount, setMount] = useState(DEFAULT_MOUNT);
+  const [timeShift, setTimeShift] = useState(DEFAULT_TIME_SHIFT);
+  const [simMode, setSimMode] = useState("avg"); // "avg" = monthly average day, "chrono" = full hourly series
+  const [simYear, setSimYear] = useState(null);
   const [site, setSite] = useState(DEFAULT_SITE);
   const [uploadStatus, setUploadStatus] = useState(null);
   const [uploadError, setUploadError] = useState(null);
 
   // Pump
   const [pumpPreset, setPumpPreset] = useState("SQF-2 (1kW)");
-  const [pumpSegments, setPumpSegments] = useState(PUMP_PRESETS["SQF-2 (1kW)"].segments);
-  const [refHead, setRefHead] = useState(PUMP_PRESETS["SQF-2 (1kW)"].refHead);
+  const [pumpCurves, setPumpCurves] = useState(() => clonePumpCurves(PUMP_PRESETS["SQF-2 (1kW)"].curves));
+  const [pumpDerate, setPumpDerate] = useState(1); // field calibration on the pump flow
+  const [pumpFit, setPumpFit] = useState("linear");
+  const [library, setLibrary] = useState(loadLibrary);
+  const [libraryId, setLibraryId] = useState(null); // library entry the pump was taken from, edited in place
+  const [pipe, setPipe] = useState(DEFAULT_PIPE);
+  const [pv, setPv] = useState(DEFAULT_PV);
+  const [controller, setController] = useState(DEFAULT_CONTROLLER);
+  const [source, setSource] = useState(DEFAULT_SOURCE);
+  const [costs, setCosts] = useState(DEFAULT_COSTS);
+  const [finance, setFinance] = useState(DEFAULT_FINANCE);
+  const [lifetime, setLifetime] = useState(DEFAULT_LIFETIME);
+  const [scenarios, setScenarios] = useState([]);
+  const updatePv = (field) => (val) => setPv(p => ({ ...p, [field]: val }));
+  const updatePipe = (field) => (val) => setPipe(p => ({ ...p, [field]: val }));
+  const updateController = (field) => (val) => setController(c => ({ ...c, [field]: val }));
+  const updateSource = (field) => (val) => setSource(s => ({ ...s, [field]: val }));
+  const updateEffPoint = (i, field) => (val) => setController(c => ({ ...c, effCurve: c.effCurve.map((pt, j) => j === i ? { ...pt, [field]: val } : pt) }));
 
   // Nav
   const [tab, setTab] = useState("sim");
   const fileRef = useRef(null);
 
-  // ── CSV Upload ──
-  const handleCSVUpload = useCallback((e) => {
+  // Project file / shared link
+  const projectRef = useRef(null);
+  const [projectMsg, setProjectMsg] = useState(null);
+  const [hashLoaded, setHashLoaded] = useState(false);
+
+  // Monte Carlo
+  const [mcConfig, setMcConfig] = useState({ years: 100, seed: 1 });
+  const [mcRuns, setMcRuns] = useState(null);
+  const [mcState, setMcState] = useState({ running: false, done: 0, total: 0, model: null, error: null });
+  const mcCancel = useRef(null);
+
+  // Lifetime run
+  const [lifeRun, setLifeRun] = useState(null);
+  const [lifeRunning, setLifeRunning] = useState(false);
+
+  // Field data (logger readings, kept for the session only)
+  const [measured, setMeasured] = useState(null);
+
+  // ── Weather file upload ──
+  const handleWeatherUpload = useCallback((e) => {
     const file = e.target.files?.[0];
     if (!file) return;
     setUploadError(null);
@@ -439,15 +1883,23 @@ export default function SolarPumpDashboard() {
     const reader = new FileReader();
     reader.onload = (ev) => {
       try {
-        const result = parsePVGIS_CSV(ev.target.result);
+        const result = importWeather(ev.target.result, file.name);
         setProfiles(result.profiles);
+        setTempProfiles(result.tempProfiles);
+        setSolarSource({ kind: result.kind, fileKWp: result.meta.kWp });
+        setHours(result.hours);
+        setSourceOffset(result.meta.utcOffset ?? 0);
+        const { lat, lon, surface, slope, azimuth } = result.meta;
+        setWeatherMeta({ lat, lon, surface, slope, azimuth });
+        setSimYear(listYears(result.hours)[0]?.year ?? null);
         setSite({
           lat: result.meta.lat ?? "?",
           lon: result.meta.lon ?? "?",
           elev: result.meta.elev ?? "?",
-          name: file.name.replace(/\.(csv|txt)$/i, "").replace(/Timeseries_/i, "").replace(/_/g, " ")
+          name: file.name.replace(/\.(csv|txt|json|epw)$/i, "").replace(/Timeseries_/i, "").replace(/_/g, " ")
         });
-        setUploadStatus(`Loaded ${result.rowCount.toLocaleString()} hourly records using ${result.colUsed} · ${result.meta.db || "PVGIS"}${result.meta.kWp ? ` · ${result.meta.kWp} kWp` : ""} · ${result.meta.slope ?? "?"}° slope`);
+        const ys = listYears(result.hours);
+        setUploadStatus(`${result.format}: ${result.rowCount.toLocaleString()} hourly records (${ys[0]?.year}${ys.length > 1 ? `–${ys[ys.length - 1].year}` : ""}) using ${result.colUsed}${result.tempProfiles ? " + temperature" : ""} · ${result.meta.db || "PVGIS"}${result.meta.kWp ? ` · ${result.meta.kWp} kWp` : ""} · ${result.meta.surface === "horizontal" ? "horizontal, no tilt" : `${result.meta.slope ?? "?"}° slope`} · ${result.meta.timeRef}`);
       } catch (err) {
         setUploadError(err.message);
       }
@@ -458,6 +1910,13 @@ export default function SolarPumpDashboard() {
 
   const resetData = () => {
     setProfiles(DEFAULT_PROFILES);
+    setTempProfiles(null);
+    setSolarSource(DEFAULT_SOLAR_SOURCE);
+    setHours(null);
+    setSourceOffset(0);
+    setWeatherMeta(DEFAULT_WEATHER_META);
+    setSimMode("avg");
+    setSimYear(null);
     setSite(DEFAULT_SITE);
     setUploadStatus(null);
     setUploadError(null);
@@ -465,27 +1924,313 @@ export default function SolarPumpDashboard() {
 
   const handlePresetChange = (name) => {
     setPumpPreset(name);
-    setPumpSegments([...PUMP_PRESETS[name].segments]);
-    setRefHead(PUMP_PRESETS[name].refHead);
+    setPumpCurves(clonePumpCurves(PUMP_PRESETS[name].curves));
+    setLibraryId(null);
+  };
+
+  // ── Pump library ──
+  useEffect(() => saveLibrary(library), [library]);
+  const pickLibraryPump = (entry) => {
+    setPumpPreset(entry.name);
+    setPumpCurves(clonePumpCurves(entry.curves));
+    setLibraryId(entry.id);
+  };
+  const updateLibrary = (list) => {
+    setLibrary(list);
+    const current = list.find(e => e.id === libraryId);
+    if (libraryId && !current) { setLibraryId(null); setPumpPreset("Custom"); }
+    else if (current) setPumpPreset(current.name);
+  };
+  const editPumpCurves = (curves) => {
+    setPumpCurves(curves);
+    if (libraryId) setLibrary(list => list.map(e => e.id === libraryId ? { ...e, curves: clonePumpCurves(curves) } : e));
+    else setPumpPreset("Custom");
+  };
+  const savePumpToLibrary = () => {
+    const base = pumpPreset === "Custom" ? "My pump" : pumpPreset;
+    const refHead = pumpCurves.reduce((best, c) => Math.abs(c.head - headM) < Math.abs(best - headM) ? c.head : best, pumpCurves[0].head);
+    const entry = normalisePumpEntry({ id: newPumpId(), name: uniquePumpName(base, [...Object.keys(PUMP_PRESETS), ...library.map(e => e.name)]), refHead, curves: pumpCurves });
+    setLibrary(list => [...list, entry]);
+    pickLibraryPump(entry);
   };
 
   // ── Simulation ──
-  const sim = useMemo(() => runSimulation({
-    headM, storageLiters, dailyDemandLiters, profiles, pumpSegments, refHead
-  }), [headM, storageLiters, dailyDemandLiters, profiles, pumpSegments, refHead]);
+  const utcOffset = useMemo(() => resolveUtcOffset(timeShift, site.lon), [timeShift, site.lon]);
+  const weather = useMemo(() => ({ profiles, tempProfiles, hours, meta: weatherMeta, sourceOffset, kind: solarSource.kind }),
+    [profiles, tempProfiles, hours, weatherMeta, sourceOffset, solarSource.kind]);
+  const support = useMemo(() => mountSupport(weather), [weather]);
+  const mounted = useMemo(() => mountWeather(weather, mount), [weather, mount]);
+  const transposed = mounted !== weather;
+  const local = useMemo(() => localiseWeather(mounted, utcOffset), [mounted, utcOffset]);
+  const tzLabel = formatUtcOffset(utcOffset);
+
+  const years = useMemo(() => local.hours ? listYears(local.hours) : [], [local]);
+  const chrono = simMode === "chrono" && years.length > 0;
+  const yearHours = useMemo(() => chrono ? local.hours.filter(r => r.year === simYear) : null, [chrono, local, simYear]);
+
+  // The community builder, when enabled, sets the demand for its basis year
+  const communityToday = useMemo(() => communityDemand(community, community.baseYear), [community]);
+  const communityDesign = useMemo(() => communityDemand(community, community.designYear), [community]);
+  const dailyDemandLiters = !community.enabled ? manualDemandLiters
+    : community.basis === "base" ? communityToday.total : communityDesign.total;
+
+  const simParams = useMemo(() => ({
+    headM, storageLiters, dailyDemandLiters, demand, profiles: local.profiles, tempProfiles: local.tempProfiles,
+    pumpCurves, pumpDerate, pumpFit, pipe, pv, solarSource, controller, source, initialFillPct, warmUp
+  }), [headM, storageLiters, dailyDemandLiters, demand, local, pumpCurves, pumpDerate, pumpFit, pipe, pv, solarSource, controller, source, initialFillPct, warmUp]);
+
+  const sim = useMemo(() => runSimulation({ ...simParams, hours: yearHours }), [simParams, yearHours]);
+
+  // Reliability today and in the design year, on the same weather
+  const horizon = useMemo(() => {
+    if (!community.enabled) return null;
+    const at = (d) => ({ ...d, sim: d.total === dailyDemandLiters ? sim : runSimulation({ ...simParams, dailyDemandLiters: d.total, hours: yearHours }) });
+    return { today: at(communityToday), design: at(communityDesign) };
+  }, [community.enabled, communityToday, communityDesign, dailyDemandLiters, sim, simParams, yearHours]);
+
+  const yearly = useMemo(() => years.length > 1 ? runYearly(simParams, local.hours) : null, [years, simParams, local]);
+  const worstRow = yearly?.rows.find(r => r.year === yearly.worstYear);
+
+  // ── Monte Carlo ──
+  // Results describe one set of inputs: drop them (and stop a run) when inputs change
+  useEffect(() => {
+    setMcRuns(null);
+    setMcState(st => ({ ...st, running: false, done: 0 }));
+    return () => { mcCancel.current?.(); mcCancel.current = null; };
+  }, [simParams, local]);
+  const runMonteCarlo = () => {
+    mcCancel.current?.();
+    const model = fitWeatherModel(local);
+    const total = Math.max(1, Math.round(mcConfig.years));
+    setMcRuns([]);
+    setMcState({ running: true, done: 0, total, model: { source: model.source, days: model.days, classShare: model.classShare }, error: null });
+    mcCancel.current = startBatches({ kind: "montecarlo", batch: MC_BATCH, total, params: simParams, model, seed: mcConfig.seed }, {
+      onResults: (runs) => {
+        setMcRuns(prev => [...(prev || []), ...runs]);
+        setMcState(st => ({ ...st, done: st.done + runs.length }));
+      },
+      onDone: () => setMcState(st => ({ ...st, running: false })),
+      onError: (err) => setMcState(st => ({ ...st, running: false, error: `Monte Carlo run failed: ${err.message}` }))
+    });
+  };
+  const cancelMonteCarlo = () => {
+    mcCancel.current?.();
+    mcCancel.current = null;
+    setMcState(st => ({ ...st, running: false }));
+  };
+  const mc = useMemo(() => mcRuns?.length ? summariseMonteCarlo(mcRuns) : null, [mcRuns]);
 
   const hourly = useMemo(() => sim.hourlyProfile(selectedMonth), [sim, selectedMonth]);
-  const pumpViz = useMemo(() => buildPumpCurveViz(pumpSegments, refHead, headM), [pumpSegments, refHead, headM]);
 
-  const monthlyChart = sim.monthly.map(m => ({
-    month: m.month,
-    pumped: +(m.totalPumped * 1000).toFixed(0),
-    demand: +(m.totalDemand * 1000).toFixed(0),
-    deficit: +(m.deficit * 1000).toFixed(0)
-  }));
+  // ── Economics ──
+  const capex = useMemo(() => estimateCapex({ pumpCurves, kWp: pv.kWp, storageLiters, pipe }, costs), [pumpCurves, pv.kWp, storageLiters, pipe, costs]);
+  const econ = useMemo(() => computeEconomics({
+    capexItems: capex, deliveredM3: (sim.yearlyDemand - sim.yearlyDeficit) * 365 / sim.days, avgHeadM: sim.avgHead
+  }, finance), [capex, sim, finance]);
+
+  // ── Lifetime ──
+  // Each year of the project life on the simulation basis: the full years of
+  // the series in turn, or the average day; demand grows with the community
+  const lifeWeather = useMemo(() => {
+    const full = chrono ? years.filter(y => !y.partial) : [];
+    return full.length ? full.map(y => local.hours.filter(r => r.year === y.year)) : [null];
+  }, [chrono, years, local]);
+  const lifeDemand = useMemo(() => community.enabled
+    ? Array.from({ length: finance.projectLifeYears }, (_, i) => communityDemand(community, community.baseYear + i).total)
+    : null, [community, finance.projectLifeYears]);
+  useEffect(() => setLifeRun(null), [simParams, lifeWeather, lifeDemand, lifetime, finance.projectLifeYears, finance.lifeYears]);
+  const runLifetimeStudy = () => {
+    setLifeRunning(true);
+    // Let the "Simulating…" state paint before the synchronous run blocks the thread
+    setTimeout(() => {
+      const plan = { years: finance.projectLifeYears, lifeYears: finance.lifeYears, weatherYears: lifeWeather, demandLiters: lifeDemand };
+      setLifeRun({ ...runLifetime(simParams, plan, lifetime), target: lifetime.targetPct });
+      setLifeRunning(false);
+    }, 30);
+  };
+  const lifeBasis = lifeWeather[0] ? `years ${lifeWeather.map(h => h[0].year).join(", ")} in turn` : "monthly average day every year";
+  const lifeGrowth = community.enabled ? `community from ${community.baseYear}, +${community.growthPct}%/yr` : `${dailyDemandLiters.toLocaleString()} L/d every year`;
+
+  // ── Sizing ──
+  const sizingPumps = useMemo(() => [
+    ...Object.entries(PUMP_PRESETS).filter(([name]) => name !== "Custom").map(([name, p]) => ({ name, curves: p.curves })),
+    ...library.map(e => ({ name: e.name, curves: e.curves })),
+    ...(pumpPreset === "Custom" ? [{ name: "Custom", curves: pumpCurves }] : [])
+  ], [library, pumpPreset, pumpCurves]);
+
+  const applyDesign = (d) => {
+    setPumpPreset(d.pumpName);
+    setPumpCurves(clonePumpCurves(d.pumpCurves));
+    setLibraryId(library.find(e => e.name === d.pumpName)?.id ?? null);
+    setPv(p => ({ ...p, kWp: d.kWp }));
+    setStorageLiters(d.storageLiters);
+    setTab("sim");
+  };
+
+  // ── Scenarios & project files ──
+  const captureConfig = () => ({
+    params: { ...simParams, profiles, tempProfiles, pumpCurves: clonePumpCurves(pumpCurves) }, pumpPreset,
+    community, hours, sourceOffset, weatherMeta, mount, timeShift, utcOffset, simMode: chrono ? "chrono" : "avg", simYear, site, uploadStatus, costs, finance, lifetime
+  });
+
+  const applyConfig = (cfg) => {
+    const p = cfg.params;
+    setHeadM(p.headM);
+    setStorageLiters(p.storageLiters);
+    setManualDemandLiters(p.dailyDemandLiters);
+    setCommunity(cfg.community ?? INITIAL_COMMUNITY);
+    setInitialFillPct(p.initialFillPct ?? 0);
+    setWarmUp(!!p.warmUp);
+    setDemand(p.demand);
+    setProfiles(p.profiles);
+    setTempProfiles(p.tempProfiles);
+    setSolarSource(p.solarSource);
+    setPumpPreset(cfg.pumpPreset);
+    setPumpCurves(clonePumpCurves(p.pumpCurves));
+    setLibraryId(null);
+    setPumpDerate(p.pumpDerate ?? 1);
+    setPumpFit(p.pumpFit ?? "linear");
+    setPipe(p.pipe);
+    setPv(p.pv);
+    setController(p.controller ?? DEFAULT_CONTROLLER);
+    setSource(p.source ?? DEFAULT_SOURCE);
+    setHours(cfg.hours);
+    setSourceOffset(cfg.sourceOffset ?? 0);
+    setWeatherMeta(cfg.weatherMeta ?? null);
+    setMount(cfg.mount ?? DEFAULT_MOUNT);
+    setTimeShift(cfg.timeShift ?? DEFAULT_TIME_SHIFT);
+    setSimMode(cfg.simMode);
+    setSimYear(cfg.simYear);
+    setSite(cfg.site);
+    setUploadStatus(cfg.uploadStatus);
+    setUploadError(null);
+    if (cfg.costs) setCosts(cfg.costs);
+    if (cfg.finance) setFinance(cfg.finance);
+    if (cfg.lifetime) setLifetime(cfg.lifetime);
+  };
+
+  const saveScenario = (name) => {
+    const sc = { ...captureConfig(), name, siteName: site.name };
+    setScenarios(list => {
+      const i = list.findIndex(s => s.name === name);
+      return i >= 0 ? list.map((s, j) => j === i ? sc : s) : [...list, sc].slice(0, MAX_SCENARIOS);
+    });
+  };
+
+  const loadScenario = (sc) => {
+    applyConfig(sc);
+    setTab("sim");
+  };
+
+  const downloadProject = () => {
+    downloadFile(`${fileStem}.solarpump.json`, JSON.stringify(toProject(captureConfig())), "application/json");
+  };
+
+  const handleProjectUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        let obj;
+        try { obj = JSON.parse(ev.target.result); } catch { throw new Error("File is not valid JSON."); }
+        applyConfig(fromProject(obj));
+        setProjectMsg({ ok: true, text: `Opened ${file.name}` });
+      } catch (err) {
+        setProjectMsg({ ok: false, text: err.message });
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href)
+      .then(() => setProjectMsg({ ok: true, text: "Link copied" }), () => setProjectMsg({ ok: false, text: "Copy failed — use the address bar" }));
+  };
+
+  // Restore from the URL hash once, then keep the hash in sync with the state
+  useEffect(() => {
+    const m = window.location.hash.match(/^#p=(.+)$/);
+    if (m) {
+      try {
+        applyConfig(decodeHash(m[1]));
+      } catch (err) {
+        setProjectMsg({ ok: false, text: `Could not read shared link: ${err.message}` });
+      }
+    }
+    setHashLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (!hashLoaded) return;
+    window.history.replaceState(null, "", `#p=${encodeHash(captureConfig())}`);
+  }, [hashLoaded, simParams, pumpPreset, community, mount, site, timeShift, costs, finance, lifetime]);
+
+  // ── Export & report ──
+  const fileStem = site.name.replace(/[^\w-]+/g, "_");
+  const basisLabel = chrono ? `chronological ${simYear}` : "monthly average day";
+  const calibrated = pv.derate !== 1 || pumpDerate !== 1;
+  const modelLine = `Hourly timestep · PVGIS solar data (${basisLabel})${transposed ? ` · Hay–Davies transposition (${mountLabel(mount)})` : ""} · ${pumpFit === "linear" ? "Piecewise-linear" : PUMP_FITS.find(f => f.id === pumpFit).label} pump map interpolated in power and head · ${pipe.method === "dw" ? "Darcy-Weisbach" : "Hazen-Williams"} friction · Controller with ${controller.floatSwitch ? "float switch" : "no float switch"}${source.type === "borehole" ? " · Borehole drawdown and safe yield" : ""}${calibrated ? " · Field-calibrated derating" : ""}`;
+
+  const exportCSV = (kind) => {
+    const suffix = chrono ? `_${simYear}` : "";
+    if (kind === "hourly") {
+      const traced = runSimulation({ ...simParams, hours: yearHours, trace: true });
+      downloadFile(`${fileStem}_hourly${suffix}.csv`, toCSV(traced.trace, HOURLY_CSV));
+    } else if (kind === "daily") {
+      downloadFile(`${fileStem}_daily${suffix}.csv`, toCSV(sim.dailyServed, DAILY_CSV));
+    } else {
+      downloadFile(`${fileStem}_monthly${suffix}.csv`, toCSV(sim.monthly, MONTHLY_CSV));
+    }
+  };
+
+  const pumpViz = useMemo(() => buildPumpCurveViz(pumpCurves, headM, pipe, source, pumpFit), [pumpCurves, headM, pipe, source, pumpFit]);
+  const systemViz = useMemo(() => buildSystemCurveViz(pumpCurves, headM, pipe, source, pumpFit), [pumpCurves, headM, pipe, source, pumpFit]);
+  const pumpIssues = useMemo(() => validatePumpCurves(pumpCurves, sim.headRange && {
+    headMin: sim.headRange[0], headMax: sim.headRange[1], minPowerW: controller.minStartW
+  }), [pumpCurves, sim, controller.minStartW]);
+  const pumpErrors = pumpIssues.filter(i => i.level === "error").length;
+  const borehole = source.type === "borehole";
+  const designWarnings = [
+    ...sourceWarnings(sim, source),
+    ...(pumpErrors ? [`Pump curve has ${pumpErrors} invalid point${pumpErrors === 1 ? "" : "s"}, ignored or averaged in the simulation (see Pump Setup)`] : [])
+  ];
+
+  const monthlyChart = sim.monthly.map((m, i) => {
+    const row = {
+      month: m.month,
+      pumped: +(m.totalPumped * 1000).toFixed(0),
+      demand: +(m.totalDemand * 1000).toFixed(0),
+      deficit: +(m.deficit * 1000).toFixed(0)
+    };
+    // Monte Carlo P90–P10 range, as offsets below / above the bar
+    const band = (b, v) => [v - b.lo * 1000, b.hi * 1000 - v].map(x => +x.toFixed(0));
+    if (mc && !mcState.running) {
+      row.pumpedBand = band(mc.monthly[i].pumped, row.pumped);
+      row.deficitBand = band(mc.monthly[i].deficit, row.deficit);
+    }
+    return row;
+  });
+  const bandNote = mc && !mcState.running && (
+    <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace" }}>whiskers: P90–P10 of {mc.years} synthetic years</span>
+  );
 
   const relColor = sim.reliability >= 90 ? C.success : sim.reliability >= 70 ? C.accent : C.deficit;
-  const peopleServed = Math.round(dailyDemandLiters / LITERS_PER_PERSON);
+  const durations = useMemo(() => buildDurationCurves(sim.dailyServed), [sim]);
+  const worstHour = sim.lolpByHour.reduce((w, v, h) => v != null && v > (sim.lolpByHour[w] ?? -1) ? h : w, 0);
+  const deficitRun = sim.longestDeficitRun;
+  const reliabilityRows = [
+    ["Loss-of-load probability", `${sim.lolp.toFixed(1)}% of demand hours${sim.lolp > 0 ? ` · worst at ${worstHour}:00 (${sim.lolpByHour[worstHour].toFixed(1)}%)` : ""}`],
+    ["Longest deficit run", deficitRun ? `${deficitRun.days} day${deficitRun.days === 1 ? "" : "s"} · ${deficitRun.from}${deficitRun.days > 1 ? ` – ${deficitRun.to}` : ""}` : "none"],
+    ["Days of autonomy", `${sim.autonomyDays.toFixed(1)} d of average demand in a full tank`],
+    ["Daily yield P50 / P90", `${Math.round(sim.p50DailyPumped * 1000).toLocaleString()} / ${Math.round(sim.p90DailyPumped * 1000).toLocaleString()} L/d`]
+  ];
+  const basisRows = horizon && (community.basis === "base" ? horizon.today : horizon.design).rows.filter(r => r.count > 0);
+  const perPerson = community.groups.people.litersEach;
+  const serves = basisRows
+    ? (basisRows.length ? basisRows.map(r => `${r.count.toLocaleString()} ${r.unit}`).join(" · ") : "nobody yet")
+    : `~${perPerson > 0 ? Math.round(dailyDemandLiters / perPerson) : 0} people @ ${perPerson}L/d`;
 
   return (
     <div style={{ minHeight: "100vh", background: C.bg, color: C.text, fontFamily: "'Segoe UI', system-ui, sans-serif", padding: 0 }}>
@@ -493,6 +2238,12 @@ export default function SolarPumpDashboard() {
         input[type="range"]::-webkit-slider-thumb { -webkit-appearance:none; width:16px; height:16px; border-radius:50%; background:${C.text}; border:3px solid ${C.accent}; cursor:pointer; box-shadow:0 2px 6px rgba(0,0,0,0.4); }
         input[type="range"]::-moz-range-thumb { width:16px; height:16px; border-radius:50%; background:${C.text}; border:3px solid ${C.accent}; cursor:pointer; }
         * { box-sizing: border-box; }
+        @media print {
+          @page { size: A4; margin: 12mm; }
+          * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          .no-print { display: none !important; }
+          .report-block { break-inside: avoid; }
+        }
       `}</style>
 
       {/* HEADER */}
@@ -502,66 +2253,113 @@ export default function SolarPumpDashboard() {
           <h1 style={{ fontSize: "20px", fontWeight: 700, margin: 0, background: `linear-gradient(135deg, ${C.accent}, ${C.water})`, WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent" }}>
             Solar Water Pump Simulator
           </h1>
+          <div className="no-print" style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: "6px" }}>
+            {projectMsg && <span style={{ fontSize: "11px", color: projectMsg.ok ? C.success : C.deficit, marginRight: "6px" }}>{projectMsg.ok ? "✓" : "⚠"} {projectMsg.text}</span>}
+            <input ref={projectRef} type="file" accept=".json,application/json" onChange={handleProjectUpload} style={{ display: "none" }} />
+            <button onClick={() => projectRef.current?.click()} style={{ padding: "6px 12px", borderRadius: "6px", border: `1px solid ${C.border}`, background: C.cardAlt, color: C.textDim, fontSize: "11px", cursor: "pointer" }}>📂 Open</button>
+            <button onClick={downloadProject} style={{ padding: "6px 12px", borderRadius: "6px", border: `1px solid ${C.border}`, background: C.cardAlt, color: C.textDim, fontSize: "11px", cursor: "pointer" }}>💾 Save</button>
+            <button onClick={copyLink} title="Copy a link that opens this exact design (without the hourly series)" style={{ padding: "6px 12px", borderRadius: "6px", border: `1px solid ${C.border}`, background: C.cardAlt, color: C.textDim, fontSize: "11px", cursor: "pointer" }}>🔗 Share link</button>
+          </div>
         </div>
         <div style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace" }}>
-          {site.name} · {site.lat}°N, {site.lon}°E · {site.elev}m ASL · {pumpPreset}
+          {site.name} · {site.lat}°N, {site.lon}°E · {site.elev}m ASL · {tzLabel} · {pumpPreset}
         </div>
       </div>
 
       <div style={{ padding: "16px 20px", maxWidth: "1240px", margin: "0 auto" }}>
 
         {/* STAT CARDS */}
-        <div style={{ display: "flex", gap: "10px", marginBottom: "16px", flexWrap: "wrap" }}>
-          <Stat label="Annual Pumped" value={(sim.yearlyPumped * 1000).toFixed(0)} unit="L" color={C.water} sub={`${sim.yearlyPumped.toFixed(1)} m³`} />
-          <Stat label="Reliability" value={sim.reliability.toFixed(1)} unit="%" color={relColor} sub={sim.yearlyDeficit > 0 ? `${(sim.yearlyDeficit * 1000).toFixed(0)}L deficit` : "No deficit"} />
-          <Stat label="Avg Daily" value={(sim.yearlyPumped / 365 * 1000).toFixed(0)} unit="L/d" color={C.solar} sub={`Demand: ${dailyDemandLiters}L/d`} />
-          <Stat label="Days Not Served" value={sim.daysNotServed} unit={`/ 365`} color={sim.daysNotServed === 0 ? C.success : C.deficit} sub={sim.daysNotServed === 0 ? "Full coverage" : `${(sim.daysNotServed / 365 * 100).toFixed(1)}% of year`} />
+        <div className="no-print" style={{ display: "flex", gap: "10px", marginBottom: "16px", flexWrap: "wrap" }}>
+          <Stat label="Annual Pumped" value={(sim.yearlyPumped * 1000).toFixed(0)} unit="L" color={C.water}
+            sub={`${sim.yearlyPumped.toFixed(1)} m³ · ${controller.floatSwitch ? `${sim.curtailedKWh.toFixed(0)} kWh curtailed` : `${sim.yearlyOverflow.toFixed(1)} m³ overflow`}`} />
+          <Stat label="Reliability" value={sim.reliability.toFixed(1)} unit="%" color={relColor}
+            sub={`${horizon ? `${horizon.today.year}: ${horizon.today.sim.reliability.toFixed(1)}% · ${horizon.design.year}: ${horizon.design.sim.reliability.toFixed(1)}%`
+              : sim.yearlyDeficit > 0 ? `${(sim.yearlyDeficit * 1000).toFixed(0)}L deficit` : "No deficit"}${worstRow ? ` · worst ${worstRow.year}: ${worstRow.reliability.toFixed(1)}%` : ""}`} />
+          <Stat label="Avg Daily" value={(sim.yearlyPumped / sim.days * 1000).toFixed(0)} unit="L/d" color={C.solar} sub={`Demand: ${(sim.yearlyDemand / sim.days * 1000).toFixed(0)}L/d avg`} />
+          <Stat label="Days Not Served" value={sim.daysNotServed} unit={`/ ${sim.days}`} color={sim.daysNotServed === 0 ? C.success : C.deficit} sub={sim.daysNotServed === 0 ? "Full coverage" : `${(sim.daysNotServed / sim.days * 100).toFixed(1)}% of ${chrono ? simYear : "year"}`} />
         </div>
 
+        {designWarnings.length > 0 && (
+          <div className="no-print" style={{ padding: "10px 16px", background: `${C.deficit}12`, border: `1px solid ${C.deficit}30`, borderRadius: "8px", color: C.deficit, fontSize: "12px", marginBottom: "16px", lineHeight: 1.7 }}>
+            {designWarnings.map((w, i) => <div key={i}>⚠ {w}</div>)}
+          </div>
+        )}
+
         {/* TABS */}
-        <Tabs tabs={[
+        <div className="no-print"><Tabs tabs={[
           { id: "sim", icon: "📊", label: "Simulation" },
           { id: "data", icon: "📁", label: "PVGIS Data" },
-          { id: "pump", icon: "🔧", label: "Pump Setup" }
-        ]} active={tab} onChange={setTab} />
+          { id: "demand", icon: "👥", label: "Demand" },
+          { id: "pump", icon: "🔧", label: "Pump Setup" },
+          { id: "sizing", icon: "🎯", label: "Sizing" },
+          { id: "econ", icon: "💲", label: "Economics" },
+          { id: "life", icon: "⏳", label: "Lifetime" },
+          { id: "compare", icon: "⚖️", label: "Compare" },
+          { id: "field", icon: "📈", label: "Field Data" },
+          { id: "report", icon: "📄", label: "Report" }
+        ]} active={tab} onChange={setTab} /></div>
 
         {/* ═══ SIMULATION TAB ═══ */}
         {tab === "sim" && (
           <div style={{ display: "grid", gridTemplateColumns: "280px 1fr", gap: "16px" }}>
             <Card style={{ height: "fit-content", position: "sticky", top: "16px" }}>
               <Section icon="⚙️" title="Parameters">
+                <Slider label="Static Lift" value={headM} min={10} max={300} step={5} onChange={setHeadM} unit="m" color={C.water} />
                 <Slider label="Storage Tank" value={storageLiters} min={500} max={40000} step={500} onChange={setStorageLiters} unit="L" color={C.overflow} />
-                <Slider label="Daily Demand" value={dailyDemandLiters} min={200} max={25000} step={100} onChange={setDailyDemandLiters} unit="L" color={C.accent} />
+                <div style={{ fontSize: "11px", color: C.textDim, textTransform: "uppercase", letterSpacing: "0.05em", fontFamily: "monospace", marginBottom: "6px" }}>Initial Tank Level</div>
+                <Pills value={warmUp ? "warm" : "fixed"} onChange={(v) => setWarmUp(v === "warm")} options={[
+                  { id: "fixed", label: "Fixed start" },
+                  { id: "warm", label: "Warm-up", title: "Repeat the year until the end level matches the start" }
+                ]} />
+                <div style={{ marginTop: "10px" }}>
+                  {warmUp
+                    ? <div style={{ fontSize: "11px", color: C.textDim, marginBottom: "18px", fontFamily: "monospace" }}>
+                        Start {(sim.startStorage * 1000).toFixed(0)} L ({storageLiters > 0 ? (sim.startStorage * 1e5 / storageLiters).toFixed(0) : 0}%) · {sim.warmUpPasses} pass{sim.warmUpPasses === 1 ? "" : "es"}
+                      </div>
+                    : <Slider label="Start Fill" value={initialFillPct} min={0} max={100} step={5} onChange={setInitialFillPct} unit="%" color={C.overflow} />}
+                </div>
+                {community.enabled
+                  ? <div style={{ fontSize: "11px", color: C.textDim, marginBottom: "18px", fontFamily: "monospace" }}>
+                      Demand {dailyDemandLiters.toLocaleString()} L/d · community in {communityBasisYear(community)} (Demand tab)
+                    </div>
+                  : <Slider label="Daily Demand" value={manualDemandLiters} min={200} max={25000} step={100} onChange={setManualDemandLiters} unit="L" color={C.accent} />}
+                <Slider label="PV Array" value={pv.kWp} min={0.2} max={8} step={0.1} onChange={updatePv("kWp")} unit="kWp" color={C.solar} />
+                <div style={{ fontSize: "11px", color: C.textDim, textTransform: "uppercase", letterSpacing: "0.05em", fontFamily: "monospace", marginBottom: "6px" }}>Solar Input</div>
+                <Pills value={chrono ? "chrono" : "avg"} onChange={setSimMode} options={[
+                  { id: "avg", label: "Avg Day" },
+                  { id: "chrono", label: "Chronological", disabled: years.length === 0, title: years.length === 0 ? "Upload a PVGIS hourly CSV to enable" : undefined }
+                ]} />
+                {chrono && (
+                  <select value={simYear ?? ""} onChange={e => setSimYear(+e.target.value)} style={{
+                    marginTop: "8px", width: "100%", padding: "6px 8px", borderRadius: "6px", border: `1px solid ${C.border}`,
+                    background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace"
+                  }}>
+                    {years.map(y => <option key={y.year} value={y.year}>{y.year}{y.partial ? ` (partial · ${y.days} days)` : ""}</option>)}
+                  </select>
+                )}
               </Section>
               <div style={{ marginTop: "12px", padding: "12px", background: `${C.accent}08`, border: `1px solid ${C.accent}18`, borderRadius: "8px", fontSize: "11px", color: C.textDim, lineHeight: 1.8 }}>
                 Pump: <span style={{ color: C.text }}>{pumpPreset}</span><br/>
+                Array: <span style={{ color: C.text }}>{pv.kWp.toFixed(1)} kWp</span>{solarSource.kind === "P" && solarSource.fileKWp ? ` (PVGIS P × ${(pv.kWp / solarSource.fileKWp).toFixed(2)})` : ""}<br/>
                 Tank: <span style={{ color: C.text }}>{(storageLiters/1000).toFixed(1)} m³</span><br/>
-                Serves: <span style={{ color: C.text }}>~{peopleServed} people @ {LITERS_PER_PERSON}L/d</span>
+                Demand: <span style={{ color: C.text }}>{demand.shape}</span>{demand.monthly.some(v => v !== 1) ? " · seasonal" : ""}<br/>
+                Avg TDH: <span style={{ color: C.text }}>{sim.avgHead.toFixed(1)} m</span> ({(sim.avgHead - headM).toFixed(1)} m {borehole ? "friction + drawdown" : "friction"})<br/>
+                Pumping: <span style={{ color: C.text }}>{sim.pumpHours.toFixed(0)} h</span> · {sim.starts} starts<br/>
+                Serves: <span style={{ color: C.text }}>{serves}</span>
               </div>
             </Card>
 
             <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
               {/* Monthly Bar */}
               <Card>
-                <Section icon="📊" title="Monthly Water Balance">
-                  <ResponsiveContainer width="100%" height={240}>
-                    <BarChart data={monthlyChart} barGap={2}>
-                      <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
-                      <XAxis dataKey="month" tick={{ fill: C.textDim, fontSize: 10 }} />
-                      <YAxis tick={{ fill: C.textDim, fontSize: 10 }} />
-                      <Tooltip contentStyle={ttStyle} formatter={(v) => [`${v.toLocaleString()} L`]} />
-                      <Bar dataKey="pumped" name="Pumped" fill={C.water} radius={[3,3,0,0]} />
-                      <Bar dataKey="demand" name="Demand" fill={C.accent} radius={[3,3,0,0]} opacity={0.5} />
-                      <Bar dataKey="deficit" name="Deficit" fill={C.deficit} radius={[3,3,0,0]} />
-                      <Legend wrapperStyle={{ fontSize: "10px" }} />
-                    </BarChart>
-                  </ResponsiveContainer>
+                <Section icon="📊" title="Monthly Water Balance" right={bandNote}>
+                  <MonthlyBalanceChart data={monthlyChart} />
                 </Section>
               </Card>
 
               {/* Hourly Profile */}
               <Card>
-                <Section icon="🕐" title={`Hourly Profile — ${MONTH_NAMES[selectedMonth]}`}
+                <Section icon="🕐" title={`Hourly Profile — ${MONTH_NAMES[selectedMonth]} · local time (${tzLabel})`}
                   right={
                     <div style={{ display: "flex", gap: "3px", flexWrap: "wrap" }}>
                       {MONTH_NAMES.map((n, i) => (
@@ -575,77 +2373,103 @@ export default function SolarPumpDashboard() {
                       ))}
                     </div>
                   }>
-                  <ResponsiveContainer width="100%" height={220}>
-                    <AreaChart data={hourly}>
-                      <defs>
-                        <linearGradient id="sg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stopColor={C.solar} stopOpacity={0.25}/><stop offset="100%" stopColor={C.solar} stopOpacity={0.02}/></linearGradient>
-                        <linearGradient id="wg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stopColor={C.water} stopOpacity={0.25}/><stop offset="100%" stopColor={C.water} stopOpacity={0.02}/></linearGradient>
-                      </defs>
-                      <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
-                      <XAxis dataKey="label" tick={{ fill: C.textDim, fontSize: 9 }} interval={2} />
-                      <YAxis yAxisId="p" tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Power (W)", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
-                      <YAxis yAxisId="f" orientation="right" tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Flow (m³/hr)", angle: 90, position: "insideRight", fill: C.textDim, fontSize: 10 }} />
-                      <Tooltip contentStyle={ttStyle} />
-                      <Area yAxisId="p" type="monotone" dataKey="power" name="PV Power (W)" stroke={C.solar} fill="url(#sg)" strokeWidth={2} />
-                      <Area yAxisId="f" type="monotone" dataKey="flowRate" name="Flow (m³/hr)" stroke={C.water} fill="url(#wg)" strokeWidth={2} />
-                      <Legend wrapperStyle={{ fontSize: "10px" }} />
-                    </AreaChart>
-                  </ResponsiveContainer>
+                  <HourlyProfileChart data={hourly} />
                 </Section>
               </Card>
 
               {/* Daily Load Served */}
               <Card>
                 <Section icon="💧" title="Daily Load Served">
-                  <ResponsiveContainer width="100%" height={240}>
-                    <BarChart data={sim.dailyServed} barCategoryGap={0}>
-                      <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
-                      <XAxis dataKey="day" tick={{ fill: C.textDim, fontSize: 9 }} interval={29}
-                        label={{ value: "Day of Year", position: "bottom", fill: C.textDim, fontSize: 10, dy: 5 }} />
-                      <YAxis tick={{ fill: C.textDim, fontSize: 9 }} label={{ value: "Liters", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
-                      <Tooltip contentStyle={ttStyle}
-                        formatter={(v, name) => [`${v.toLocaleString()} L`, name === "served" ? "Water Delivered" : "Daily Demand"]}
-                        labelFormatter={(d) => `Day ${d}`} />
-                      <Bar dataKey="served" name="served" fill={C.water} radius={0} isAnimationActive={false} />
-                      <ReferenceLine y={dailyDemandLiters} stroke={C.accent} strokeWidth={2} strokeDasharray="6 3"
-                        label={{ value: `Demand: ${dailyDemandLiters}L`, position: "right", fill: C.accent, fontSize: 10 }} />
-                    </BarChart>
-                  </ResponsiveContainer>
+                  <DailyServedChart data={sim.dailyServed} />
+                </Section>
+              </Card>
+
+              {/* Reliability metrics */}
+              <Card>
+                <Section icon="🎯" title="Reliability Metrics">
+                  <KVTable rows={reliabilityRows} />
+                  <div style={{ fontSize: "11px", color: C.textDim, margin: "14px 0 6px" }}>Loss of load by hour of day · local time ({tzLabel})</div>
+                  <LolpByHourChart data={sim.lolpByHour} />
+                </Section>
+              </Card>
+
+              {/* Duration curves */}
+              <Card>
+                <Section icon="📉" title="Duration Curves">
+                  <DurationCurveChart data={durations} />
+                </Section>
+              </Card>
+
+              {/* Calendar */}
+              <Card>
+                <Section icon="🗓️" title={`Daily Served — ${chrono ? simYear : "typical year"}`}>
+                  <ServedCalendar days={sim.dailyServed} />
+                </Section>
+              </Card>
+
+              {/* Tank Level */}
+              <Card>
+                <Section icon="🛢️" title="Tank Level"
+                  right={<span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace" }}>
+                    <span style={{ color: C.success }}>{sim.daysFull} days full</span> · <span style={{ color: C.deficit }}>{sim.daysEmpty} days empty</span>
+                  </span>}>
+                  <TankLevelChart data={sim.dailyServed} capacityLiters={storageLiters} />
+                </Section>
+              </Card>
+
+              {/* Multi-year */}
+              {yearly && (
+                <Card>
+                  <Section icon="📅" title={`Multi-Year Reliability — ${yearly.rows[0].year}–${yearly.rows[yearly.rows.length - 1].year}`}
+                    right={<span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace" }}>
+                      P50 <span style={{ color: C.water }}>{yearly.p50.toFixed(1)} m³</span> · P90 <span style={{ color: C.water }}>{yearly.p90.toFixed(1)} m³</span> delivered / yr
+                    </span>}>
+                    <YearlyDeliveryChart yearly={yearly} />
+                    <div style={{ overflowX: "auto", marginTop: "12px" }}>
+                      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
+                        <thead>
+                          <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                            {["Year","Days","Reliability","Days Not Served","Deficit (L)","Delivered (m³)",""].map(h => (
+                              <th key={h} style={{ padding: "8px 10px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" }}>{h}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {yearly.rows.map(r => {
+                            const rc = r.reliability >= 90 ? C.success : r.reliability >= 70 ? C.accent : C.deficit;
+                            const active = chrono && r.year === simYear;
+                            return (
+                              <tr key={r.year} onClick={() => { setSimMode("chrono"); setSimYear(r.year); }}
+                                style={{ borderBottom: `1px solid ${C.border}15`, cursor: "pointer", background: active ? `${C.accent}06` : "transparent" }}>
+                                <td style={{ padding: "8px 10px", fontWeight: 600 }}>{r.year}</td>
+                                <td style={{ padding: "8px 10px", color: C.textDim }}>{r.days}{r.partial ? " (partial)" : ""}</td>
+                                <td style={{ padding: "8px 10px" }}><span style={{ color: rc, background: `${rc}12`, padding: "2px 7px", borderRadius: "4px", fontSize: "10px", fontWeight: 600 }}>{r.reliability.toFixed(1)}%</span></td>
+                                <td style={{ padding: "8px 10px", color: r.daysNotServed > 0 ? C.deficit : C.textMuted }}>{r.daysNotServed}</td>
+                                <td style={{ padding: "8px 10px", color: r.deficit > 0 ? C.deficit : C.textMuted }}>{r.deficit > 0 ? (r.deficit*1000).toFixed(0) : "—"}</td>
+                                <td style={{ padding: "8px 10px", color: C.water }}>{r.delivered.toFixed(1)}</td>
+                                <td style={{ padding: "8px 10px" }}>{r.year === yearly.worstYear && <span style={{ color: C.deficit, background: `${C.deficit}12`, padding: "2px 7px", borderRadius: "4px", fontSize: "10px", fontWeight: 600 }}>WORST YEAR</span>}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </Section>
+                </Card>
+              )}
+
+              {/* Monte Carlo */}
+              <Card>
+                <Section icon="🎲" title="Monte Carlo Reliability">
+                  <MonteCarloPanel config={mcConfig} onConfigChange={setMcConfig} onRun={runMonteCarlo} onCancel={cancelMonteCarlo}
+                    state={mcState} summary={mcState.running ? null : mc} />
                 </Section>
               </Card>
 
               {/* Table */}
               <Card>
                 <Section icon="📋" title="Monthly Summary">
-                  <div style={{ overflowX: "auto" }}>
-                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", fontFamily: "monospace" }}>
-                      <thead>
-                        <tr style={{ borderBottom: `1px solid ${C.border}` }}>
-                          {["Month","Days","Pumped (L)","Demand (L)","Deficit (L)","Avg Daily (L)","Reliability"].map(h => (
-                            <th key={h} style={{ padding: "8px 10px", textAlign: "left", color: C.textMuted, fontSize: "9px", textTransform: "uppercase", letterSpacing: "0.05em" }}>{h}</th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {sim.monthly.map((m, i) => {
-                          const rel = m.totalDemand > 0 ? Math.max(0, (1 - m.deficit / m.totalDemand) * 100) : 100;
-                          const rc = rel >= 90 ? C.success : rel >= 70 ? C.accent : C.deficit;
-                          return (
-                            <tr key={i} onClick={() => setSelectedMonth(i)}
-                              style={{ borderBottom: `1px solid ${C.border}15`, cursor: "pointer", background: selectedMonth === i ? `${C.accent}06` : "transparent" }}>
-                              <td style={{ padding: "8px 10px", fontWeight: 600 }}>{m.month}</td>
-                              <td style={{ padding: "8px 10px", color: C.textDim }}>{m.days}</td>
-                              <td style={{ padding: "8px 10px", color: C.water }}>{(m.totalPumped*1000).toFixed(0)}</td>
-                              <td style={{ padding: "8px 10px", color: C.accent }}>{(m.totalDemand*1000).toFixed(0)}</td>
-                              <td style={{ padding: "8px 10px", color: m.deficit > 0 ? C.deficit : C.textMuted }}>{m.deficit > 0 ? (m.deficit*1000).toFixed(0) : "—"}</td>
-                              <td style={{ padding: "8px 10px", color: C.textDim }}>{(m.avgDailyPumped*1000).toFixed(0)}</td>
-                              <td style={{ padding: "8px 10px" }}><span style={{ color: rc, background: `${rc}12`, padding: "2px 7px", borderRadius: "4px", fontSize: "10px", fontWeight: 600 }}>{rel.toFixed(1)}%</span></td>
-                            </tr>
-                          );
-                        })}
-                      </tbody>
-                    </table>
-                  </div>
+                  <MonthlySummaryTable monthly={sim.monthly} selectedMonth={selectedMonth} onSelect={setSelectedMonth} />
                 </Section>
               </Card>
             </div>
@@ -654,144 +2478,406 @@ export default function SolarPumpDashboard() {
 
         {/* ═══ PVGIS DATA TAB ═══ */}
         {tab === "data" && (
-          <Card>
-            <Section icon="📁" title="PVGIS Hourly Data">
-              <p style={{ fontSize: "13px", color: C.textDim, lineHeight: 1.7, margin: "0 0 16px" }}>
-                Upload hourly data exported from PVGIS. Configure your PV system (location, installed peak PV power kWp, slope, and azimuth) on the
-                PVGIS website before downloading.
-              </p>
-
-              <a href="https://re.jrc.ec.europa.eu/pvg_tools/en/" target="_blank" rel="noreferrer"
-                style={{
-                  display: "inline-block", padding: "10px 22px", borderRadius: "8px",
-                  background: `${C.solar}18`, border: `1px solid ${C.solar}40`, color: C.solar,
-                  fontSize: "13px", fontWeight: 600, textDecoration: "none", marginBottom: "16px"
-                }}>
-                Open PVGIS Interactive Tool ↗
-              </a>
-
-              <div style={{ display: "flex", gap: "12px", alignItems: "center", marginBottom: "16px", flexWrap: "wrap" }}>
-                <input ref={fileRef} type="file" accept=".csv,.txt" onChange={handleCSVUpload} style={{ display: "none" }} />
-                <button onClick={() => fileRef.current?.click()} style={{
-                  padding: "10px 24px", borderRadius: "8px", border: `1px solid ${C.accent}`,
-                  background: `${C.accent}15`, color: C.accent, fontSize: "13px", fontWeight: 600, cursor: "pointer"
-                }}>Upload CSV File</button>
-                <button onClick={resetData} style={{
-                  padding: "10px 20px", borderRadius: "8px", border: `1px solid ${C.border}`,
-                  background: "transparent", color: C.textDim, fontSize: "13px", cursor: "pointer"
-                }}>Reset to Default</button>
-              </div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 300px", gap: "16px", alignItems: "start" }}>
+            <Card>
+              <Section icon="📁" title="Hourly Weather Data">
+                <p style={{ fontSize: "13px", color: C.textDim, lineHeight: 1.7, margin: "0 0 16px" }}>
+                  Upload hourly data exported from PVGIS. Configure location, slope and azimuth on the PVGIS website before downloading.
+                  G(i) irradiance is converted to power by the PV array model on the right; a P (PV power) column is rescaled from the
+                  kWp set on PVGIS to the array size set here.
+                </p>
+                <p style={{ fontSize: "12px", color: C.textMuted, lineHeight: 1.7, margin: "0 0 16px" }}>
+                  The format is detected from the file: {WEATHER_IMPORTERS.map(f => f.label).join(", ")}. NASA POWER
+                  (ALLSKY_SFC_SW_DWN + T2M) and EPW/TMY files give horizontal irradiance; set the panel tilt and azimuth under
+                  Array Mounting to transpose it. PVGIS files can be transposed when downloaded at 0° slope or with radiation components.
+                </p>
+
+                <a href="https://re.jrc.ec.europa.eu/pvg_tools/en/" target="_blank" rel="noreferrer"
+                  style={{
+                    display: "inline-block", padding: "10px 22px", borderRadius: "8px",
+                    background: `${C.solar}18`, border: `1px solid ${C.solar}40`, color: C.solar,
+                    fontSize: "13px", fontWeight: 600, textDecoration: "none", marginBottom: "16px"
+                  }}>
+                  Open PVGIS Interactive Tool ↗
+                </a>
+
+                <div style={{ display: "flex", gap: "12px", alignItems: "center", marginBottom: "16px", flexWrap: "wrap" }}>
+                  <input ref={fileRef} type="file" accept=".csv,.txt,.json,.epw" onChange={handleWeatherUpload} style={{ display: "none" }} />
+                  <button onClick={() => fileRef.current?.click()} style={{
+                    padding: "10px 24px", borderRadius: "8px", border: `1px solid ${C.accent}`,
+                    background: `${C.accent}15`, color: C.accent, fontSize: "13px", fontWeight: 600, cursor: "pointer"
+                  }}>Upload Weather File</button>
+                  <button onClick={resetData} style={{
+                    padding: "10px 20px", borderRadius: "8px", border: `1px solid ${C.border}`,
+                    background: "transparent", color: C.textDim, fontSize: "13px", cursor: "pointer"
+                  }}>Reset to Default</button>
+                </div>
 
-              {uploadStatus && <div style={{ padding: "10px 16px", background: `${C.success}12`, border: `1px solid ${C.success}30`, borderRadius: "8px", color: C.success, fontSize: "12px", marginBottom: "12px" }}>✓ {uploadStatus}</div>}
-              {uploadError && <div style={{ padding: "10px 16px", background: `${C.deficit}12`, border: `1px solid ${C.deficit}30`, borderRadius: "8px", color: C.deficit, fontSize: "12px", marginBottom: "12px" }}>⚠ {uploadError}</div>}
+                {uploadStatus && <div style={{ padding: "10px 16px", background: `${C.success}12`, border: `1px solid ${C.success}30`, borderRadius: "8px", color: C.success, fontSize: "12px", marginBottom: "12px" }}>✓ {uploadStatus}</div>}
+                {uploadError && <div style={{ padding: "10px 16px", background: `${C.deficit}12`, border: `1px solid ${C.deficit}30`, borderRadius: "8px", color: C.deficit, fontSize: "12px", marginBottom: "12px" }}>⚠ {uploadError}</div>}
+
+                {/* Site info */}
+                <div style={{ padding: "12px 16px", background: C.cardAlt, borderRadius: "8px", marginBottom: "20px", fontSize: "12px", color: C.textDim, lineHeight: 1.7 }}>
+                  <strong style={{ color: C.text }}>Current site:</strong> {site.name} · {site.lat}°N, {site.lon}°E · {site.elev}m elevation<br/>
+                  <strong style={{ color: C.text }}>Time base:</strong> data in {formatUtcOffset(sourceOffset)} · shown in local time {tzLabel}
+                  {" "}({local.shift === 0 ? "no shift" : `shifted ${local.shift > 0 ? "+" : "−"}${Math.abs(local.shift)} h`}{Math.abs(utcOffset - sourceOffset - local.shift) > 1e-9 ? ", rounded to whole hours" : ""})
+                  <div style={{ display: "flex", gap: "10px", alignItems: "center", flexWrap: "wrap", marginTop: "8px" }}>
+                    <Pills value={timeShift.mode} onChange={mode => setTimeShift(t => ({ ...t, mode }))} options={[
+                      { id: "auto", label: "From longitude", title: "Solar time: longitude / 15°, rounded to the hour" },
+                      { id: "offset", label: "UTC offset" },
+                      { id: "zone", label: "Time zone", title: "Standard time of the zone (no daylight saving)" }
+                    ]} />
+                    {timeShift.mode === "offset" && (
+                      <div style={{ width: "200px" }}>
+                        <NumField label="Offset" value={timeShift.offset} onChange={offset => setTimeShift(t => ({ ...t, offset }))} unit="h" step={0.5} min={-12} max={14} />
+                      </div>
+                    )}
+                    {timeShift.mode === "zone" && (
+                      <select value={timeShift.zone} onChange={e => setTimeShift(t => ({ ...t, zone: e.target.value }))} style={{
+                        padding: "5px 8px", borderRadius: "6px", border: `1px solid ${C.border}`,
+                        background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace"
+                      }}>
+                        {(Intl.supportedValuesOf?.("timeZone") ?? ["UTC", "Africa/Kampala", "Africa/Nairobi", "Africa/Lagos", "Asia/Kolkata", "America/New_York"])
+                          .map(z => <option key={z} value={z}>{z}</option>)}
+                      </select>
+                    )}
+                  </div>
+                </div>
 
-              {/* Site info */}
-              <div style={{ padding: "12px 16px", background: C.cardAlt, borderRadius: "8px", marginBottom: "20px", fontSize: "12px", color: C.textDim, lineHeight: 1.7 }}>
-                <strong style={{ color: C.text }}>Current site:</strong> {site.name} · {site.lat}°N, {site.lon}°E · {site.elev}m elevation
-              </div>
+                {/* All 12 month profiles */}
+                <div>
+                  <h3 style={{ fontSize: "13px", color: C.text, marginBottom: "10px" }}>Average Monthly Irradiance Profiles <span style={{ color: C.textMuted, fontWeight: 400 }}>· {transposed ? "array plane" : "as downloaded"} · local time ({tzLabel})</span></h3>
+                  <ResponsiveContainer width="100%" height={340}>
+                    <LineChart>
+                      <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
+                      <XAxis dataKey="hour" type="number" domain={[0, 23]} tick={{ fill: C.textDim, fontSize: 10 }} tickFormatter={h => `${h}:00`} />
+                      <YAxis tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "W/m²", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
+                      <Tooltip contentStyle={ttStyle} labelFormatter={h => `${h}:00`} />
+                      {MONTH_NAMES.map((name, m) => {
+                        // Generate distinct colors for 12 months
+                        const hue = (m * 30) % 360;
+                        const color = `hsl(${hue}, 75%, 60%)`;
+                        return (
+                          <Line key={m} data={local.profiles[m+1].map((v,h) => ({hour:h, value:v}))}
+                            dataKey="value" name={name}
+                            stroke={color} strokeWidth={1.5} dot={false} />
+                        );
+                      })}
+                      <Legend wrapperStyle={{ fontSize: "10px" }} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
 
-              {/* All 12 month profiles */}
-              <div>
-                <h3 style={{ fontSize: "13px", color: C.text, marginBottom: "10px" }}>Average Monthly Irradiance Profiles</h3>
-                <ResponsiveContainer width="100%" height={340}>
-                  <LineChart>
-                    <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
-                    <XAxis dataKey="hour" type="number" domain={[0, 23]} tick={{ fill: C.textDim, fontSize: 10 }} tickFormatter={h => `${h}:00`} />
-                    <YAxis tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "W/m²", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
-                    <Tooltip contentStyle={ttStyle} labelFormatter={h => `${h}:00`} />
-                    {MONTH_NAMES.map((name, m) => {
-                      // Generate distinct colors for 12 months
-                      const hue = (m * 30) % 360;
-                      const color = `hsl(${hue}, 75%, 60%)`;
-                      return (
-                        <Line key={m} data={profiles[m+1].map((v,h) => ({hour:h, value:v}))}
-                          dataKey="value" name={name}
-                          stroke={color} strokeWidth={1.5} dot={false} />
-                      );
-                    })}
-                    <Legend wrapperStyle={{ fontSize: "10px" }} />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
+                {/* How-to */}
+                <div style={{ marginTop: "20px", padding: "14px", background: C.cardAlt, borderRadius: "8px" }}>
+                  <h4 style={{ fontSize: "12px", color: C.textDim, margin: "0 0 8px" }}>How to download from PVGIS:</h4>
+                  <ol style={{ fontSize: "12px", color: C.textDim, lineHeight: 1.8, margin: 0, paddingLeft: "20px" }}>
+                    <li>Open <a href="https://re.jrc.ec.europa.eu/pvg_tools/en/" target="_blank" rel="noreferrer" style={{ color: C.accent }}>PVGIS Interactive Tool</a></li>
+                    <li>Enter your site coordinates on the left window</li>
+                    <li>Select <strong style={{ color: C.text }}>"Hourly data"</strong> in the left panel</li>
+                    <li>Set <strong style={{ color: C.text }}>installed peak PV power (kWp)</strong>, panel slope, and azimuth</li>
+                    <li>Click the blue <strong style={{ color: C.text }}>download CSV</strong> button at the bottom of the page</li>
+                    <li>Upload the CSV file here</li>
+                  </ol>
+                </div>
+              </Section>
+            </Card>
+            <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+              <MountPanel mount={mount} onChange={setMount} support={support} meta={weatherMeta}
+                insolation={solarSource.kind === "G" ? { file: annualInsolation(profiles), mounted: annualInsolation(mounted.profiles) } : null} />
+              <Card>
+                <Section icon="🔆" title="PV Array Model">
+                  <NumField label="Array Size" value={pv.kWp} onChange={updatePv("kWp")} unit="kWp" step={0.1} min={0.1} />
+                  <NumField label="Temp. Coeff." value={pv.tempCoeffPct} onChange={updatePv("tempCoeffPct")} unit="%/°C" step={0.01} />
+                  <NumField label="NOCT" value={pv.noctC} onChange={updatePv("noctC")} unit="°C" step={1} />
+                  <NumField label="Soiling" value={pv.soilingPct} onChange={updatePv("soilingPct")} unit="%" step={0.5} min={0} max={100} />
+                  <NumField label="Wiring Loss" value={pv.wiringPct} onChange={updatePv("wiringPct")} unit="%" step={0.5} min={0} max={100} />
+                  <NumField label="Ambient (no T2m)" value={pv.ambientC} onChange={updatePv("ambientC")} unit="°C" step={1} />
+                  <div style={{ marginTop: "12px", padding: "10px 12px", background: C.cardAlt, borderRadius: "8px", fontSize: "11px", color: C.textDim, lineHeight: 1.7 }}>
+                    {solarSource.kind === "P"
+                      ? <>Data has a <strong style={{ color: C.text }}>P</strong> column ({solarSource.fileKWp ?? "?"} kWp on PVGIS): rescaled to {pv.kWp} kWp. Temperature and loss settings are already in the PVGIS output.</>
+                      : <>Power at controller = kWp × G(i) × temperature derate × (1 − soiling) × (1 − wiring). Cell temperature from NOCT using {tempProfiles ? <strong style={{ color: C.text }}>PVGIS T2m</strong> : `a fixed ${pv.ambientC}°C ambient`}.</>}
+                  </div>
+                  <div style={{ marginTop: "8px", fontSize: "11px", color: C.textMuted }}>
+                    At 1000 W/m² and {pv.ambientC}°C ambient: {Math.round(pvPowerAtController(1000, pv.ambientC, pv, { kind: "G" }))} W DC at the controller (efficiency and start-up threshold are set on the Pump Setup tab)
+                  </div>
+                </Section>
+              </Card>
+            </div>
+          </div>
+        )}
 
-              {/* How-to */}
-              <div style={{ marginTop: "20px", padding: "14px", background: C.cardAlt, borderRadius: "8px" }}>
-                <h4 style={{ fontSize: "12px", color: C.textDim, margin: "0 0 8px" }}>How to download from PVGIS:</h4>
-                <ol style={{ fontSize: "12px", color: C.textDim, lineHeight: 1.8, margin: 0, paddingLeft: "20px" }}>
-                  <li>Open <a href="https://re.jrc.ec.europa.eu/pvg_tools/en/" target="_blank" rel="noreferrer" style={{ color: C.accent }}>PVGIS Interactive Tool</a></li>
-                  <li>Enter your site coordinates on the left window</li>
-                  <li>Select <strong style={{ color: C.text }}>"Hourly data"</strong> in the left panel</li>
-                  <li>Set <strong style={{ color: C.text }}>installed peak PV power (kWp)</strong>, panel slope, and azimuth</li>
-                  <li>Click the blue <strong style={{ color: C.text }}>download CSV</strong> button at the bottom of the page</li>
-                  <li>Upload the CSV file here</li>
-                </ol>
-              </div>
-            </Section>
-          </Card>
+        {/* ═══ DEMAND TAB ═══ */}
+        {tab === "demand" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+            <CommunityPanel community={community} onChange={setCommunity} horizon={horizon} manualLiters={manualDemandLiters} />
+            <DemandEditor demand={demand} onChange={setDemand} dailyDemandLiters={dailyDemandLiters} />
+          </div>
         )}
 
         {/* ═══ PUMP SETUP TAB ═══ */}
         {tab === "pump" && (
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
+            <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+              <Card>
+                <Section icon="🔧" title="Pump Configuration">
+                  <div style={{ marginBottom: "16px" }}>
+                    <div style={{ fontSize: "11px", color: C.textMuted, marginBottom: "6px", fontFamily: "monospace", textTransform: "uppercase" }}>Preset</div>
+                    <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
+                      {Object.keys(PUMP_PRESETS).map(name => (
+                        <button key={name} onClick={() => handlePresetChange(name)} style={{
+                          padding: "6px 14px", borderRadius: "6px",
+                          border: `1px solid ${pumpPreset === name ? C.accent : C.border}`,
+                          background: pumpPreset === name ? `${C.accent}15` : "transparent",
+                          color: pumpPreset === name ? C.accent : C.textDim,
+                          fontSize: "11px", fontWeight: 600, cursor: "pointer"
+                        }}>{name}</button>
+                      ))}
+                    </div>
+                  </div>
+                  <div style={{ marginBottom: "16px" }}>
+                    <div style={{ fontSize: "11px", color: C.textMuted, marginBottom: "6px", fontFamily: "monospace", textTransform: "uppercase" }}>Curve fit</div>
+                    <Pills value={pumpFit} onChange={setPumpFit} options={PUMP_FITS} />
+                  </div>
+                  <PumpEditor
+                    curves={pumpCurves}
+                    onChange={editPumpCurves}
+                    issues={pumpIssues}
+                  />
+                  <div style={{ marginTop: "16px", padding: "12px", background: C.cardAlt, borderRadius: "8px", fontSize: "11px", color: C.textDim, lineHeight: 1.7 }}>
+                    <strong style={{ color: C.text }}>How to use:</strong> Enter flow (m³/hr) and power (W) data points from your pump's
+                    performance datasheet, one table per total dynamic head. The simulator fits a curve per head (straight segments
+                    by default) and interpolates between them at the head solved each hour (static lift + pipe friction). Beyond the mapped
+                    heads, flow from the nearest curve is scaled inversely with head.
+                  </div>
+                </Section>
+              </Card>
+              <PumpLibraryPanel library={library} selectedId={libraryId} onUse={pickLibraryPump} onChange={updateLibrary}
+                onSaveCurrent={savePumpToLibrary} currentLabel={pumpPreset === "Custom" ? "custom pump" : pumpPreset} />
+              <Card>
+                <Section icon="🚰" title="Rising Main">
+                  <NumField label="Length" value={pipe.lengthM} onChange={updatePipe("lengthM")} unit="m" step={10} min={0} />
+                  <NumField label="Inner Diameter" value={pipe.diameterMm} onChange={updatePipe("diameterMm")} unit="mm" step={1} min={1} />
+                  <NumField label="Fittings ΣK" value={pipe.fittingsK} onChange={updatePipe("fittingsK")} unit="" step={0.5} min={0} />
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+                    <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase" }}>Material</span>
+                    <select value={pipe.material} onChange={e => updatePipe("material")(e.target.value)} style={{
+                      padding: "5px 8px", borderRadius: "6px", border: `1px solid ${C.border}`,
+                      background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace"
+                    }}>
+                      {Object.keys(PIPE_MATERIALS).map(m => <option key={m} value={m}>{m}</option>)}
+                    </select>
+                  </div>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                    <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase" }}>Friction</span>
+                    <Pills value={pipe.method} onChange={updatePipe("method")} options={[
+                      { id: "hw", label: "Hazen-Williams" },
+                      { id: "dw", label: "Darcy-Weisbach" }
+                    ]} />
+                  </div>
+                  <div style={{ marginTop: "12px", fontSize: "11px", color: C.textMuted, lineHeight: 1.6 }}>
+                    C = {PIPE_MATERIALS[pipe.material].C} · ε = {PIPE_MATERIALS[pipe.material].roughnessMm} mm ·
+                    {borehole ? "friction + drawdown" : "friction"} at full power: {(systemViz.operating[systemViz.operating.length - 1].head - headM).toFixed(1)} m
+                  </div>
+                </Section>
+              </Card>
+              <Card>
+                <Section icon="🎛️" title="Controller">
+                  <NumField label="Min Start Power" value={controller.minStartW} onChange={updateController("minStartW")} unit="W" step={10} min={0} />
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+                    <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase" }}>Float Switch</span>
+                    <Pills value={controller.floatSwitch ? "on" : "off"} onChange={v => updateController("floatSwitch")(v === "on")} options={[
+                      { id: "on", label: "Fitted" },
+                      { id: "off", label: "None (overflow)" }
+                    ]} />
+                  </div>
+                  {controller.floatSwitch && <>
+                    <NumField label="Stop at" value={controller.stopPct} onChange={updateController("stopPct")} unit="% full" step={5} min={controller.restartPct} max={100} />
+                    <NumField label="Restart below" value={controller.restartPct} onChange={updateController("restartPct")} unit="% full" step={5} min={0} max={controller.stopPct} />
+                  </>}
+                  <div style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase", margin: "12px 0 8px" }}>Efficiency vs Load</div>
+                  {controller.effCurve.map((pt, i) => (
+                    <div key={i} style={{ display: "flex", gap: "8px" }}>
+                      <div style={{ flex: 1 }}><NumField label="Load" value={pt.load} onChange={updateEffPoint(i, "load")} unit="%" step={5} min={0} max={100} width="60px" /></div>
+                      <div style={{ flex: 1 }}><NumField label="η" value={pt.eff} onChange={updateEffPoint(i, "eff")} unit="%" step={0.5} min={0} max={100} width="60px" /></div>
+                    </div>
+                  ))}
+                  <div style={{ marginTop: "12px", fontSize: "11px", color: C.textMuted, lineHeight: 1.6 }}>
+                    Load is DC input as % of the pump's maximum power ({Math.round(pumpMaxPower(buildPumpMap(pumpCurves)))} W).
+                    {" "}{sim.pumpHours.toFixed(0)} pumping hours · {sim.starts} starts / {sim.stops} stops · {sim.curtailedKWh.toFixed(0)} kWh curtailed by {borehole ? "full tank or well limit" : "full tank"}
+                  </div>
+                </Section>
+              </Card>
+              <Card>
+                <Section icon="🕳️" title="Water Source">
+                  <Pills value={source.type} onChange={updateSource("type")} options={[
+                    { id: "none", label: "Unlimited (fixed lift)" },
+                    { id: "borehole", label: "Borehole" }
+                  ]} />
+                  {borehole && <div style={{ marginTop: "12px" }}>
+                    <NumField label="Rest water level" value={source.staticLevelM} onChange={updateSource("staticLevelM")} unit="m bgl" step={1} min={0} />
+                    <NumField label="Drawdown" value={source.drawdownPerM3h} onChange={updateSource("drawdownPerM3h")} unit="m per m³/h" step={0.5} min={0} />
+                    <NumField label="Seasonal range" value={source.seasonalM} onChange={updateSource("seasonalM")} unit="m" step={0.5} min={0} />
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+                      <span style={{ fontSize: "11px", color: C.textDim, fontFamily: "monospace", textTransform: "uppercase" }}>Lowest level in</span>
+                      <select value={source.lowMonth} onChange={e => updateSource("lowMonth")(+e.target.value)} style={{
+                        padding: "5px 8px", borderRadius: "6px", border: `1px solid ${C.border}`,
+                        background: C.cardAlt, color: C.text, fontSize: "12px", fontFamily: "monospace"
+                      }}>
+                        {MONTH_NAMES.map((m, i) => <option key={m} value={i}>{m}</option>)}
+                      </select>
+                    </div>
+                    <NumField label="Safe yield" value={source.safeYieldM3h} onChange={updateSource("safeYieldM3h")} unit="m³/h" step={0.1} min={0} />
+                    <NumField label="Pump intake depth" value={source.pumpDepthM} onChange={updateSource("pumpDepthM")} unit="m bgl" step={1} min={0} />
+                    <div style={{ marginTop: "12px", fontSize: "11px", color: C.textMuted, lineHeight: 1.6 }}>
+                      Static lift is measured from the mean rest level; head rises by the seasonal swing
+                      ({seasonalLevel(source, (source.lowMonth + 6) % 12).toFixed(1)}–{seasonalLevel(source, source.lowMonth).toFixed(1)} m) and by drawdown.
+                      {sim.source && <> Deepest pumping level {sim.source.deepestLevelM.toFixed(1)} m
+                        {sim.source.yieldHours + sim.source.intakeHours > 0 ? ` · flow limited in ${Math.round(sim.source.yieldHours + sim.source.intakeHours)} h` : " · never limited"}.</>}
+                    </div>
+                  </div>}
+                </Section>
+              </Card>
+            </div>
             <Card>
-              <Section icon="🔧" title="Pump Configuration">
-                <div style={{ marginBottom: "16px" }}>
-                  <div style={{ fontSize: "11px", color: C.textMuted, marginBottom: "6px", fontFamily: "monospace", textTransform: "uppercase" }}>Preset</div>
-                  <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
-                    {Object.keys(PUMP_PRESETS).map(name => (
-                      <button key={name} onClick={() => handlePresetChange(name)} style={{
-                        padding: "6px 14px", borderRadius: "6px",
-                        border: `1px solid ${pumpPreset === name ? C.accent : C.border}`,
-                        background: pumpPreset === name ? `${C.accent}15` : "transparent",
-                        color: pumpPreset === name ? C.accent : C.textDim,
-                        fontSize: "11px", fontWeight: 600, cursor: "pointer"
-                      }}>{name}</button>
-                    ))}
+              <Section icon="📈" title={`Pump Curve Preview @ ${headM}m static`}>
+                <PumpCurveChart viz={pumpViz} />
+                <h3 style={{ fontSize: "12px", color: C.textDim, margin: "18px 0 8px", fontWeight: 600 }}>System Curve vs Pump Curve</h3>
+                <SystemCurveChart viz={systemViz} />
+                {pumpCurves.map((c, ci) => (
+                  <div key={ci} style={{ marginTop: "12px" }}>
+                    <div style={{ fontSize: "11px", color: C.textMuted, marginBottom: "6px" }}>Data points at {c.head}m:</div>
+                    <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
+                      {[...c.segments].sort((a,b) => a.power - b.power).map((s, i) => (
+                        <span key={i} style={{ fontSize: "10px", padding: "3px 8px", background: C.cardAlt, borderRadius: "4px", color: C.textDim, fontFamily: "monospace" }}>
+                          {s.power}W → {s.flow} m³/hr
+                        </span>
+                      ))}
+                    </div>
                   </div>
-                </div>
-                <PumpEditor
-                  segments={pumpSegments}
-                  onChange={(s) => { setPumpSegments(s); setPumpPreset("Custom"); }}
-                  refHead={refHead}
-                  onRefHeadChange={setRefHead}
-                />
-                <div style={{ marginTop: "16px", padding: "12px", background: C.cardAlt, borderRadius: "8px", fontSize: "11px", color: C.textDim, lineHeight: 1.7 }}>
-                  <strong style={{ color: C.text }}>How to use:</strong> Enter flow (m³/hr) and power (W) data points from your pump's
-                  performance datasheet at the reference total dynamic head. The simulator builds a piecewise-linear curve
-                  and scales flow inversely when you adjust head on the Simulation tab.
+                ))}
+              </Section>
+            </Card>
+          </div>
+        )}
+
+        {/* ═══ SIZING TAB ═══ */}
+        {tab === "sizing" && (
+          <SizingPanel params={{ ...simParams, hours: yearHours }} pumps={sizingPumps} costs={costs}
+            basis={basisLabel} onApply={applyDesign} />
+        )}
+
+        {/* ═══ ECONOMICS TAB ═══ */}
+        {tab === "econ" && (
+          <EconomicsPanel costs={costs} onCostsChange={setCosts} finance={finance} onFinanceChange={setFinance} capex={capex} econ={econ} />
+        )}
+
+        {/* ═══ LIFETIME TAB ═══ */}
+        {tab === "life" && (
+          <LifetimePanel lifetime={lifetime} onChange={setLifetime} finance={finance} onFinanceChange={setFinance}
+            basis={lifeBasis} growth={lifeGrowth} onRun={runLifetimeStudy} running={lifeRunning} life={lifeRun} />
+        )}
+
+        {/* ═══ COMPARE TAB ═══ */}
+        {tab === "compare" && (
+          <ScenarioPanel scenarios={scenarios} onSave={saveScenario} onLoad={loadScenario}
+            onDelete={(name) => setScenarios(list => list.filter(s => s.name !== name))} />
+        )}
+
+        {/* ═══ FIELD DATA TAB ═══ */}
+        {tab === "field" && (
+          <FieldDataPanel measured={measured} onMeasured={setMeasured} params={simParams} hours={local.hours} utcOffset={utcOffset}
+            onApply={(fit) => { setPv(p => ({ ...p, derate: fit.pvDerate })); setPumpDerate(fit.pumpDerate); }} />
+        )}
+
+        {/* ═══ REPORT TAB ═══ */}
+        {tab === "report" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+            <div className="no-print" style={{ display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap" }}>
+              <button onClick={() => window.print()} style={{ padding: "8px 14px", borderRadius: "6px", border: `1px solid ${C.accent}`, background: `${C.accent}20`, color: C.accent, fontSize: "12px", fontWeight: 600, cursor: "pointer" }}>🖨 Print / Save as PDF</button>
+              <span style={{ fontSize: "11px", color: C.textMuted, margin: "0 6px 0 10px", fontFamily: "monospace" }}>CSV:</span>
+              <button onClick={() => exportCSV("hourly")} style={{ padding: "8px 14px", borderRadius: "6px", border: `1px solid ${C.border}`, background: C.cardAlt, color: C.textDim, fontSize: "12px", fontWeight: 600, cursor: "pointer" }}>Hourly</button>
+              <button onClick={() => exportCSV("daily")} style={{ padding: "8px 14px", borderRadius: "6px", border: `1px solid ${C.border}`, background: C.cardAlt, color: C.textDim, fontSize: "12px", fontWeight: 600, cursor: "pointer" }}>Daily</button>
+              <button onClick={() => exportCSV("monthly")} style={{ padding: "8px 14px", borderRadius: "6px", border: `1px solid ${C.border}`, background: C.cardAlt, color: C.textDim, fontSize: "12px", fontWeight: 600, cursor: "pointer" }}>Monthly</button>
+            </div>
+
+            <Card className="report-block">
+              <Section icon="📄" title={`Design Report — ${site.name}`}
+                right={<span style={{ fontSize: "11px", color: C.textMuted, fontFamily: "monospace" }}>{new Date().toISOString().slice(0, 10)}</span>}>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "24px" }}>
+                  <KVTable rows={[
+                    ["Site", `${site.lat}°N, ${site.lon}°E · ${site.elev} m ASL · local time ${tzLabel}`],
+                    ["Solar data", uploadStatus || "Built-in monthly average profiles"],
+                    ["Simulation basis", basisLabel],
+                    ["Pump", `${pumpPreset} · curves at ${pumpCurves.map(c => c.head).join(", ")} m`],
+                    ["PV array", `${pv.kWp.toFixed(1)} kWp · ${pv.tempCoeffPct}%/°C · NOCT ${pv.noctC}°C`],
+                    transposed && ["Mounting", `${mountLabel(mount)} · albedo ${mount.albedo}${mount.horizon.some(v => v > 0) ? ` · horizon ${mount.horizon.join("/")}°` : ""}`],
+                    ["PV losses", `soiling ${pv.soilingPct}% · wiring ${pv.wiringPct}%`],
+                    calibrated && ["Field calibration", `PV × ${pv.derate.toFixed(2)} · pump flow × ${pumpDerate.toFixed(2)}`],
+                    ["Controller", `start ≥ ${controller.minStartW} W · ${controller.floatSwitch ? `float ${controller.stopPct}/${controller.restartPct}%` : "no float switch"} · η ${controller.effCurve.map(pt => pt.eff).join("/")}%`],
+                    ["Static lift / avg TDH", `${headM} m / ${sim.avgHead.toFixed(1)} m`],
+                    ["Rising main", `${pipe.lengthM} m × ${pipe.diameterMm} mm ${pipe.material} · ΣK ${pipe.fittingsK}`],
+                    borehole && ["Borehole", `rest level ${source.staticLevelM} m ± ${source.seasonalM / 2} m · ${source.drawdownPerM3h} m per m³/h · safe yield ${source.safeYieldM3h} m³/h · intake ${source.pumpDepthM} m`],
+                    ["Storage tank", `${storageLiters.toLocaleString()} L`],
+                    ["Demand", `${dailyDemandLiters.toLocaleString()} L/d · ${demand.shape}${demand.monthly.some(v => v !== 1) ? " · seasonal" : ""}`],
+                    horizon && ["Community", `${serves} in ${communityBasisYear(community)} · growth ${community.growthPct}%/yr`],
+                    horizon && ["Reliability horizon", `${horizon.today.year}: ${horizon.today.sim.reliability.toFixed(1)}% · ${horizon.design.year}: ${horizon.design.sim.reliability.toFixed(1)}%`]
+                  ]} />
+                  <KVTable rows={[
+                    ...STAT_METRICS.map(m => [m.label, `${m.get(sim).toLocaleString(undefined, { maximumFractionDigits: m.digits ?? 0 })} ${m.unit}`]),
+                    ["Deficit", `${(sim.yearlyDeficit * 1000).toFixed(0)} L`],
+                    controller.floatSwitch
+                      ? ["Curtailed by full tank", `${sim.curtailedKWh.toFixed(0)} kWh`]
+                      : ["Overflow", `${(sim.yearlyOverflow * 1000).toFixed(0)} L`],
+                    ["Pumping", `${sim.pumpHours.toFixed(0)} h · ${sim.starts} starts / ${sim.stops} stops`],
+                    ...reliabilityRows,
+                    yearly && ["Worst year", `${worstRow.year}: ${worstRow.reliability.toFixed(1)}% · P90 ${yearly.p90.toFixed(1)} m³/yr`],
+                    lifeRun && ["Lifetime", `${lifeRun.rows.length} yr · ${lifeRun.firstBelowYear ? `below ${lifeRun.target}% from year ${lifeRun.firstBelowYear}` : `≥${lifeRun.target}% every year`} · worst ${lifeRun.worst.reliability.toFixed(1)}% (year ${lifeRun.worst.year})`],
+                    mc && !mcState.running && ["Monte Carlo", `${mc.years} years · reliability mean ${mc.mean.toFixed(1)}%, P90 ${mc.p90.toFixed(1)}% · ${mc.fullyServedPct.toFixed(0)}% of years fully served`],
+                    ["CAPEX", `$${Math.round(capex.total).toLocaleString()}`],
+                    ["Cost of water", `$${econ.solar.lcow.toFixed(2)}/m³ (diesel $${econ.diesel.lcow.toFixed(2)}/m³)`]
+                  ]} />
                 </div>
               </Section>
             </Card>
-            <Card>
-              <Section icon="📈" title={`Pump Curve Preview @ ${headM}m`}>
-                <ResponsiveContainer width="100%" height={300}>
-                  <AreaChart data={pumpViz}>
-                    <defs><linearGradient id="pg2" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stopColor={C.water} stopOpacity={0.2}/><stop offset="100%" stopColor={C.water} stopOpacity={0.02}/></linearGradient></defs>
-                    <CartesianGrid strokeDasharray="3 3" stroke={C.grid} />
-                    <XAxis dataKey="power" tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Power (W)", position: "bottom", fill: C.textDim, fontSize: 10 }} />
-                    <YAxis tick={{ fill: C.textDim, fontSize: 10 }} label={{ value: "Flow (m³/hr)", angle: -90, position: "insideLeft", fill: C.textDim, fontSize: 10 }} />
-                    <Tooltip contentStyle={ttStyle} formatter={(v) => [`${v} m³/hr`]} labelFormatter={(l) => `${l} W`} />
-                    <Area type="monotone" dataKey="flow" stroke={C.water} fill="url(#pg2)" strokeWidth={2.5} dot={false} />
-                  </AreaChart>
-                </ResponsiveContainer>
-                <div style={{ marginTop: "12px" }}>
-                  <div style={{ fontSize: "11px", color: C.textMuted, marginBottom: "6px" }}>Data points at ref head ({refHead}m):</div>
-                  <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
-                    {[...pumpSegments].sort((a,b) => a.power - b.power).map((s, i) => (
-                      <span key={i} style={{ fontSize: "10px", padding: "3px 8px", background: C.cardAlt, borderRadius: "4px", color: C.textDim, fontFamily: "monospace" }}>
-                        {s.power}W → {s.flow} m³/hr
-                      </span>
-                    ))}
-                  </div>
+
+            <Card className="report-block"><Section icon="📊" title="Monthly Water Balance" right={bandNote}><MonthlyBalanceChart data={monthlyChart} /></Section></Card>
+            <Card className="report-block"><Section icon="🕐" title={`Hourly Profile — ${MONTH_NAMES[selectedMonth]} · local time (${tzLabel})`}><HourlyProfileChart data={hourly} /></Section></Card>
+            <Card className="report-block"><Section icon="💧" title="Daily Load Served"><DailyServedChart data={sim.dailyServed} /></Section></Card>
+            <Card className="report-block"><Section icon="📉" title="Duration Curves"><DurationCurveChart data={durations} /></Section></Card>
+            <Card className="report-block"><Section icon="🗓️" title={`Daily Served — ${chrono ? simYear : "typical year"}`}><ServedCalendar days={sim.dailyServed} /></Section></Card>
+            <Card className="report-block"><Section icon="🛢️" title={`Tank Level — ${sim.daysFull} days full, ${sim.daysEmpty} days empty`}><TankLevelChart data={sim.dailyServed} capacityLiters={storageLiters} /></Section></Card>
+            {yearly && (
+              <Card className="report-block"><Section icon="📅" title="Multi-Year Delivery"><YearlyDeliveryChart yearly={yearly} /></Section></Card>
+            )}
+            {lifeRun && (
+              <Card className="report-block">
+                <Section icon="⏳" title={`Project Life — PV −${lifetime.pvDegradationPct}%/yr · pump −${lifetime.pumpWearPct}%/yr`}>
+                  <LifetimeChart life={lifeRun} target={lifeRun.target} />
+                </Section>
+              </Card>
+            )}
+            <Card className="report-block">
+              <Section icon="📈" title={`Pump Curve @ ${headM}m static`}>
+                <PumpCurveChart viz={pumpViz} height={260} />
+                <SystemCurveChart viz={systemViz} height={240} />
+              </Section>
+            </Card>
+            <Card className="report-block"><Section icon="📋" title="Monthly Summary"><MonthlySummaryTable monthly={sim.monthly} /></Section></Card>
+            <Card className="report-block">
+              <Section icon="📝" title="Assumptions">
+                <div style={{ fontSize: "11px", color: C.textDim, lineHeight: 1.7, fontFamily: "monospace" }}>
+                  {modelLine}. {warmUp ? `Tank start level from warm-up (${(sim.startStorage * 1000).toFixed(0)} L)` : `Tank starts ${initialFillPct}% full`}. Delivered water = demand − deficit.
                 </div>
+                {designWarnings.map((w, i) => <div key={i} style={{ fontSize: "11px", color: C.deficit, lineHeight: 1.7, marginTop: "6px" }}>⚠ {w}</div>)}
               </Section>
             </Card>
           </div>
         )}
 
         {/* FOOTER */}
-        <div style={{ marginTop: "20px", padding: "14px 18px", background: C.card, border: `1px solid ${C.border}`, borderRadius: "10px", fontSize: "10px", color: C.textMuted, lineHeight: 1.6, fontFamily: "monospace" }}>
-          <strong style={{ color: C.textDim }}>Model:</strong> Hourly timestep · PVGIS solar data · Piecewise-linear pump curve · Flow ∝ 1/head ·
+        <div className="no-print" style={{ marginTop: "20px", padding: "14px 18px", background: C.card, border: `1px solid ${C.border}`, borderRadius: "10px", fontSize: "10px", color: C.textMuted, lineHeight: 1.6, fontFamily: "monospace" }}>
+          <strong style={{ color: C.textDim }}>Model:</strong> {modelLine} ·
           {" "}Built by <strong style={{ color: C.accent }}>Tuneh Knott</strong> — Engineers Without Borders, Virginia Tech
         </div>
       </div>
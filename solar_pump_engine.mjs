@@ -0,0 +1,2075 @@
+// Solar water pumping simulation engine: weather import and transposition to
+// the array plane, the pump, pipe, PV and controller models, the hourly tank
+// simulation and the analyses built on it (multi-year, lifetime, Monte Carlo,
+// sizing, economics, CSV export). A plain ES module with no React or DOM
+// dependencies, shared by solar_pump_dashboard.jsx, the batch worker and the
+// command-line runner (solar_pump_cli.mjs).
+
+// ─── DEFAULT CONSTANTS ────────────────────────────────────────────
+export const MONTH_NAMES = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+export const DAYS_IN_MONTH = [31,28,31,30,31,30,31,31,30,31,30,31];
+
+// Default: average hourly G(i) irradiance (W/m²) per month, hours in UTC
+// Source: PVGIS-SARAH3, Kapchorwa Uganda (1.406°N, 34.480°E, 1886m), 3° slope, 0° azimuth, 2023
+export const DEFAULT_WEATHER_META = { lat: 1.406, lon: 34.48, surface: "plane", slope: 3, azimuth: 0 };
+export const DEFAULT_PROFILES = {
+  1:[0,0,0,0,16.1,260.6,519.9,747.5,916.1,1021.1,988.0,870.6,705.9,545.0,332.6,117.5,0,0,0,0,0,0,0,0],
+  2:[0,0,0,0,7.4,233.9,507.2,725.4,933.0,1037.9,1050.3,894.6,712.4,516.2,343.6,121.1,0,0,0,0,0,0,0,0],
+  3:[0,0,0,0,15.9,203.5,442.3,610.8,788.2,862.7,890.8,774.6,653.0,452.7,234.8,88.7,0,0,0,0,0,0,0,0],
+  4:[0,0,0,0,41.8,236.9,444.0,638.9,791.5,856.2,860.2,801.1,595.5,389.6,237.5,66.5,0,0,0,0,0,0,0,0],
+  5:[0,0,0,0,60.4,273.0,495.2,666.5,821.0,909.4,903.9,789.4,596.9,394.7,185.7,49.2,0,0,0,0,0,0,0,0],
+  6:[0,0,0,0,33.0,209.8,429.6,588.7,747.2,760.1,775.3,708.8,615.5,407.8,183.2,55.8,0,0,0,0,0,0,0,0],
+  7:[0,0,0,0,22.2,207.5,426.2,612.7,769.2,785.5,773.2,684.0,616.0,449.3,253.6,72.5,0,0,0,0,0,0,0,0],
+  8:[0,0,0,0,34.0,247.3,467.4,699.7,861.0,918.3,820.3,751.0,623.0,403.8,248.6,77.7,0,0,0,0,0,0,0,0],
+  9:[0,0,0,0,50.4,257.6,513.2,727.6,863.8,935.9,908.0,847.8,639.3,405.3,191.3,48.8,0,0,0,0,0,0,0,0],
+  10:[0,0,0,0,72.1,275.5,490.1,699.7,816.5,857.7,879.4,702.7,466.3,317.5,174.5,24.0,0,0,0,0,0,0,0,0],
+  11:[0,0,0,0,62.8,290.4,515.3,697.9,824.8,872.9,784.2,748.1,574.3,376.6,193.9,24.6,0,0,0,0,0,0,0,0],
+  12:[0,0,0,0,34.2,279.2,502.4,708.4,843.5,915.3,895.2,821.1,627.1,449.7,231.7,50.3,0,0,0,0,0,0,0,0]
+};
+
+// Demand shapes — relative draw in each hour of the day, normalised to the
+// daily total when used. Monthly multipliers scale the daily total by season.
+export const DEMAND_SHAPES = {
+  "Flat": Array(24).fill(1),
+  "Two-peak rural": [0,0,0,0,0,2,8,12,10,6,4,3,3,3,4,6,9,11,8,4,2,1,0,0],
+  "School": [0,0,0,0,0,0,1,6,10,8,6,8,10,8,6,3,1,0,0,0,0,0,0,0],
+  "Clinic": [1,1,1,1,1,2,3,6,8,8,7,6,6,6,6,5,4,3,2,2,1,1,1,1]
+};
+export const DEFAULT_DEMAND = { shape: "Flat", hourly: DEMAND_SHAPES["Flat"], monthly: Array(12).fill(1) };
+
+// Hourly fraction of the daily total, falling back to flat for an all-zero shape
+export function normaliseShape(hourly) {
+  const total = hourly.reduce((a, b) => a + Math.max(0, b), 0);
+  return total > 0 ? hourly.map(v => Math.max(0, v) / total) : Array(24).fill(1 / 24);
+}
+
+// ─── COMMUNITY DEMAND ─────────────────────────────────────────────
+// Daily demand built up from the users of the water point, each group at its
+// own allowance per head. Counts grow at one compound rate from the survey
+// (base) year, and the system is usually sized for the design year.
+export const DEMAND_CATEGORIES = [
+  { id: "people", label: "People", unit: "persons", litersEach: 15 },
+  { id: "pupils", label: "School pupils", unit: "pupils", litersEach: 5 },
+  { id: "beds", label: "Clinic beds", unit: "beds", litersEach: 40 },
+  { id: "livestock", label: "Livestock", unit: "head", litersEach: 25 }
+];
+
+export const DEFAULT_COMMUNITY = {
+  enabled: false,
+  groups: Object.fromEntries(DEMAND_CATEGORIES.map(c => [c.id, { count: c.id === "people" ? 133 : 0, litersEach: c.litersEach }])),
+  growthPct: 3, baseYear: 2025, designYear: 2040,
+  basis: "design" // which year's demand drives the simulation: "base" or "design"
+};
+
+// Demand of each group in a given year, liters/day
+export function communityDemand(community, year = community.baseYear) {
+  const growth = Math.pow(1 + community.growthPct / 100, Math.max(0, year - community.baseYear));
+  const rows = DEMAND_CATEGORIES.map(cat => {
+    const g = { count: 0, litersEach: cat.litersEach, ...community.groups?.[cat.id] };
+    const count = Math.round(Math.max(0, g.count) * growth);
+    return { ...cat, count, litersEach: g.litersEach, liters: count * g.litersEach };
+  });
+  return { year, growth, rows, total: rows.reduce((a, r) => a + r.liters, 0) };
+}
+
+export const communityBasisYear = (community) => community.basis === "base" ? community.baseYear : community.designYear;
+
+// Pump presets — each pump is a performance map of flow vs power curves at
+// one or more total dynamic heads. The SQF maps are representative curves
+// shaped after the Grundfos SQF datasheets; check the exact model's sheet.
+export const PUMP_PRESETS = {
+  "SQF-2 (1kW)": {
+    curves: [
+      { head: 100, segments: [
+        { flow: 3.90, power: 660 }, { flow: 3.55, power: 590 }, { flow: 3.08, power: 500 }, { flow: 2.70, power: 430 },
+        { flow: 2.24, power: 350 }, { flow: 1.52, power: 240 }, { flow: 0.95, power: 160 }, { flow: 0.58, power: 100 }
+      ] },
+      { head: 150, segments: [
+        { flow: 2.79, power: 660 }, { flow: 2.52, power: 590 }, { flow: 2.15, power: 500 }, { flow: 1.84, power: 430 },
+        { flow: 1.49, power: 350 }, { flow: 0.94, power: 240 }, { flow: 0.53, power: 160 }, { flow: 0.30, power: 100 }
+      ] },
+      { head: 200, segments: [
+        { flow: 2.02, power: 660 }, { flow: 1.80, power: 590 }, { flow: 1.50, power: 500 }, { flow: 1.24, power: 430 },
+        { flow: 0.95, power: 350 }, { flow: 0.66, power: 280 }, { flow: 0.38, power: 220 }, { flow: 0.12, power: 170 }
+      ] }
+    ]
+  },
+  "SQF-10 (2kW)": {
+    curves: [
+      { head: 100, segments: [
+        { flow: 7.60, power: 1800 }, { flow: 6.90, power: 1500 }, { flow: 5.90, power: 1200 }, { flow: 4.80, power: 900 },
+        { flow: 3.70, power: 700 }, { flow: 2.50, power: 500 }, { flow: 1.35, power: 300 }, { flow: 0.60, power: 150 }
+      ] },
+      { head: 150, segments: [
+        { flow: 5.50, power: 1800 }, { flow: 5.00, power: 1500 }, { flow: 4.20, power: 1200 }, { flow: 3.40, power: 900 },
+        { flow: 2.50, power: 700 }, { flow: 1.60, power: 500 }, { flow: 0.80, power: 300 }, { flow: 0.30, power: 150 }
+      ] },
+      { head: 200, segments: [
+        { flow: 4.10, power: 1800 }, { flow: 3.60, power: 1500 }, { flow: 2.95, power: 1200 }, { flow: 2.20, power: 900 },
+        { flow: 1.55, power: 700 }, { flow: 0.85, power: 500 }, { flow: 0.35, power: 350 }, { flow: 0.08, power: 250 }
+      ] }
+    ]
+  },
+  "Custom": {
+    curves: [
+      { head: 150, segments: [
+        { flow: 2.0, power: 500 },
+        { flow: 1.0, power: 250 },
+        { flow: 0.3, power: 100 },
+      ] }
+    ]
+  }
+};
+
+// Deep copy so editing a pump never mutates the preset tables
+export const clonePumpCurves = (curves) => curves.map(c => ({ head: c.head, segments: c.segments.map(s => ({ ...s })) }));
+
+// Rising main. Hazen-Williams C and Darcy-Weisbach absolute roughness per material.
+export const PIPE_MATERIALS = {
+  "HDPE / PE": { C: 150, roughnessMm: 0.007 },
+  "PVC": { C: 150, roughnessMm: 0.0015 },
+  "Galvanised steel": { C: 120, roughnessMm: 0.15 },
+  "Cast iron": { C: 100, roughnessMm: 0.26 }
+};
+export const DEFAULT_PIPE = { lengthM: 200, diameterMm: 40, material: "HDPE / PE", fittingsK: 5, method: "hw" };
+
+// ─── WEATHER IMPORTERS ────────────────────────────────────────────
+// Each importer turns one file format into the same result:
+//   { profiles, tempProfiles, hours, meta, kind, rowCount, colUsed }
+// where `hours` is the hourly series ({ year, month, day, hour, val, temp, t })
+// for chronological simulation and `profiles` the 12 monthly average days.
+// Irradiance components, when the file has them, ride along on each hour for
+// the PLANE OF ARRAY step: `dni`/`dhi` (horizontal files) or `gb`/`gd` (PVGIS
+// beam and diffuse on the downloaded plane).
+// `kind` is "P" (PV power, W) or "G" (irradiance, W/m²). `meta.surface` says
+// whether G is on the module plane or horizontal, and `meta.timeRef` /
+// `meta.utcOffset` record the time base of the timestamps (`t` is the UTC
+// instant in ms). Series are shifted to site local time by the TIME BASE step.
+// `importWeather` picks the importer whose `detect` matches and prefixes its
+// errors with the format name.
+
+const EMPTY_META = {
+  lat: null, lon: null, elev: null, slope: null, azimuth: null, db: null, kWp: null,
+  surface: "plane", timeRef: "UTC", utcOffset: 0
+};
+
+function finishImport(hourlyData, meta, { kind, colUsed, hasTemp }) {
+  if (hourlyData.length < 100) throw new Error(`Only found ${hourlyData.length} data rows. Expected ~8760 for a full year.`);
+  const hours = hourlyData
+    .filter(d => d.month >= 1 && d.month <= 12 && d.hour >= 0 && d.hour < 24)
+    .map(d => ({ ...d, t: utcMillis(d, meta.utcOffset) }));
+  return {
+    profiles: buildProfiles(hours, "val"),
+    tempProfiles: hasTemp ? buildProfiles(hours, "temp") : null,
+    hours, meta, kind, rowCount: hourlyData.length, colUsed
+  };
+}
+
+// Missing-value markers (-999 in POWER, 9999 in EPW) become null
+const num = (v, missing) => {
+  const x = parseFloat(v);
+  return Number.isFinite(x) && !(missing && missing(x)) ? x : null;
+};
+
+// PVGIS hourly CSV. Users configure their PV system (kWp, slope, azimuth) on
+// the PVGIS website before downloading. A P column (PV power output in W) is
+// rescaled to the array size set in the app; otherwise G(i) (irradiance in
+// W/m²) is converted by the PV array model using the T2m air temperature.
+// Downloads with "Radiation components" have Gb(i), Gd(i) and Gr(i) instead
+// of G(i); their sum is the plane irradiance.
+
+export function parsePVGIS_CSV(text) {
+  const lines = text.split(/\r?\n/);
+  const meta = { ...EMPTY_META };
+  let dataStart = -1;
+
+  // Parse header metadata
+  for (let i = 0; i < Math.min(lines.length, 25); i++) {
+    const line = lines[i].trim();
+    const lower = line.toLowerCase();
+    if (lower.includes("latitude")) { const m = line.match(/([\d.-]+)\s*$/); if (m) meta.lat = parseFloat(m[1]); }
+    if (lower.includes("longitude")) { const m = line.match(/([\d.-]+)\s*$/); if (m) meta.lon = parseFloat(m[1]); }
+    if (lower.includes("elevation")) { const m = line.match(/([\d.-]+)\s*$/); if (m) meta.elev = parseFloat(m[1]); }
+    if (lower.includes("nominal power")) { const m = line.match(/([\d.]+)/); if (m) meta.kWp = parseFloat(m[1]); }
+    if (lower.includes("slope")) { const m = line.match(/([\d.]+)/); if (m) meta.slope = parseFloat(m[1]); }
+    if (lower.includes("azimuth")) { const m = line.match(/([\d.-]+)/); if (m) meta.azimuth = parseFloat(m[1]); }
+    if (lower.includes("radiation database")) { const m = line.match(/:\s*(.+)$/); if (m) meta.db = m[1].trim(); }
+    if (/^time[,\t]/i.test(line)) { dataStart = i; break; }
+  }
+
+  if (dataStart === -1) {
+    for (let i = 0; i < lines.length; i++) {
+      if (/^\d{8}:\d{4}/.test(lines[i].trim())) { dataStart = i; break; }
+    }
+  }
+  if (dataStart === -1) throw new Error("Could not locate data rows. Expected PVGIS hourly format with timestamps like 20230101:0006.");
+
+  // Parse header columns — prefer P (power), fall back to G(i)
+  const headers = lines[dataStart].split(/[,\t]+/).map(h => h.trim());
+  const timeIdx = headers.findIndex(h => h.toLowerCase() === "time");
+  const pIdx = headers.findIndex(h => h === "P" || h === "p");
+  const giIdx = headers.findIndex(h => h === "G(i)" || h === "g(i)" || h === "Gi");
+  const tIdx = headers.findIndex(h => h === "T2m");
+  const [gbIdx, gdIdx, grIdx] = ["Gb(i)", "Gd(i)", "Gr(i)"].map(c => headers.indexOf(c));
+  const useP = pIdx >= 0;
+  const useParts = !useP && gbIdx >= 0 && gdIdx >= 0;
+  const valIdx = useP ? pIdx : giIdx;
+
+  if (valIdx < 0 && !useParts) throw new Error("CSV must contain a 'P' (PV power) or 'G(i)' (irradiance) column. Download hourly data from PVGIS.");
+
+  // Parse hourly data
+  const hourlyData = [];
+  for (let i = dataStart + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || !/^\d{8}/.test(line)) continue;
+    const parts = line.split(/[,\t]+/);
+    const timeStr = parts[timeIdx >= 0 ? timeIdx : 0]?.trim();
+    if (!timeStr || !/^\d{8}/.test(timeStr)) continue;
+
+    const year = parseInt(timeStr.substring(0, 4));
+    const month = parseInt(timeStr.substring(4, 6));
+    const day = parseInt(timeStr.substring(6, 8));
+    const hour = parseInt((timeStr.split(":")[1] || "0000").substring(0, 2));
+    const temp = tIdx >= 0 && parts[tIdx] !== undefined ? parseFloat(parts[tIdx]) : null;
+    const row = { year, month, day, hour, val: 0, temp: Number.isFinite(temp) ? temp : null };
+    if (useParts) {
+      row.gb = parseFloat(parts[gbIdx]) || 0;
+      row.gd = parseFloat(parts[gdIdx]) || 0;
+      row.val = valIdx >= 0 ? parseFloat(parts[valIdx]) || 0 : row.gb + row.gd + ((grIdx >= 0 && parseFloat(parts[grIdx])) || 0);
+    } else {
+      row.val = parseFloat(parts[valIdx]) || 0;
+    }
+    hourlyData.push(row);
+  }
+
+  return finishImport(hourlyData, meta, {
+    kind: useP ? "P" : "G", hasTemp: tIdx >= 0,
+    colUsed: useP ? "P (PV power)" : useParts ? "Gb(i) + Gd(i) + Gr(i) (irradiance components)" : "G(i) (irradiance)"
+  });
+}
+
+// PVGIS hourly JSON (seriescalc with outputformat=json)
+export function parsePVGIS_JSON(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { throw new Error("File is not valid JSON."); }
+  const rows = doc?.outputs?.hourly;
+  if (!Array.isArray(rows) || rows.length === 0) throw new Error("No outputs.hourly array. Request hourly data (seriescalc) from the PVGIS API.");
+  const inp = doc.inputs || {};
+  const mount = inp.mounting_system?.fixed || {};
+  const meta = {
+    ...EMPTY_META,
+    lat: inp.location?.latitude ?? null, lon: inp.location?.longitude ?? null, elev: inp.location?.elevation ?? null,
+    slope: mount.slope?.value ?? null, azimuth: mount.azimuth?.value ?? null,
+    db: inp.meteo_data?.radiation_db ?? null, kWp: inp.pv_module?.peak_power ?? null
+  };
+  const useP = rows[0].P !== undefined;
+  const useParts = !useP && rows[0]["Gb(i)"] !== undefined && rows[0]["Gd(i)"] !== undefined;
+  if (!useP && !useParts && rows[0]["G(i)"] === undefined) throw new Error("Hourly records need a 'P' or 'G(i)' field.");
+  const hasTemp = rows[0].T2m !== undefined;
+  const hourlyData = [];
+  for (const r of rows) {
+    const t = String(r.time || "");
+    if (!/^\d{8}:\d{4}/.test(t)) continue;
+    const row = {
+      year: +t.slice(0, 4), month: +t.slice(4, 6), day: +t.slice(6, 8), hour: +t.slice(9, 11),
+      val: num(useP ? r.P : r["G(i)"]) ?? 0, temp: hasTemp ? num(r.T2m) : null
+    };
+    if (useParts) {
+      row.gb = num(r["Gb(i)"]) ?? 0;
+      row.gd = num(r["Gd(i)"]) ?? 0;
+      if (r["G(i)"] === undefined) row.val = row.gb + row.gd + (num(r["Gr(i)"]) ?? 0);
+    }
+    hourlyData.push(row);
+  }
+  return finishImport(hourlyData, meta, {
+    kind: useP ? "P" : "G", hasTemp,
+    colUsed: useP ? "P (PV power)" : useParts ? "Gb(i) + Gd(i) + Gr(i) (irradiance components)" : "G(i) (irradiance)"
+  });
+}
+
+// NASA POWER hourly point data, CSV or JSON, with ALLSKY_SFC_SW_DWN (global
+// horizontal irradiance, Wh/m² per hour ≡ mean W/m²) and optionally T2M and
+// the ALLSKY_SFC_SW_DNI / ALLSKY_SFC_SW_DIFF components.
+// Timestamps are LST or UTC as chosen when downloading.
+const POWER_MISSING = (x) => x <= -998;
+
+export function parseNASAPOWER(text) {
+  const meta = { ...EMPTY_META, surface: "horizontal", db: "NASA POWER" };
+  const hourlyData = [];
+  let hasTemp = false;
+
+  if (text.trimStart().startsWith("{")) {
+    let doc;
+    try { doc = JSON.parse(text); } catch { throw new Error("File is not valid JSON."); }
+    const param = doc?.properties?.parameter || {};
+    const ghi = param.ALLSKY_SFC_SW_DWN;
+    if (!ghi) throw new Error("No ALLSKY_SFC_SW_DWN parameter. Include it when requesting hourly data.");
+    const [lon, lat, elev] = doc.geometry?.coordinates || [];
+    Object.assign(meta, { lat: lat ?? null, lon: lon ?? null, elev: elev ?? null });
+    const std = String(doc.header?.time_standard || "").toUpperCase();
+    meta.timeRef = std === "UTC" ? "UTC" : "LST";
+    hasTemp = !!param.T2M;
+    const { ALLSKY_SFC_SW_DNI: dni, ALLSKY_SFC_SW_DIFF: dhi } = param;
+    for (const [key, v] of Object.entries(ghi)) {
+      if (!/^\d{10}$/.test(key)) continue;
+      hourlyData.push({
+        year: +key.slice(0, 4), month: +key.slice(4, 6), day: +key.slice(6, 8), hour: +key.slice(8, 10),
+        val: Math.max(0, num(v, POWER_MISSING) ?? 0), temp: hasTemp ? num(param.T2M[key], POWER_MISSING) : null,
+        ...(dni && dhi && { dni: num(dni[key], POWER_MISSING), dhi: num(dhi[key], POWER_MISSING) })
+      });
+    }
+  } else {
+    const lines = text.split(/\r?\n/);
+    const end = lines.findIndex(l => l.includes("-END HEADER-"));
+    for (const l of lines.slice(0, Math.max(end, 0))) {
+      const loc = l.match(/Latitude\s+([\d.-]+)\s+Longitude\s+([\d.-]+)/i);
+      if (loc) { meta.lat = +loc[1]; meta.lon = +loc[2]; }
+      const el = l.match(/Elevation.*=\s*([\d.-]+)\s*m/i);
+      if (el) meta.elev = +el[1];
+      if (/Dates.*\bUTC\b/i.test(l)) meta.timeRef = "UTC";
+      else if (/Dates.*\bLST\b/i.test(l)) meta.timeRef = "LST";
+    }
+    const headerIdx = lines.findIndex((l, i) => i > end && /^YEAR,/i.test(l.trim()));
+    if (headerIdx < 0) throw new Error("Could not find the YEAR,MO,DY,HR column header.");
+    const cols = lines[headerIdx].trim().split(",").map(c => c.trim().toUpperCase());
+    const idx = (c) => cols.indexOf(c);
+    const gIdx = idx("ALLSKY_SFC_SW_DWN"), tIdx = idx("T2M");
+    const dniIdx = idx("ALLSKY_SFC_SW_DNI"), dhiIdx = idx("ALLSKY_SFC_SW_DIFF");
+    if (gIdx < 0) throw new Error("No ALLSKY_SFC_SW_DWN column. Include it when requesting hourly data.");
+    if (idx("HR") < 0) throw new Error("No HR column — daily or monthly POWER files are not supported, download hourly data.");
+    hasTemp = tIdx >= 0;
+    for (const l of lines.slice(headerIdx + 1)) {
+      const parts = l.trim().split(",");
+      if (parts.length < cols.length) continue;
+      hourlyData.push({
+        year: +parts[idx("YEAR")], month: +parts[idx("MO")], day: +parts[idx("DY")], hour: +parts[idx("HR")],
+        val: Math.max(0, num(parts[gIdx], POWER_MISSING) ?? 0), temp: hasTemp ? num(parts[tIdx], POWER_MISSING) : null,
+        ...(dniIdx >= 0 && dhiIdx >= 0 && { dni: num(parts[dniIdx], POWER_MISSING), dhi: num(parts[dhiIdx], POWER_MISSING) })
+      });
+    }
+  }
+  if (meta.timeRef === "LST" && meta.lon != null) meta.utcOffset = Math.round(meta.lon / 15);
+  return finishImport(hourlyData, meta, { kind: "G", colUsed: "GHI (horizontal irradiance)", hasTemp });
+}
+
+// EnergyPlus weather (EPW), e.g. TMY files: LOCATION header, 7 more header
+// lines, then hourly rows in local standard time with hour 1 = 00:00–01:00.
+// Fields 14–16 are global horizontal, direct normal and diffuse horizontal.
+// A typical year mixes source years by month, so every row is relabelled
+// with the first row's year to keep the series chronological.
+export function parseEPW(text) {
+  const lines = text.split(/\r?\n/);
+  const loc = lines[0].split(",");
+  if (loc[0].trim().toUpperCase() !== "LOCATION" || loc.length < 10) throw new Error("First line must be the EPW LOCATION record.");
+  const meta = {
+    ...EMPTY_META, surface: "horizontal", timeRef: "LST",
+    lat: num(loc[6]), lon: num(loc[7]), utcOffset: num(loc[8]) ?? 0, elev: num(loc[9]),
+    db: [loc[1], loc[3], loc[4]].map(v => v?.trim()).filter(Boolean).join(" · ") || "EPW"
+  };
+  const hourlyData = [];
+  let year = null;
+  for (const l of lines.slice(8)) {
+    const p = l.split(",");
+    if (p.length < 16 || !/^\d+$/.test(p[0].trim())) continue;
+    year ??= +p[0];
+    hourlyData.push({
+      year, month: +p[1], day: +p[2], hour: +p[3] - 1,
+      val: Math.max(0, num(p[13], x => x >= 9999) ?? 0), temp: num(p[6], x => x >= 99.9),
+      dni: num(p[14], x => x >= 9999), dhi: num(p[15], x => x >= 9999)
+    });
+  }
+  if (hourlyData.length === 0) throw new Error("No hourly data rows after the 8 header lines.");
+  return finishImport(hourlyData, meta, { kind: "G", colUsed: "GHI (horizontal irradiance)", hasTemp: true });
+}
+
+export const WEATHER_IMPORTERS = [
+  { id: "pvgis-json", label: "PVGIS JSON", detect: (t) => /^\s*\{/.test(t) && t.includes('"outputs"') && t.includes('"inputs"'), parse: parsePVGIS_JSON },
+  { id: "nasa-power", label: "NASA POWER", detect: (t) => t.includes("NASA/POWER") || t.includes("-BEGIN HEADER-") || t.includes('"ALLSKY_SFC_SW_DWN"'), parse: parseNASAPOWER },
+  { id: "epw", label: "EPW", detect: (t, name) => /\.epw$/i.test(name || "") || /^LOCATION,/i.test(t), parse: parseEPW },
+  { id: "pvgis-csv", label: "PVGIS CSV", detect: (t) => /\d{8}:\d{4}/.test(t.slice(0, 5000)) || /PVGIS|G\(i\)/.test(t.slice(0, 2000)), parse: parsePVGIS_CSV }
+];
+
+export function importWeather(text, fileName) {
+  const importer = WEATHER_IMPORTERS.find(f => f.detect(text, fileName));
+  if (!importer) throw new Error(`Unrecognised weather file. Supported formats: ${WEATHER_IMPORTERS.map(f => f.label).join(", ")}.`);
+  try {
+    return { ...importer.parse(text), format: importer.label };
+  } catch (err) {
+    throw new Error(`${importer.label}: ${err.message}`);
+  }
+}
+
+// Average one field of an hourly series into 12 monthly average-day profiles
+export function buildProfiles(hours, field) {
+  const sums = {}, counts = {};
+  for (let m = 1; m <= 12; m++) { sums[m] = new Array(24).fill(0); counts[m] = new Array(24).fill(0); }
+  for (const d of hours) {
+    if (d[field] == null) continue;
+    sums[d.month][d.hour] += d[field];
+    counts[d.month][d.hour]++;
+  }
+  const profiles = {};
+  for (let m = 1; m <= 12; m++) {
+    profiles[m] = sums[m].map((v, h) => counts[m][h] > 0 ? +(v / counts[m][h]).toFixed(1) : 0);
+  }
+  return profiles;
+}
+
+// ─── PLANE OF ARRAY ───────────────────────────────────────────────
+// Recomputes the irradiance on the modules for a mounting chosen in the app
+// instead of the one the data was downloaded for. Each hour is split into
+// horizontal components — from the file's DNI/DHI or PVGIS Gb(i)/Gd(i) where
+// present, else from GHI with the Erbs diffuse fraction — and transposed with
+// the Hay–Davies model (beam, circumsolar and isotropic sky diffuse, ground
+// reflection). The sun is placed at mid-hour with the NOAA series formulas.
+// A horizon profile (elevation in degrees at 8 compass points, N to NW)
+// blocks the beam and circumsolar light while the sun is behind it.
+// Azimuths of the array follow PVGIS: 0 = south, 90 = west, −90 = east.
+
+export const MOUNT_MODES = [
+  { id: "file", label: "As downloaded", title: "Use the irradiance in the file as it is" },
+  { id: "fixed", label: "Fixed tilt" },
+  { id: "tracker", label: "Single-axis", title: "Horizontal-axis tracker, no backtracking" }
+];
+export const HORIZON_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+export const DEFAULT_MOUNT = {
+  mode: "file", tilt: 10, azimuth: 0, axisAzimuth: 0, maxRotation: 60, albedo: 0.2,
+  horizon: HORIZON_POINTS.map(() => 0)
+};
+
+const RAD = Math.PI / 180;
+const SOLAR_CONSTANT = 1367; // W/m²
+const LOW_SUN = 0.065;       // cos zenith below which beam is not resolved (~3.7° elevation)
+const NEAR_HORIZONTAL = 5;   // G(i) on a slope up to this is taken as GHI
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Sun at UTC instant `ms`: unit vector (east, north, up), compass azimuth and
+// elevation (degrees), and extraterrestrial normal irradiance `e0` (W/m²)
+export function solarPosition(ms, lat, lon) {
+  const d = new Date(ms);
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const utcHours = (ms - Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())) / 3.6e6;
+  const g = 2 * Math.PI / 365 * ((ms - yearStart) / 864e5 - 0.5);
+  const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g) - 0.006758 * Math.cos(2 * g)
+    + 0.000907 * Math.sin(2 * g) - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+  const eotMin = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const w = ((utcHours * 60 + eotMin + 4 * lon) / 4 - 180) * RAD; // hour angle
+  const phi = lat * RAD;
+  const vec = [
+    -Math.cos(decl) * Math.sin(w),
+    Math.cos(phi) * Math.sin(decl) - Math.sin(phi) * Math.cos(decl) * Math.cos(w),
+    Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.cos(w)
+  ];
+  return {
+    vec, up: vec[2],
+    elevation: Math.asin(Math.max(-1, Math.min(1, vec[2]))) / RAD,
+    azimuth: (Math.atan2(vec[0], vec[1]) / RAD + 360) % 360,
+    e0: SOLAR_CONSTANT * (1.00011 + 0.034221 * Math.cos(g) + 0.00128 * Math.sin(g) + 0.000719 * Math.cos(2 * g) + 0.000077 * Math.sin(2 * g))
+  };
+}
+
+// Unit normal of a plane tilted `tilt`° towards PVGIS azimuth `azimuth`
+export function planeNormal(tilt, azimuth) {
+  const b = tilt * RAD, a = azimuth * RAD;
+  return [-Math.sin(b) * Math.sin(a), -Math.sin(b) * Math.cos(a), Math.cos(b)];
+}
+
+// Module normal for the mounting: fixed, or a horizontal-axis tracker turned
+// towards the sun within ±maxRotation (axisAzimuth 0 = north–south axis)
+export function mountNormal(mount, sun) {
+  if (mount.mode !== "tracker") return planeNormal(mount.tilt, mount.azimuth);
+  const a = mount.axisAzimuth * RAD;
+  const across = [Math.cos(a), -Math.sin(a), 0]; // horizontal, perpendicular to the axis
+  const limit = mount.maxRotation * RAD;
+  const r = Math.max(-limit, Math.min(limit, Math.atan2(dot(across, sun.vec), Math.max(sun.up, 0))));
+  return [across[0] * Math.sin(r), across[1] * Math.sin(r), Math.cos(r)];
+}
+
+// Horizon elevation (degrees) at a compass azimuth, linear between the points
+export function horizonElevation(horizon, azimuth) {
+  if (!horizon?.length) return 0;
+  const n = horizon.length, x = (azimuth % 360) / 360 * n, i = Math.floor(x);
+  return horizon[i % n] + (x - i) * (horizon[(i + 1) % n] - horizon[i % n]);
+}
+
+// Erbs et al. (1982): diffuse fraction from the clearness index
+export function erbsSplit(ghi, sun) {
+  if (ghi <= 0) return { dni: 0, dhi: 0 };
+  if (sun.up <= LOW_SUN) return { dni: 0, dhi: ghi };
+  const kt = Math.min(1, ghi / (sun.e0 * sun.up));
+  const fd = kt <= 0.22 ? 1 - 0.09 * kt
+    : kt <= 0.8 ? 0.9511 - 0.1604 * kt + 4.388 * kt ** 2 - 16.638 * kt ** 3 + 12.336 * kt ** 4
+    : 0.165;
+  return { dni: Math.min(ghi * (1 - fd) / sun.up, sun.e0), dhi: ghi * fd };
+}
+
+// Horizontal { ghi, dni, dhi } for one record. PVGIS plane components are
+// turned back with the downloaded orientation: beam through the incidence
+// angle, diffuse through the isotropic sky view factor.
+function horizontalComponents(r, sun, meta) {
+  if (r.gb != null) {
+    const cosI = dot(planeNormal(meta.slope ?? 0, meta.azimuth ?? 0), sun.vec);
+    const dni = sun.up > LOW_SUN && cosI > LOW_SUN ? Math.min(r.gb / cosI, sun.e0) : 0;
+    const dhi = (r.gd + (dni > 0 ? 0 : r.gb)) * 2 / (1 + Math.cos((meta.slope ?? 0) * RAD));
+    return { ghi: dni * sun.up + dhi, dni, dhi };
+  }
+  const ghi = Math.max(0, r.val);
+  // Zero diffuse under daylight marks components the file left blank
+  if (r.dhi > 0 && r.dni != null) return { ghi, dni: r.dni, dhi: r.dhi };
+  if (r.dhi > 0 && sun.up > LOW_SUN) return { ghi, dni: Math.min(Math.max(0, ghi - r.dhi) / sun.up, sun.e0), dhi: r.dhi };
+  return { ghi, ...erbsSplit(ghi, sun) };
+}
+
+// Hay–Davies plane-of-array irradiance (W/m²) on a plane with unit `normal`
+export function poaIrradiance({ ghi, dni, dhi }, sun, normal, { albedo = 0.2, horizon } = {}) {
+  const cosTilt = normal[2];
+  const cosI = Math.max(0, dot(normal, sun.vec));
+  const visible = sun.up > LOW_SUN && sun.elevation > horizonElevation(horizon, sun.azimuth);
+  const ai = sun.up > LOW_SUN ? Math.min(1, dni / sun.e0) : 0; // anisotropy index
+  const beam = visible ? dni * cosI : 0;
+  const sky = dhi * ((visible ? ai * cosI / sun.up : 0) + (1 - ai) * (1 + cosTilt) / 2);
+  return beam + sky + ghi * albedo * (1 - cosTilt) / 2;
+}
+
+// Whether `weather` ({ hours, meta, kind }) can be transposed: { basis } names
+// the components used, { reason } explains why not
+export function mountSupport({ hours, meta, kind }) {
+  if (kind === "P") return { reason: "The data is PV power (P), not irradiance. Download G(i) or the radiation components to change the mounting." };
+  if (!Number.isFinite(meta?.lat) || !Number.isFinite(meta?.lon)) return { reason: "The data has no site coordinates." };
+  const first = hours?.find(r => r.val > 0);
+  if (first?.gb != null) return { basis: `Gb(i) and Gd(i) on the downloaded ${meta.slope ?? 0}° plane` };
+  if (first?.dni != null && first?.dhi > 0) return { basis: "GHI, DNI and DHI" };
+  if (meta.surface === "horizontal") return { basis: "GHI, split into beam and diffuse (Erbs)" };
+  if ((meta.slope ?? 90) <= NEAR_HORIZONTAL) return { basis: `G(i) on a ${meta.slope}° slope taken as GHI, split by Erbs` };
+  return { reason: `G(i) is on a ${meta.slope ?? "?"}° slope. Download at 0° slope or with the radiation components to change the mounting.` };
+}
+
+// Plane irradiance for `mount` as a new { profiles, hours }. Without an hourly
+// series the average days are transposed on the 15th of each month.
+export function transposeWeather({ profiles, hours, meta, sourceOffset = 0 }, mount) {
+  const poa = (r, t) => {
+    if (!(r.val > 0)) return 0;
+    const sun = solarPosition(t + 1.8e6, meta.lat, meta.lon);
+    return +poaIrradiance(horizontalComponents(r, sun, meta), sun, mountNormal(mount, sun), mount).toFixed(1);
+  };
+  if (hours) {
+    const out = hours.map(r => ({ ...r, val: poa(r, r.t) }));
+    return { profiles: buildProfiles(out, "val"), hours: out };
+  }
+  return {
+    hours: null,
+    profiles: Object.fromEntries(Object.entries(profiles).map(([m, day]) => [m,
+      day.map((val, hour) => poa({ val }, utcMillis({ year: 2001, month: +m, day: 15, hour }, sourceOffset)))]))
+  };
+}
+
+// The weather as the array sees it: transposed to `mount`, or unchanged for
+// "As downloaded" and data that cannot be transposed
+export function mountWeather(weather, mount) {
+  if (!mount || mount.mode === "file" || mountSupport(weather).reason) return weather;
+  return { ...weather, ...transposeWeather(weather, mount) };
+}
+
+// Yearly plane irradiance (kWh/m²) of a set of monthly average days
+export const annualInsolation = (profiles) =>
+  MONTH_NAMES.reduce((sum, _, m) => sum + DAYS_IN_MONTH[m] * profiles[m + 1].reduce((a, v) => a + v, 0), 0) / 1000;
+
+// ─── PUMP CURVE MATH ──────────────────────────────────────────────
+// Datasheet points are cleaned before any fit: rows with power ≤ 0, negative
+// flow or a non-numeric value are dropped and rows sharing a power are
+// averaged, so a bad row can never put Infinity or NaN into the map.
+// validatePumpCurves reports the same rows to the user.
+
+// Points by rising power, one per power
+function cleanSegments(segments) {
+  const byPower = new Map();
+  for (const s of segments) {
+    const power = Number(s.power), flow = Number(s.flow);
+    if (!(power > 0) || !Number.isFinite(power) || !(flow >= 0) || !Number.isFinite(flow)) continue;
+    const p = byPower.get(power) ?? { power, sum: 0, n: 0 };
+    p.sum += flow;
+    p.n++;
+    byPower.set(power, p);
+  }
+  return [...byPower.values()].map(p => ({ power: p.power, flow: p.sum / p.n })).sort((a, b) => a.power - b.power);
+}
+
+export function buildPiecewiseCoeffs(segments) {
+  const sorted = cleanSegments(segments).reverse();
+  if (sorted.length === 0) return [];
+  const result = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const a = (sorted[i].flow - sorted[i + 1].flow) / (sorted[i].power - sorted[i + 1].power);
+    const b = sorted[i].flow - a * sorted[i].power;
+    result.push({ ...sorted[i], a, b, nextPower: sorted[i + 1].power });
+  }
+  const last = sorted[sorted.length - 1];
+  if (sorted.length >= 2) {
+    const prev = sorted[sorted.length - 2];
+    const a = (prev.flow - last.flow) / (prev.power - last.power);
+    const b = last.flow - a * last.power;
+    result.push({ ...last, a, b, nextPower: 0 });
+  } else {
+    result.push({ ...last, a: last.flow / last.power, b: 0, nextPower: 0 });
+  }
+  return result;
+}
+
+export function interpolateCurve(powerW, coeffs) {
+  if (powerW <= 0) return 0;
+  for (const seg of coeffs) {
+    if (powerW >= seg.nextPower) return Math.max(0, seg.a * powerW + seg.b);
+  }
+  return 0;
+}
+
+// How flow is drawn between datasheet points
+export const PUMP_FITS = [
+  { id: "linear", label: "Straight segments" },
+  { id: "spline", label: "Monotone spline", title: "Smooth curve through every point that never overshoots between them" },
+  { id: "poly", label: "Quadratic fit", title: "Least-squares parabola; smooths noisy datasheet readings" }
+];
+
+// Monotone cubic Hermite interpolation (Fritsch–Carlson) through pts
+function monotoneSpline(pts) {
+  const n = pts.length;
+  const x = pts.map(p => p.power), y = pts.map(p => p.flow);
+  const d = [];
+  for (let k = 0; k < n - 1; k++) d.push((y[k + 1] - y[k]) / (x[k + 1] - x[k]));
+  const m = [d[0]];
+  for (let k = 1; k < n - 1; k++) m.push(d[k - 1] * d[k] <= 0 ? 0 : (d[k - 1] + d[k]) / 2);
+  m.push(d[n - 2]);
+  for (let k = 0; k < n - 1; k++) {
+    if (d[k] === 0) { m[k] = m[k + 1] = 0; continue; }
+    const a = Math.max(0, m[k] / d[k]), b = Math.max(0, m[k + 1] / d[k]);
+    const t = a * a + b * b > 9 ? 3 / Math.sqrt(a * a + b * b) : 1;
+    m[k] = t * a * d[k];
+    m[k + 1] = t * b * d[k];
+  }
+  return (p) => {
+    let k = 0;
+    while (k < n - 2 && p > x[k + 1]) k++;
+    const h = x[k + 1] - x[k], t = (p - x[k]) / h, t2 = t * t, t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * y[k] + (t3 - 2 * t2 + t) * h * m[k] + (3 * t2 - 2 * t3) * y[k + 1] + (t3 - t2) * h * m[k + 1];
+  };
+}
+
+// Least-squares parabola in power (normal equations, powers scaled to 0–1)
+function quadraticFit(pts) {
+  const scale = pts[pts.length - 1].power;
+  const S = [0, 0, 0, 0, 0], T = [0, 0, 0];
+  for (const p of pts) {
+    const u = p.power / scale;
+    for (let k = 0; k < 5; k++) S[k] += u ** k;
+    for (let k = 0; k < 3; k++) T[k] += p.flow * u ** k;
+  }
+  const det3 = (a) => a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) - a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) + a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+  const A = [[S[0], S[1], S[2]], [S[1], S[2], S[3]], [S[2], S[3], S[4]]];
+  const D = det3(A);
+  const c = [0, 1, 2].map(j => det3(A.map((row, i) => row.map((v, k) => k === j ? T[i] : v))) / D);
+  return (p) => { const u = p / scale; return c[0] + c[1] * u + c[2] * u * u; };
+}
+
+// One datasheet curve as { flow(powerW), minPower, maxPower }, or null when no
+// point is usable. Callers cap power at maxPower. Below the lowest point every
+// fit continues along the slope of the first straight segment towards zero.
+export function buildCurveFit(segments, fit = "linear") {
+  const pts = cleanSegments(segments);
+  if (pts.length === 0) return null;
+  const coeffs = buildPiecewiseCoeffs(pts);
+  const minPower = pts[0].power, maxPower = pts[pts.length - 1].power;
+  if (fit === "linear" || pts.length < 3) return { flow: (p) => interpolateCurve(p, coeffs), minPower, maxPower };
+  const f = fit === "spline" ? monotoneSpline(pts) : quadraticFit(pts);
+  const slope = coeffs[coeffs.length - 1].a, f0 = f(minPower);
+  return { flow: (p) => p <= 0 ? 0 : Math.max(0, p < minPower ? f0 + slope * (p - minPower) : f(p)), minPower, maxPower };
+}
+
+// Performance map: one fitted curve per datasheet head, sorted by head.
+// Power is capped at each curve's highest point (no extrapolation beyond data).
+export function buildPumpMap(curves, fit = "linear") {
+  return curves
+    .filter(c => c.head > 0 && Number.isFinite(c.head))
+    .map(c => ({ head: c.head, ...buildCurveFit(c.segments, fit) }))
+    .filter(c => c.flow)
+    .sort((a, b) => a.head - b.head);
+}
+
+export const pumpMaxPower = (map) => map.length ? Math.max(...map.map(c => c.maxPower)) : 0;
+
+// Problems with a set of datasheet curves, as { curve, row, level, message }
+// with curve and row indexing the curves and points as entered (null when the
+// issue concerns a whole curve or the set). Errors are rows the map ignores
+// or averages; warnings are data that is probably mistyped. With
+// `operating` ({ headMin, headMax, minPowerW }) it also notes ("info") where
+// the simulation runs outside the table and the map is extrapolated.
+export function validatePumpCurves(curves, operating = null) {
+  const issues = [];
+  const add = (curve, row, level, message) => issues.push({ curve, row, level, message });
+  curves.forEach((c, ci) => {
+    if (!(c.head > 0)) add(ci, null, "error", "Head must be above 0 m");
+    else if (curves.some((o, j) => j < ci && o.head === c.head)) add(ci, null, "error", `A second curve at ${c.head} m`);
+    const valid = [];
+    c.segments.forEach((s, ri) => {
+      if (!Number.isFinite(s.power) || s.power <= 0) add(ci, ri, "error", `Point ${ri + 1}: power must be above 0 W`);
+      else if (!Number.isFinite(s.flow) || s.flow < 0) add(ci, ri, "error", `Point ${ri + 1}: flow cannot be negative`);
+      else valid.push({ ...s, ri });
+    });
+    if (valid.length < 2) add(ci, null, "error", "Needs at least two valid points");
+    valid.sort((a, b) => a.power - b.power || a.ri - b.ri);
+    for (let k = 1; k < valid.length; k++) {
+      const a = valid[k - 1], b = valid[k];
+      if (a.power === b.power) add(ci, b.ri, "error", `Points ${a.ri + 1} and ${b.ri + 1} share ${b.power} W (their flows are averaged)`);
+      else if (b.flow <= a.flow) add(ci, b.ri, "warning", `Point ${b.ri + 1}: ${b.flow} m³/h at ${b.power} W is not above ${a.flow} m³/h at ${a.power} W`);
+    }
+  });
+
+  const map = buildPumpMap(curves);
+  const indexOf = (head) => curves.findIndex(c => c.head === head);
+  for (let k = 1; k < map.length; k++) {
+    const lo = map[k - 1], hi = map[k];
+    const top = Math.min(lo.maxPower, hi.maxPower);
+    for (let i = 1; i <= 20; i++) {
+      const p = top * i / 20;
+      if (hi.flow(p) > lo.flow(p) + 1e-9) {
+        add(indexOf(hi.head), null, "warning", `Gives more flow than the ${lo.head} m curve at ${Math.round(p)} W; flow should fall as head rises`);
+        break;
+      }
+    }
+  }
+
+  if (operating && map.length) {
+    const lowest = map[0].head, highest = map[map.length - 1].head;
+    if (operating.headMax > highest + 0.5) {
+      add(null, null, "info", `Operating head reaches ${operating.headMax.toFixed(0)} m, above the highest curve (${highest} m): flow is scaled from that curve`);
+    }
+    if (operating.headMin < lowest - 0.5) {
+      add(null, null, "info", `Operating head falls to ${operating.headMin.toFixed(0)} m, below the lowest curve (${lowest} m): flow is scaled from that curve`);
+    }
+    // Only the curves the operating heads interpolate between
+    const from = Math.max(0, map.findLastIndex(c => c.head <= operating.headMin));
+    const to = map.findIndex(c => c.head >= operating.headMax);
+    for (const c of map.slice(from, to < 0 ? map.length : to + 1)) {
+      if (operating.minPowerW < c.minPower) {
+        add(indexOf(c.head), null, "info", `From the ${operating.minPowerW} W start threshold up to the lowest point (${c.minPower} W), flow is extended along the first segment`);
+      }
+    }
+  }
+  return issues;
+}
+
+// Curves with every flow scaled by k, e.g. a worn pump calibrated from field data
+export const derateCurves = (curves, k) => curves.map(c => ({ head: c.head, segments: c.segments.map(s => ({ ...s, flow: s.flow * k })) }));
+
+// Flow at (power, head): linear between the two curves that bracket headM.
+// Outside the mapped head range the nearest curve is scaled by head ratio
+// (flow ∝ 1/head), which is also the only option for single-head pumps.
+// A head of 0 or less is outside the model and gives no flow.
+export function getFlowFromPower(powerW, map, headM) {
+  if (powerW <= 0 || map.length === 0 || !(headM > 0)) return 0;
+  const flowOn = (c) => c.flow(Math.min(powerW, c.maxPower));
+  const first = map[0], last = map[map.length - 1];
+  if (headM <= first.head) return flowOn(first) * first.head / headM;
+  if (headM >= last.head) return flowOn(last) * last.head / headM;
+  const i = map.findIndex(c => c.head >= headM);
+  const lo = map[i - 1], hi = map[i];
+  const t = (headM - lo.head) / (hi.head - lo.head);
+  return flowOn(lo) + (flowOn(hi) - flowOn(lo)) * t;
+}
+
+// Head at which the pump delivers flowM3h at powerW — inverse of getFlowFromPower
+// (flow falls monotonically with head). Returns 0 if the flow is out of reach.
+export function getHeadFromFlow(powerW, map, flowM3h, maxHead) {
+  if (getFlowFromPower(powerW, map, 1) < flowM3h) return 0;
+  let lo = 1, hi = maxHead;
+  if (getFlowFromPower(powerW, map, hi) > flowM3h) return maxHead;
+  for (let i = 0; i < 30; i++) {
+    const h = (lo + hi) / 2;
+    if (getFlowFromPower(powerW, map, h) > flowM3h) lo = h; else hi = h;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─── PUMP LIBRARY ─────────────────────────────────────────────────
+// User pumps kept alongside the presets: { id, name, manufacturer, refHead,
+// curves }. refHead is the datasheet's reference head: the head of a
+// single-curve sheet, and the head of CSV rows that give none. Libraries are
+// shared as JSON ({ format: "solar-pump-library", pumps: [...] }) or as a long
+// CSV with one point per row: name, manufacturer, refHead, head, flow, power.
+
+export const PUMP_LIBRARY_FORMAT = "solar-pump-library";
+
+export const newPumpId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+// Checks one entry and returns it with clean numbers and curves sorted by head
+export function normalisePumpEntry(e, fallbackName = "Imported pump") {
+  const name = String(e.name ?? "").trim() || fallbackName;
+  const refHead = Number(e.refHead ?? e.curves?.[0]?.head);
+  const curves = e.curves ?? (e.segments ? [{ head: refHead, segments: e.segments }] : []);
+  if (!curves.length) throw new Error(`${name}: no curve points`);
+  const clean = curves.map(c => {
+    const head = Number(c.head ?? refHead);
+    if (!(head > 0)) throw new Error(`${name}: every curve needs a head above 0 m`);
+    const segments = (c.segments ?? []).map(s => ({ flow: Number(s.flow), power: Number(s.power) }));
+    if (segments.length < 2 || segments.some(s => !(s.flow >= 0) || !(s.power > 0))) {
+      throw new Error(`${name} at ${head} m: needs at least two points with flow ≥ 0 and power > 0`);
+    }
+    return { head, segments };
+  }).sort((a, b) => a.head - b.head);
+  if (clean.some((c, i) => i > 0 && c.head === clean[i - 1].head)) throw new Error(`${name}: two curves at the same head`);
+  return {
+    id: e.id ?? newPumpId(), name, manufacturer: String(e.manufacturer ?? "").trim(),
+    refHead: refHead > 0 ? refHead : clean[0].head, curves: clean
+  };
+}
+
+// "Name", or "Name (2)", "Name (3)"… when taken
+export function uniquePumpName(name, taken) {
+  const used = new Set(taken);
+  if (!used.has(name)) return name;
+  const base = name.replace(/ \(\d+\)$/, "");
+  let k = 2;
+  while (used.has(`${base} (${k})`)) k++;
+  return `${base} (${k})`;
+}
+
+// Quote-aware split of one CSV line
+function splitCsvLine(line, sep) {
+  const out = [];
+  let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { out.push(cur.trim()); cur = ""; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+// Pumps from a JSON library / entry or a datasheet CSV. Pumps without a name
+// take the file name; imported entries always get fresh ids.
+export function parsePumpLibrary(text, fileName = "") {
+  const stem = fileName.replace(/\.[^.]+$/, "") || undefined;
+  if (/^\s*[[{]/.test(text)) {
+    let obj;
+    try { obj = JSON.parse(text); } catch { throw new Error("File is not valid JSON."); }
+    const list = Array.isArray(obj) ? obj : obj.pumps ?? [obj];
+    if (!list.length) throw new Error("The file holds no pumps");
+    return list.map(e => normalisePumpEntry({ ...e, id: undefined }, stem));
+  }
+
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith("#"));
+  if (lines.length < 3) throw new Error("A pump CSV needs a header row and at least two points");
+  const sep = [",", ";", "\t"].find(s => lines[0].includes(s)) ?? ",";
+  const header = splitCsvLine(lines[0], sep).map(h => h.toLowerCase());
+  const col = (re) => header.findIndex(h => re.test(h));
+  const iRef = col(/ref/), iHead = header.findIndex((h, i) => i !== iRef && /head|tdh/.test(h));
+  const iName = col(/name|model/), iMaker = col(/manufacturer|make|brand/);
+  const iFlow = col(/flow/), iPower = col(/power|watt/);
+  if (iFlow < 0 || iPower < 0) throw new Error("A pump CSV needs flow (m³/h) and power (W) columns");
+
+  const pumps = new Map();
+  lines.slice(1).forEach((line, k) => {
+    const p = splitCsvLine(line, sep);
+    const name = (iName >= 0 && p[iName]) || stem || "Imported pump";
+    const refHead = iRef >= 0 && p[iRef] !== "" ? Number(p[iRef]) : null;
+    const head = iHead >= 0 && p[iHead] !== "" ? Number(p[iHead]) : refHead;
+    if (!(head > 0)) throw new Error(`Row ${k + 2}: no head or refHead`);
+    const pump = pumps.get(name) ?? { name, manufacturer: "", refHead: null, heads: new Map() };
+    if (iMaker >= 0 && p[iMaker]) pump.manufacturer = p[iMaker];
+    if (refHead > 0) pump.refHead = refHead;
+    const segs = pump.heads.get(head) ?? [];
+    segs.push({ flow: p[iFlow], power: p[iPower] });
+    pump.heads.set(head, segs);
+    pumps.set(name, pump);
+  });
+  return [...pumps.values()].map(({ heads, ...e }) =>
+    normalisePumpEntry({ ...e, refHead: e.refHead ?? undefined, curves: [...heads].map(([head, segments]) => ({ head, segments })) }));
+}
+
+export function exportPumpLibrary(entries) {
+  return JSON.stringify({
+    format: PUMP_LIBRARY_FORMAT, version: 1,
+    pumps: entries.map(({ name, manufacturer, refHead, curves }) => ({ name, manufacturer, refHead, curves }))
+  }, null, 2);
+}
+
+export const PUMP_LIBRARY_CSV = [
+  { label: "name", get: r => r.name }, { label: "manufacturer", get: r => r.manufacturer }, { label: "refHead", get: r => r.refHead },
+  { label: "head", get: r => r.head }, { label: "flow_m3h", get: r => r.flow }, { label: "power_w", get: r => r.power }
+];
+
+// One row per curve point, for toCSV(…, PUMP_LIBRARY_CSV)
+export const pumpLibraryRows = (entries) => entries.flatMap(({ name, manufacturer, refHead, curves }) =>
+  curves.flatMap(c => c.segments.map(s => ({ name, manufacturer, refHead, head: c.head, ...s }))));
+
+// ─── HYDRAULICS ───────────────────────────────────────────────────
+// Total dynamic head = static lift + friction in the rising main + minor
+// losses (Σ K · v²/2g) at the current flow. Friction uses Hazen-Williams
+// ("hw") or Darcy-Weisbach with the Swamee-Jain friction factor ("dw").
+
+export const GRAVITY = 9.81;
+export const WATER_VISCOSITY = 1.004e-6; // m²/s at 20 °C
+
+// Head loss function q (m³/hr) → m for a pipe, with the per-pipe constants
+// folded in once since it is evaluated many times per simulated hour.
+export function buildPipeLoss(pipe) {
+  if (!pipe || pipe.diameterMm <= 0) return () => 0;
+  const mat = PIPE_MATERIALS[pipe.material] || PIPE_MATERIALS["HDPE / PE"];
+  const D = pipe.diameterMm / 1000;
+  const L = Math.max(0, pipe.lengthM);
+  const area = Math.PI * D * D / 4;
+  const minorK = Math.max(0, pipe.fittingsK) / (2 * GRAVITY);
+  const hwK = 10.67 * L / (Math.pow(mat.C, 1.852) * Math.pow(D, 4.87));
+  const relRough = mat.roughnessMm / 1000 / (3.7 * D);
+  return (flowM3h) => {
+    if (flowM3h <= 0) return 0;
+    const Q = flowM3h / 3600;
+    const v = Q / area;
+    let major;
+    if (pipe.method === "dw") {
+      const Re = v * D / WATER_VISCOSITY;
+      const f = Re < 2300 ? 64 / Re : 0.25 / Math.log10(relRough + 5.74 / Math.pow(Re, 0.9)) ** 2;
+      major = f * (L / D) * v * v / (2 * GRAVITY);
+    } else {
+      major = hwK * Math.pow(Q, 1.852);
+    }
+    return major + minorK * v * v;
+  };
+}
+
+// Operating point: the flow Q at which the pump, running at powerW, delivers Q
+// against staticHead + loss(Q). Pump flow falls and system head rises with Q,
+// so the root on [0, flow at static head] is unique; Illinois false position
+// finds it in a handful of evaluations.
+export function solveOperatingPoint(powerW, map, staticHead, loss) {
+  const q0 = getFlowFromPower(powerW, map, staticHead);
+  if (q0 <= 0 || loss(q0) === 0) return { flow: q0, head: staticHead };
+  const g = (q) => getFlowFromPower(powerW, map, staticHead + loss(q)) - q;
+  let a = 0, fa = q0, b = q0, fb = g(q0);
+  for (let i = 0; i < 40 && Math.abs(fb) > 1e-7; i++) {
+    const c = b - fb * (b - a) / (fb - fa);
+    const fc = g(c);
+    if (fc * fb < 0) { a = b; fa = fb; } else { fa /= 2; }
+    b = c; fb = fc;
+  }
+  return { flow: b, head: staticHead + loss(b) };
+}
+
+// ─── WATER SOURCE ─────────────────────────────────────────────────
+// Optional borehole model. `headM` stays the static lift from the mean rest
+// water level to the tank; a borehole adds the seasonal swing of the water
+// level (deepest in `lowMonth`, a cosine with `seasonalM` peak to peak) and
+// drawdown, `drawdownPerM3h` metres per m³/hr pumped. Flow is held at the
+// safe yield, and at the rate that keeps the pumping level above the intake
+// at `pumpDepthM`; the controller throttles the pump and the unused PV power
+// counts as curtailed.
+
+export const DEFAULT_SOURCE = {
+  type: "none", staticLevelM: 30, drawdownPerM3h: 3, seasonalM: 4, lowMonth: 2, safeYieldM3h: 2, pumpDepthM: 60
+};
+
+// Rest water level (m below ground) in month m before drawdown
+export function seasonalLevel(source, m) {
+  return source.staticLevelM + source.seasonalM / 2 * Math.cos(2 * Math.PI * (m - source.lowMonth) / 12);
+}
+
+// Head added on top of `headM` at flow q (friction + drawdown), as one function
+export function buildSystemLoss(pipe, source) {
+  const pipeLoss = buildPipeLoss(pipe);
+  if (source?.type !== "borehole") return pipeLoss;
+  const s = Math.max(0, source.drawdownPerM3h);
+  return (q) => pipeLoss(q) + s * q;
+}
+
+// Flow limits (m³/hr) in month m, or null without a borehole
+export function sourceLimits(source, m) {
+  if (source?.type !== "borehole") return null;
+  const room = source.pumpDepthM - seasonalLevel(source, m);
+  const s = Math.max(0, source.drawdownPerM3h);
+  return {
+    yield: Math.max(0, source.safeYieldM3h),
+    intake: room <= 0 ? 0 : s > 0 ? room / s : Infinity
+  };
+}
+
+// Pump input power at which the operating flow equals `flow` (flow rises with power)
+function powerForFlow(flow, maxW, map, staticHead, loss) {
+  let lo = 0, hi = maxW;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    if (solveOperatingPoint(mid, map, staticHead, loss).flow < flow) lo = mid; else hi = mid;
+  }
+  return hi;
+}
+
+// ─── PV ARRAY MODEL ───────────────────────────────────────────────
+// Converts one hour of solar data into DC power (W) at the pump controller input.
+// G(i) irradiance: kWp · G · temperature derate · (1 − soiling) · (1 − wiring),
+// with cell temperature from the NOCT model Tc = Ta + (NOCT − 20) · G / 800.
+// Ta is the PVGIS T2m column when present. A PVGIS P column already includes
+// temperature and system losses for the array configured on the website, so
+// it is only rescaled to kWp. Controller losses are applied by the controller.
+// `derate` is a field calibration factor on top of either (1 = as modelled).
+
+export const DEFAULT_PV = { kWp: 1.2, tempCoeffPct: -0.4, noctC: 45, soilingPct: 3, wiringPct: 2, ambientC: 25, derate: 1 };
+export const DEFAULT_SOLAR_SOURCE = { kind: "G", fileKWp: null }; // what the loaded data's values are
+
+export function pvPowerAtController(val, tempC, pv, solarSource) {
+  if (val <= 0) return 0;
+  const field = pv.derate ?? 1;
+  if (solarSource.kind === "P") return val * (solarSource.fileKWp ? pv.kWp / solarSource.fileKWp : 1) * field;
+  const ta = tempC ?? pv.ambientC;
+  const tc = ta + (pv.noctC - 20) * val / 800;
+  const derate = Math.max(0, 1 + pv.tempCoeffPct / 100 * (tc - 25));
+  return pv.kWp * val * derate * (1 - pv.soilingPct / 100) * (1 - pv.wiringPct / 100) * field;
+}
+
+// ─── CONTROLLER ───────────────────────────────────────────────────
+// The pump controller converts array DC power into pump input power with an
+// efficiency that depends on load (% of the pump's maximum power), will not
+// start below `minStartW` DC, and, with a float switch, stops when the tank
+// reaches `stopPct` of capacity until it has drawn down to `restartPct`.
+
+export const DEFAULT_CONTROLLER = {
+  minStartW: 100, floatSwitch: true, stopPct: 100, restartPct: 80,
+  effCurve: [{ load: 5, eff: 80 }, { load: 20, eff: 92 }, { load: 50, eff: 95 }, { load: 100, eff: 96 }]
+};
+
+export function controllerEfficiency(loadPct, curve) {
+  const pts = [...curve].sort((a, b) => a.load - b.load);
+  if (loadPct <= pts[0].load) return pts[0].eff;
+  for (let i = 1; i < pts.length; i++) {
+    if (loadPct <= pts[i].load) {
+      const t = (loadPct - pts[i - 1].load) / (pts[i].load - pts[i - 1].load);
+      return pts[i - 1].eff + t * (pts[i].eff - pts[i - 1].eff);
+    }
+  }
+  return pts[pts.length - 1].eff;
+}
+
+// Pump input power (W) for a DC input, capped at the pump's maximum power
+export function controllerOutput(dcW, ratedW, ctl) {
+  if (dcW <= 0 || dcW < ctl.minStartW) return 0;
+  return Math.min(dcW * controllerEfficiency(dcW / ratedW * 100, ctl.effCurve) / 100, ratedW);
+}
+
+// ─── TIME SERIES ──────────────────────────────────────────────────
+// The engine always steps through an hourly series of { month, day, hour, val, temp }.
+// Monthly average profiles are expanded into a 365-day "typical year" that
+// replays the same average day; a parsed PVGIS series is used as-is.
+
+export function expandProfiles(profiles, tempProfiles) {
+  const hours = [];
+  for (let m = 0; m < 12; m++) {
+    for (let d = 1; d <= DAYS_IN_MONTH[m]; d++) {
+      for (let h = 0; h < 24; h++) {
+        hours.push({ month: m + 1, day: d, hour: h, val: profiles[m + 1][h], temp: tempProfiles ? tempProfiles[m + 1][h] : null });
+      }
+    }
+  }
+  return hours;
+}
+
+// Calendar years present in a series, with day counts so partial years can be flagged
+export function listYears(hours) {
+  const days = {};
+  for (const r of hours) (days[r.year] ??= new Set()).add(r.month * 100 + r.day);
+  return Object.keys(days).map(Number).sort((a, b) => a - b).map(year => {
+    const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return { year, days: days[year].size, partial: days[year].size < (leap ? 366 : 365) };
+  });
+}
+
+// ─── TIME BASE ────────────────────────────────────────────────────
+// Weather data is kept in the time base it was loaded in (PVGIS and the
+// default profiles are UTC; EPW and NASA POWER LST are local standard time)
+// and shifted to the site's local clock before simulation, so hourly demand
+// lines up with the sun. The offset comes from the longitude (solar time,
+// rounded to the hour), a fixed UTC offset, or a time zone's standard time.
+// The shift is rounded to whole hours and wraps around the ends of the
+// series, which assumes a contiguous hourly record.
+
+export const DEFAULT_TIME_SHIFT = { mode: "auto", offset: 0, zone: "UTC" };
+
+export const utcMillis = (r, offsetH) => Date.UTC(r.year ?? 2001, r.month - 1, r.day, r.hour) - offsetH * 3.6e6;
+
+export function formatUtcOffset(h) {
+  const m = Math.round(Math.abs(h) * 60);
+  return `UTC${h < 0 ? "−" : "+"}${Math.floor(m / 60)}${m % 60 ? `:${String(m % 60).padStart(2, "0")}` : ""}`;
+}
+
+// Standard-time offset (hours) of an IANA zone: the smaller of January and July
+export function zoneOffsetHours(zone, year = 2021) {
+  const at = (month) => {
+    try {
+      const name = new Intl.DateTimeFormat("en-US", { timeZone: zone, timeZoneName: "shortOffset" })
+        .formatToParts(new Date(Date.UTC(year, month, 15, 12))).find(p => p.type === "timeZoneName")?.value || "";
+      const m = name.match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+      return m ? (m[1] === "-" ? -1 : 1) * (+m[2] + (+m[3] || 0) / 60) : 0;
+    } catch {
+      return 0;
+    }
+  };
+  return Math.min(at(0), at(6));
+}
+
+export function resolveUtcOffset(timeShift, lon) {
+  if (timeShift.mode === "offset") return +timeShift.offset || 0;
+  if (timeShift.mode === "zone") return zoneOffsetHours(timeShift.zone);
+  return Number.isFinite(+lon) ? Math.round(+lon / 15) : 0;
+}
+
+const wrap = (i, n) => ((i % n) + n) % n;
+
+export function shiftProfiles(profiles, k) {
+  if (!profiles || k === 0) return profiles;
+  return Object.fromEntries(Object.entries(profiles).map(([m, arr]) => [m, arr.map((_, h) => arr[wrap(h - k, 24)])]));
+}
+
+// Relabel a series from `fromOffset` to `toOffset`: the record at local hour j
+// takes the values measured k hours earlier on the source clock.
+export function shiftSeries(hours, fromOffset, toOffset) {
+  const k = Math.round(toOffset - fromOffset);
+  if (!hours || k === 0) return hours;
+  const n = hours.length;
+  return hours.map((r, j) => {
+    const src = hours[wrap(j - k, n)];
+    return { ...r, val: src.val, temp: src.temp, t: utcMillis(r, toOffset) };
+  });
+}
+
+export function localiseWeather({ profiles, tempProfiles, hours, sourceOffset }, utcOffset) {
+  const k = Math.round(utcOffset - sourceOffset);
+  return {
+    profiles: shiftProfiles(profiles, k), tempProfiles: shiftProfiles(tempProfiles, k),
+    hours: shiftSeries(hours, sourceOffset, utcOffset), shift: k
+  };
+}
+
+// ─── SIMULATION ENGINE ────────────────────────────────────────────
+// Pump curve values are flow rates in m³/hr at a given power input.
+// Each hour: PV → controller → pump flow rate → storage, unless the float
+// switch has stopped the pump; the PV energy it could have used is reported
+// as curtailed. Without a float switch the surplus overflows the tank.
+// Power is capped at highest pump curve point (no extrapolation beyond data).
+// `hours` (chronological series) takes precedence over `profiles`; days are
+// taken from the series, so leap days and partial years need no special case.
+// `headM` is the static lift; total dynamic head is solved every timestep,
+// including borehole drawdown and seasonal level when `source` is a borehole.
+// `pumpDerate` scales the pump's flow (field calibration, 1 = datasheet) and
+// `pumpFit` picks how the map is drawn between datasheet points (PUMP_FITS).
+// `trace: true` also returns every hourly step (m³ and m³/hr) for export.
+// Besides the totals it reports design-review metrics: loss-of-load
+// probability (% of demand hours short) overall and by hour of day, the
+// longest run of days with a deficit, the tank's days of autonomy at average
+// demand and the P50/P90 daily pumped volume (exceeded on 50/90% of days).
+// The tank starts at `initialFillPct` of capacity; with `warmUp` the series is
+// repeated (storage only) until the end level matches the start, so the first
+// weeks are not biased by an arbitrary initial condition.
+
+export const WARMUP_MAX_PASSES = 20;
+
+export function runSimulation({ headM, storageLiters, dailyDemandLiters, demand = DEFAULT_DEMAND, profiles, tempProfiles, hours, pumpCurves, pipe, pv, solarSource, controller = DEFAULT_CONTROLLER, source = DEFAULT_SOURCE, pumpDerate = 1, pumpFit = "linear", initialFillPct = 0, warmUp = false, trace = false }) {
+  const storageM3 = storageLiters / 1000;
+  const dailyDemandM3 = dailyDemandLiters / 1000;
+  const shape = normaliseShape(demand.hourly);
+  const hourlyDemand = (m, h) => dailyDemandM3 * demand.monthly[m] * shape[h];
+  const pumpMap = buildPumpMap(pumpDerate === 1 ? pumpCurves : derateCurves(pumpCurves, Math.max(0, pumpDerate)), pumpFit);
+  const maxPumpPower = pumpMaxPower(pumpMap);
+  const systemLoss = buildSystemLoss(pipe, source);
+  const borehole = source?.type === "borehole";
+  const liftByMonth = MONTH_NAMES.map((_, m) => headM + (borehole ? seasonalLevel(source, m) - source.staticLevelM : 0));
+  const limitsByMonth = MONTH_NAMES.map((_, m) => sourceLimits(source, m));
+
+  // Operating point for controller output `avail` in month m, held to the well's limits
+  const operate = (avail, m) => {
+    const op = solveOperatingPoint(avail, pumpMap, liftByMonth[m], systemLoss);
+    const lim = limitsByMonth[m];
+    if (!lim || op.flow <= Math.min(lim.yield, lim.intake)) return { power: avail, ...op, limit: null, wanted: op.flow };
+    const cap = Math.min(lim.yield, lim.intake);
+    return {
+      power: cap > 0 ? powerForFlow(cap, avail, pumpMap, liftByMonth[m], systemLoss) : 0,
+      flow: cap, head: liftByMonth[m] + systemLoss(cap),
+      limit: lim.intake < lim.yield ? "intake" : "yield", wanted: op.flow
+    };
+  };
+
+  const series = hours || expandProfiles(profiles, tempProfiles);
+
+  // The pump's available output does not depend on the tank, so each hour is
+  // solved once and shared by the warm-up passes and the main pass.
+  const n = series.length;
+  const pvDc = new Float64Array(n); // array output at the controller input, W
+  const power = new Float64Array(n), flow = new Float64Array(n), tdh = new Float64Array(n), use = new Float64Array(n);
+  const spare = new Float64Array(n); // controller output left unused by a well-limited pump
+  const limited = [];                // hours the well held the flow: [i, limit, wanted flow]
+  for (let i = 0; i < n; i++) {
+    const rec = series[i];
+    pvDc[i] = pvPowerAtController(rec.val, rec.temp, pv, solarSource);
+    const avail = controllerOutput(pvDc[i], maxPumpPower, controller);
+    // Flow in m³/hr at the operating point
+    const op = operate(avail, rec.month - 1);
+    power[i] = op.power;
+    spare[i] = avail - op.power;
+    flow[i] = op.flow;
+    tdh[i] = op.head;
+    use[i] = hourlyDemand(rec.month - 1, rec.hour);
+    if (op.limit) limited.push([i, op.limit, op.wanted]);
+  }
+
+  // Float switch: returns the fraction of hour i the pump runs and updates
+  // tank = { level, on } (level unclamped — the caller settles overflow/deficit)
+  const stopLevel = storageM3 * Math.min(100, controller.stopPct) / 100;
+  const restartLevel = Math.min(stopLevel, storageM3 * controller.restartPct / 100);
+  const stepTank = (tank, i) => {
+    let run = flow[i] > 0 ? 1 : 0;
+    if (controller.floatSwitch) {
+      if (tank.level <= restartLevel) tank.on = true;
+      if (!tank.on) run = 0;
+      else if (run) {
+        // Stop part-way through the hour when the float is reached
+        const room = stopLevel - tank.level + use[i];
+        if (flow[i] > room) { run = Math.max(0, room) / flow[i]; tank.on = false; }
+      }
+    }
+    tank.level += flow[i] * run - use[i];
+    return run;
+  };
+
+  let startStorage = storageM3 * Math.min(100, Math.max(0, initialFillPct)) / 100;
+  let warmUpPasses = 0;
+  if (warmUp && n > 0) {
+    while (warmUpPasses < WARMUP_MAX_PASSES) {
+      const tank = { level: startStorage, on: startStorage < stopLevel };
+      for (let i = 0; i < n; i++) {
+        stepTank(tank, i);
+        tank.level = Math.min(storageM3, Math.max(0, tank.level));
+      }
+      const st = tank.level;
+      warmUpPasses++;
+      const settled = Math.abs(st - startStorage) <= storageM3 * 1e-3;
+      startStorage = st;
+      if (settled) break;
+    }
+  }
+
+  const monthly = MONTH_NAMES.map((month, m) => ({
+    month, monthIdx: m, days: 0,
+    totalPumped: 0, totalDemand: 0, deficit: 0, overflow: 0, avgDailyPumped: 0,
+    pumpHours: 0, starts: 0, pumpKWh: 0, curtailedKWh: 0
+  }));
+  const dailyServed = [];
+  const hourlyTrace = trace ? [] : null;
+  let daysNotServed = 0;
+  let headFlowSum = 0; // Σ TDH·Q for the flow-weighted average head
+  let headMin = Infinity, headMax = -Infinity; // TDH range while pumping
+  const tank = { level: startStorage, on: startStorage < stopLevel };
+  let storage = startStorage;
+  const levels = new Float64Array(n); // tank level (m³) at the end of each hour
+  const runFrac = new Float64Array(n);
+  let daysFull = 0, daysEmpty = 0;
+  let running = false, stops = 0;
+  let day = null;
+  const demandHours = new Array(24).fill(0), shortHours = new Array(24).fill(0);
+  let streak = null, longestDeficitRun = null; // consecutive days with a deficit
+
+  const closeDay = () => {
+    if (!day) return;
+    // Water actually delivered = demand minus what was missed
+    const served = (day.demand - day.deficit) * 1000; // liters
+    dailyServed.push({
+      day: dailyServed.length + 1, date: day.date, month: day.m + 1, dayOfMonth: day.dom,
+      served: +served.toFixed(0), demand: +(day.demand * 1000).toFixed(0), pumped: Math.round(day.pumped * 1000),
+      levelMin: Math.round(day.levelMin * 1000), levelMax: Math.round(day.levelMax * 1000), levelEnd: Math.round(storage * 1000),
+      full: day.full, empty: day.empty
+    });
+    if (day.deficit > 0.0001) {
+      daysNotServed++;
+      streak = streak ? { ...streak, days: streak.days + 1, to: day.date } : { days: 1, from: day.date, to: day.date };
+      if (!longestDeficitRun || streak.days > longestDeficitRun.days) longestDeficitRun = streak;
+    } else {
+      streak = null;
+    }
+    if (day.full) daysFull++;
+    if (day.empty) daysEmpty++;
+    monthly[day.m].days++;
+  };
+
+  for (let i = 0; i < n; i++) {
+    const rec = series[i];
+    const m = rec.month - 1;
+    const key = (rec.year || 0) * 10000 + rec.month * 100 + rec.day;
+    if (!day || day.key !== key) {
+      closeDay();
+      day = {
+        key, m, dom: rec.day, date: `${MONTH_NAMES[m]} ${rec.day}${rec.year ? ` ${rec.year}` : ""}`, demand: 0, deficit: 0, pumped: 0,
+        levelMin: storage, levelMax: storage, full: false, empty: false
+      };
+    }
+    const mo = monthly[m];
+
+    const run = stepTank(tank, i);
+    runFrac[i] = run;
+    const powerW = power[i] * run, flowM3 = flow[i] * run, head = tdh[i];
+    headFlowSum += head * flowM3;
+    if (run > 0) { headMin = Math.min(headMin, head); headMax = Math.max(headMax, head); }
+    mo.totalPumped += flowM3;
+    mo.pumpHours += run;
+    mo.pumpKWh += powerW / 1000;
+    mo.curtailedKWh += (power[i] - powerW + spare[i]) / 1000;
+    // A part-hour run (float reached) counts as a stop within the hour
+    const wasRunning = running;
+    running = run === 1;
+    if (run > 0 && !wasRunning) mo.starts++;
+    if ((wasRunning || run > 0) && !running) stops++;
+    storage = tank.level;
+    const demandM3 = use[i];
+    day.demand += demandM3;
+    day.pumped += flowM3;
+    mo.totalDemand += demandM3;
+    let spill = 0, short = 0;
+    if (storage > storageM3) { spill = storage - storageM3; mo.overflow += spill; storage = storageM3; }
+    if (storage < 0) { short = -storage; day.deficit += short; mo.deficit += short; storage = 0; }
+    if (demandM3 > 0) {
+      demandHours[rec.hour]++;
+      if (short > 0.0001) shortHours[rec.hour]++;
+    }
+    tank.level = storage;
+    levels[i] = storage;
+    if (storage < day.levelMin) day.levelMin = storage;
+    if (storage > day.levelMax) day.levelMax = storage;
+    if (storage >= storageM3 - 1e-9) day.full = true;
+    if (storage <= 1e-9) day.empty = true;
+    if (hourlyTrace) hourlyTrace.push({
+      year: rec.year ?? null, month: rec.month, day: rec.day, hour: rec.hour, t: rec.t ?? null,
+      pv: pvDc[i], power: powerW, flow: flowM3, head, demand: demandM3, overflow: spill, deficit: short, storage,
+      run, curtailed: power[i] - powerW + spare[i]
+    });
+  }
+  closeDay();
+
+  let yearlyPumped = 0, yearlyDemand = 0, yearlyDeficit = 0, yearlyOverflow = 0;
+  let pumpHours = 0, starts = 0, pumpKWh = 0, curtailedKWh = 0;
+  for (const mo of monthly) {
+    mo.avgDailyPumped = mo.days > 0 ? mo.totalPumped / mo.days : 0;
+    yearlyPumped += mo.totalPumped;
+    yearlyDemand += mo.totalDemand;
+    yearlyDeficit += mo.deficit;
+    yearlyOverflow += mo.overflow;
+    pumpHours += mo.pumpHours;
+    starts += mo.starts;
+    pumpKWh += mo.pumpKWh;
+    curtailedKWh += mo.curtailedKWh;
+  }
+
+  // Hours the well limited flow while the pump was running (not stopped by the float)
+  let wellReport = null;
+  if (borehole) {
+    wellReport = { yieldHours: 0, intakeHours: 0, heldBackM3: 0, peakFlow: 0, deepestLevelM: 0 };
+    for (const [i, limit, wanted] of limited) {
+      const run = runFrac[i];
+      if (run <= 0) continue;
+      wellReport[limit === "yield" ? "yieldHours" : "intakeHours"] += run;
+      wellReport.heldBackM3 += (wanted - flow[i]) * run;
+      wellReport.peakFlow = Math.max(wellReport.peakFlow, wanted);
+    }
+    for (let i = 0; i < n; i++) {
+      if (runFrac[i] > 0) {
+        const depth = seasonalLevel(source, series[i].month - 1) + Math.max(0, source.drawdownPerM3h) * flow[i];
+        wellReport.deepestLevelM = Math.max(wellReport.deepestLevelM, depth);
+      }
+    }
+  }
+
+  const totalDemandHours = demandHours.reduce((a, c) => a + c, 0);
+  const dailyPumped = dailyServed.map(d => d.pumped / 1000);
+
+  const hourlyProfile = (monthIdx) => {
+    const profile = profiles[monthIdx + 1];
+    return profile.map((val, h) => {
+      const avail = controllerOutput(pvPowerAtController(val, tempProfiles ? tempProfiles[monthIdx + 1][h] : null, pv, solarSource), maxPumpPower, controller);
+      const { power: powerW, flow: flowRate, head } = operate(avail, monthIdx);
+      return {
+        hour: h, label: `${h}:00`,
+        power: Math.round(powerW),
+        flowRate: +flowRate.toFixed(3),
+        head: +head.toFixed(1),
+        demand: +hourlyDemand(monthIdx, h).toFixed(4)
+      };
+    });
+  };
+
+  return {
+    monthly, dailyServed, daysNotServed, days: dailyServed.length, storageLiters,
+    levels, daysFull, daysEmpty, startStorage, endStorage: storage, warmUpPasses,
+    yearlyPumped, yearlyDemand, yearlyDeficit, yearlyOverflow,
+    pumpHours, starts, stops, pumpKWh, curtailedKWh,
+    avgHead: yearlyPumped > 0 ? headFlowSum / yearlyPumped : headM,
+    headRange: headMax >= headMin ? [headMin, headMax] : null,
+    reliability: yearlyDemand > 0 ? Math.max(0, (1 - yearlyDeficit / yearlyDemand) * 100) : 100,
+    lolp: totalDemandHours > 0 ? shortHours.reduce((a, c) => a + c, 0) / totalDemandHours * 100 : 0,
+    lolpByHour: demandHours.map((c, h) => c > 0 ? shortHours[h] / c * 100 : null),
+    longestDeficitRun,
+    autonomyDays: yearlyDemand > 0 ? storageM3 / (yearlyDemand / dailyServed.length) : Infinity,
+    p50DailyPumped: exceedance(dailyPumped, 50), p90DailyPumped: exceedance(dailyPumped, 90),
+    source: wellReport, hourlyProfile, trace: hourlyTrace
+  };
+}
+
+// Plain-language warnings when the design asks more of the borehole than it gives
+export function sourceWarnings(sim, source) {
+  const w = sim.source;
+  if (!w) return [];
+  const out = [];
+  if (w.yieldHours > 0) {
+    out.push(`Over-pumping: the pump would draw up to ${w.peakFlow.toFixed(2)} m³/hr against a safe yield of ${source.safeYieldM3h} m³/hr ` +
+      `in ${Math.round(w.yieldHours)} pumping hours; flow is held at the yield. A smaller pump or array would do.`);
+  }
+  if (w.intakeHours > 0) {
+    out.push(`The pumping water level reaches the pump intake at ${source.pumpDepthM} m in ${Math.round(w.intakeHours)} pumping hours; ` +
+      `flow is reduced to keep it submerged. Set the pump deeper or reduce its flow.`);
+  }
+  const dryLevel = seasonalLevel(source, source.lowMonth);
+  if (dryLevel >= source.pumpDepthM) {
+    out.push(`The dry-season rest level (${dryLevel.toFixed(1)} m) is below the pump intake at ${source.pumpDepthM} m.`);
+  }
+  return out;
+}
+
+// ─── MULTI-YEAR ANALYSIS ──────────────────────────────────────────
+// Runs the chronological simulation once per calendar year in the series.
+// Partial years are reported but left out of the worst-year flag and the
+// percentiles whenever at least one full year is available.
+
+export function runYearly(params, hours) {
+  const byYear = {};
+  for (const r of hours) (byYear[r.year] ??= []).push(r);
+  const rows = listYears(hours).map(y => {
+    const s = runSimulation({ ...params, hours: byYear[y.year] });
+    return {
+      ...y, reliability: s.reliability, daysNotServed: s.daysNotServed,
+      deficit: s.yearlyDeficit, pumped: s.yearlyPumped, delivered: s.yearlyDemand - s.yearlyDeficit
+    };
+  });
+  const full = rows.some(r => !r.partial) ? rows.filter(r => !r.partial) : rows;
+  const worst = full.reduce((w, r) => (!w || r.reliability < w.reliability ? r : w), null);
+  const delivered = full.map(r => r.delivered);
+  return { rows, worstYear: worst?.year ?? null, p50: exceedance(delivered, 50), p90: exceedance(delivered, 90) };
+}
+
+// Value exceeded in `pct` % of samples (P90 = exceeded 9 years in 10), linearly interpolated
+export function exceedance(values, pct) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (1 - pct / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// ─── LIFETIME ─────────────────────────────────────────────────────
+// Year-by-year run over the project life with ageing equipment. PV output
+// falls by `pvDegradationPct` of nameplate per year and pump flow by
+// `pumpWearPct` per year (on top of any field calibration); a replacement at
+// the end of a component's life (the economics lifeYears) restores it as new.
+// Each year reuses the loaded weather — the years of the series in turn, or
+// the average day — and starts with the tank level the previous year ended on.
+// `demandLiters` optionally gives the daily demand of each year (growth).
+
+export const DEFAULT_LIFETIME = { pvDegradationPct: 0.5, pumpWearPct: 1, targetPct: 95 };
+
+export function runLifetime(params, { years, lifeYears, weatherYears = [null], demandLiters = null }, lifetime) {
+  const age = (t, life) => life > 0 ? (t - 1) % life : t - 1;
+  const rows = [];
+  let fillPct = params.initialFillPct ?? 0;
+  for (let t = 1; t <= years; t++) {
+    const pvAge = age(t, lifeYears.pv), pumpAge = age(t, lifeYears.pump);
+    const pvFactor = Math.max(0, 1 - lifetime.pvDegradationPct / 100 * pvAge);
+    const pumpFactor = Math.max(0, 1 - lifetime.pumpWearPct / 100 * pumpAge);
+    const hours = weatherYears[(t - 1) % weatherYears.length];
+    const dailyDemandLiters = demandLiters?.[t - 1] ?? params.dailyDemandLiters;
+    const s = runSimulation({
+      ...params, hours, dailyDemandLiters,
+      pv: { ...params.pv, derate: (params.pv.derate ?? 1) * pvFactor },
+      pumpDerate: (params.pumpDerate ?? 1) * pumpFactor,
+      initialFillPct: fillPct, warmUp: t === 1 && !!params.warmUp
+    });
+    fillPct = params.storageLiters > 0 ? s.endStorage / (params.storageLiters / 1000) * 100 : 0;
+    rows.push({
+      year: t, weatherYear: hours?.[0]?.year ?? null, pvFactor, pumpFactor,
+      replaced: t > 1 ? ["pv", "pump"].filter(k => (k === "pv" ? pvAge : pumpAge) === 0) : [],
+      dailyDemandLiters, reliability: s.reliability, daysNotServed: s.daysNotServed,
+      pumped: s.yearlyPumped, deficit: s.yearlyDeficit, delivered: s.yearlyDemand - s.yearlyDeficit
+    });
+  }
+  const below = rows.find(r => r.reliability < lifetime.targetPct);
+  return {
+    rows, firstBelowYear: below?.year ?? null,
+    worst: rows.reduce((w, r) => (!w || r.reliability < w.reliability ? r : w), null),
+    delivered: rows.reduce((a, r) => a + r.delivered, 0)
+  };
+}
+
+// ─── FIELD DATA ───────────────────────────────────────────────────
+// Logged data from an installed system, checked against the model over the
+// same hours. The CSV has a timestamp column in site local time
+// (2024-03-01 13:00 or 01/03/2024 13:00) and any of: a flow meter total
+// (cumulative), the volume pumped since the previous row, and the tank level.
+// Volumes are m³ unless the header says liters; levels are % of the tank when
+// the header has "%" or "pct", else liters. Volumes are compared per day,
+// summed over the meter intervals ending that day; levels reading by reading.
+
+export const MEASURED_MAX_GAP_H = 48; // longer meter intervals are treated as logger gaps
+export const DERATE_RANGE = [0.3, 1.3];
+
+const LITER_UNIT = /\(l\)|\[l\]|_l\b|\bl\b|liter|litre/i;
+
+// Local clock time as ms on a UTC axis (no offset applied)
+function parseClock(s) {
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (m) return Date.UTC(+m[1], m[2] - 1, +m[3], +(m[4] ?? 0), +(m[5] ?? 0), +(m[6] ?? 0));
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (m) return Date.UTC(+m[3], m[2] - 1, +m[1], +(m[4] ?? 0), +(m[5] ?? 0), +(m[6] ?? 0));
+  return null;
+}
+
+const formatClock = (ms) => new Date(ms).toISOString().slice(0, 16).replace("T", " ");
+
+export function parseMeasuredCSV(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 3) throw new Error("Measured data needs a header row and at least two readings");
+  const sep = [",", ";", "\t"].find(s => lines[0].includes(s)) ?? ",";
+  const split = (line) => line.split(sep).map(v => v.trim().replace(/^"|"$/g, ""));
+  const header = split(lines[0]);
+  const col = (re, taken) => header.findIndex((h, i) => !taken.includes(i) && re.test(h));
+  const iTime = col(/time|date/i, []);
+  const iTotal = col(/total|meter|cumul/i, [iTime]);
+  const iFlow = col(/flow|volume|pumped/i, [iTime, iTotal]);
+  const iLevel = col(/level/i, [iTime, iTotal, iFlow]);
+  if (iTime < 0) throw new Error('No timestamp column (a header containing "time" or "date")');
+  if (iTotal < 0 && iFlow < 0 && iLevel < 0) throw new Error("No flow meter total, flow or tank level column");
+
+  const volScale = (i) => LITER_UNIT.test(header[i]) ? 1e-3 : 1;
+  const value = (p, i, scale = 1) => {
+    if (i < 0) return null;
+    const v = parseFloat(p[i]);
+    return Number.isFinite(v) ? v * scale : null;
+  };
+  const readings = [];
+  let skipped = 0;
+  for (const line of lines.slice(1)) {
+    const p = split(line);
+    const r = {
+      clock: parseClock(p[iTime] ?? ""),
+      total: value(p, iTotal, iTotal >= 0 ? volScale(iTotal) : 1), flow: value(p, iFlow, iFlow >= 0 ? volScale(iFlow) : 1),
+      level: value(p, iLevel)
+    };
+    if (r.clock == null || (r.total == null && r.flow == null && r.level == null)) { skipped++; continue; }
+    readings.push(r);
+  }
+  if (readings.length < 2) throw new Error("Fewer than two readings could be parsed");
+  readings.sort((a, b) => a.clock - b.clock);
+  return {
+    readings, skipped, rowCount: readings.length,
+    columns: { total: header[iTotal] ?? null, flow: iTotal < 0 ? header[iFlow] ?? null : null, level: header[iLevel] ?? null },
+    levelUnit: iLevel >= 0 && /%|pct|percent/i.test(header[iLevel]) ? "pct" : "L",
+    from: readings[0].clock, to: readings[readings.length - 1].clock
+  };
+}
+
+// Pumped volume between consecutive meter readings; resets and gaps are dropped
+function meterIntervals(measured) {
+  const key = measured.columns.total ? "total" : measured.columns.flow ? "flow" : null;
+  const out = [];
+  if (!key) return out;
+  let prev = null;
+  for (const r of measured.readings) {
+    if (r[key] == null) continue;
+    if (prev) {
+      const hours = (r.clock - prev.clock) / 3.6e6;
+      const m3 = key === "total" ? r.total - prev.total : r.flow;
+      if (hours > 0 && hours <= MEASURED_MAX_GAP_H && m3 >= 0) out.push({ from: prev.clock, to: r.clock, m3 });
+    }
+    prev = r;
+  }
+  return out;
+}
+
+// Chronological simulation over the measured period, starting from the first
+// measured tank level when there is one
+export function simulateMeasuredPeriod(params, hours, measured, utcOffset) {
+  const from = measured.from - utcOffset * 3.6e6, to = measured.to - utcOffset * 3.6e6;
+  const period = (hours || []).filter(r => r.t != null && r.t + 3.6e6 > from && r.t <= to);
+  if (period.length === 0) {
+    throw new Error(`The weather series does not cover the measured period (${formatClock(measured.from)} – ${formatClock(measured.to)}); load weather data for those dates`);
+  }
+  const first = measured.readings.find(r => r.level != null);
+  const initialFillPct = !first ? params.initialFillPct
+    : measured.levelUnit === "pct" ? first.level : first.level / params.storageLiters * 100;
+  return runSimulation({ ...params, hours: period, initialFillPct, warmUp: first ? false : params.warmUp, trace: true });
+}
+
+// Pairs measured and simulated values (m³): daily pumped volume and tank level
+export function compareMeasured(sim, measured, utcOffset) {
+  const tr = sim.trace;
+  const n = tr.length;
+  const cum = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) cum[i + 1] = cum[i] + tr[i].flow;
+  // Hour containing UTC time t and the fraction of it elapsed, or null outside the run
+  const locate = (t) => {
+    let lo = 0, hi = n - 1, i = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (tr[mid].t <= t) { i = mid; lo = mid + 1; } else hi = mid - 1;
+    }
+    return i < 0 || t > tr[i].t + 3.6e6 ? null : [i, (t - tr[i].t) / 3.6e6];
+  };
+  const toUtc = (clock) => clock - utcOffset * 3.6e6;
+
+  const days = new Map();
+  for (const iv of meterIntervals(measured)) {
+    const a = locate(toUtc(iv.from)), b = locate(toUtc(iv.to));
+    if (!a || !b) continue;
+    const predicted = cum[b[0]] + tr[b[0]].flow * b[1] - cum[a[0]] - tr[a[0]].flow * a[1];
+    const date = formatClock(iv.to - 1).slice(0, 10);
+    const d = days.get(date) ?? { date, measured: 0, predicted: 0 };
+    d.measured += iv.m3;
+    d.predicted += predicted;
+    days.set(date, d);
+  }
+  const volume = [...days.values()];
+
+  const capacity = sim.storageLiters / 1000;
+  const level = [];
+  for (const r of measured.readings) {
+    const at = r.level != null && locate(toUtc(r.clock));
+    if (!at) continue;
+    const [i, f] = at;
+    const start = i > 0 ? tr[i - 1].storage : sim.startStorage;
+    level.push({
+      time: formatClock(r.clock), clock: r.clock,
+      measured: measured.levelUnit === "pct" ? r.level / 100 * capacity : r.level / 1000,
+      predicted: start + (tr[i].storage - start) * f
+    });
+  }
+  return { volume: { points: volume, stats: errorStats(volume) }, level: { points: level, stats: errorStats(level) } };
+}
+
+// Goodness of fit for { measured, predicted } pairs; bias is predicted − measured
+export function errorStats(points) {
+  const n = points.length;
+  if (n === 0) return null;
+  let sumM = 0, sumP = 0, sumE = 0, sumAbs = 0, sumSq = 0;
+  for (const { measured: m, predicted: p } of points) {
+    sumM += m; sumP += p; sumE += p - m; sumAbs += Math.abs(p - m); sumSq += (p - m) ** 2;
+  }
+  const mean = sumM / n;
+  const ssTot = points.reduce((a, { measured: m }) => a + (m - mean) ** 2, 0);
+  const rmse = Math.sqrt(sumSq / n);
+  return {
+    n, meanMeasured: mean, meanPredicted: sumP / n, bias: sumE / n, mae: sumAbs / n, rmse,
+    nmbePct: mean !== 0 ? sumE / sumM * 100 : null, cvRmsePct: mean !== 0 ? rmse / mean * 100 : null,
+    r2: ssTot > 0 ? 1 - sumSq / ssTot : null
+  };
+}
+
+// Derating factors on the PV output and the pump flow that best reproduce the
+// measurements: a golden-section search per factor, alternating a few rounds
+// when both are fitted. Volume and level errors are scaled by the measured
+// mean volume and the tank size so they weigh alike.
+export function fitDerating({ params, hours, measured, utcOffset, fit = "pv" }) {
+  const compare = (pvDerate, pumpDerate) => {
+    const p = { ...params, pv: { ...params.pv, derate: pvDerate }, pumpDerate };
+    return compareMeasured(simulateMeasuredPeriod(p, hours, measured, utcOffset), measured, utcOffset);
+  };
+  const objective = (pvDerate, pumpDerate) => {
+    const { volume, level } = compare(pvDerate, pumpDerate);
+    let err = 0;
+    if (volume.stats) err += (volume.stats.rmse / Math.max(1e-6, Math.abs(volume.stats.meanMeasured))) ** 2;
+    if (level.stats) err += (level.stats.rmse / Math.max(1e-6, params.storageLiters / 1000)) ** 2;
+    return err;
+  };
+  const golden = (f, [a, b], tol = 0.002) => {
+    const r = (Math.sqrt(5) - 1) / 2;
+    let x1 = b - r * (b - a), x2 = a + r * (b - a), f1 = f(x1), f2 = f(x2);
+    while (b - a > tol) {
+      if (f1 <= f2) { b = x2; x2 = x1; f2 = f1; x1 = b - r * (b - a); f1 = f(x1); }
+      else { a = x1; x1 = x2; f1 = f2; x2 = a + r * (b - a); f2 = f(x2); }
+    }
+    return (a + b) / 2;
+  };
+
+  let pvDerate = params.pv.derate ?? 1, pumpDerate = params.pumpDerate ?? 1;
+  const before = compare(pvDerate, pumpDerate);
+  for (let round = 0; round < (fit === "both" ? 3 : 1); round++) {
+    if (fit !== "pump") pvDerate = +golden(x => objective(x, pumpDerate), DERATE_RANGE).toFixed(2);
+    if (fit !== "pv") pumpDerate = +golden(x => objective(pvDerate, x), DERATE_RANGE).toFixed(2);
+  }
+  return { pvDerate, pumpDerate, before, after: compare(pvDerate, pumpDerate) };
+}
+
+// ─── STOCHASTIC WEATHER ───────────────────────────────────────────
+// Synthetic years for Monte Carlo runs. Each day of the loaded series is
+// classed cloudy / partly cloudy / clear by its irradiance relative to the
+// brightest day of that month, and a first-order Markov chain of the classes
+// is fitted per month. A synthetic year walks the chain and fills each day
+// with a real day of the drawn class from the same month, so the hourly shape,
+// temperature and the persistence of cloudy spells come from the site data.
+// Months without data (and runs on average profiles only) fall back to a
+// generic chain that scales the month's average profile, mean-preserving.
+
+export const DAY_CLASSES = ["Cloudy", "Partly cloudy", "Clear"];
+const CLASS_LIMITS = [0.5, 0.8]; // daily irradiance / brightest day of the month
+const GENERIC_TRANSITIONS = [[0.5, 0.3, 0.2], [0.25, 0.45, 0.3], [0.1, 0.25, 0.65]];
+const GENERIC_DAY_FACTORS = [0.45, 0.85, 1.1];
+
+const classifyDay = (kt) => kt < CLASS_LIMITS[0] ? 0 : kt < CLASS_LIMITS[1] ? 1 : 2;
+
+// Seeded PRNG (mulberry32) so a run can be repeated exactly
+export function makeRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function genericMonth(profiles, tempProfiles, m) {
+  // Stationary class shares of the generic chain, so the factors average to 1
+  let pi = [1 / 3, 1 / 3, 1 / 3];
+  for (let i = 0; i < 50; i++) pi = pi.map((_, j) => pi.reduce((a, p, k) => a + p * GENERIC_TRANSITIONS[k][j], 0));
+  const mean = pi.reduce((a, p, c) => a + p * GENERIC_DAY_FACTORS[c], 0);
+  const temp = tempProfiles ? tempProfiles[m + 1] : null;
+  return {
+    fitted: false, P: GENERIC_TRANSITIONS,
+    pools: GENERIC_DAY_FACTORS.map(f => [{ val: profiles[m + 1].map(v => v * f / mean), temp }])
+  };
+}
+
+export function fitWeatherModel({ profiles, tempProfiles, hours }) {
+  const days = [];
+  let cur = null;
+  for (const r of hours || []) {
+    const key = Date.UTC(r.year, r.month - 1, r.day);
+    if (!cur || cur.key !== key) days.push(cur = { key, m: r.month - 1, val: Array(24).fill(0), temp: Array(24).fill(null), n: 0 });
+    cur.val[r.hour] = r.val;
+    cur.temp[r.hour] = r.temp;
+    cur.n++;
+  }
+  const whole = days.filter(d => d.n === 24);
+  const brightest = Array(12).fill(0);
+  for (const d of whole) {
+    d.sum = d.val.reduce((a, v) => a + Math.max(0, v), 0);
+    brightest[d.m] = Math.max(brightest[d.m], d.sum);
+  }
+  const counts = MONTH_NAMES.map(() => [[0.5, 0.5, 0.5], [0.5, 0.5, 0.5], [0.5, 0.5, 0.5]]);
+  const pools = MONTH_NAMES.map(() => [[], [], []]);
+  const share = [0, 0, 0];
+  let prev = null;
+  for (const d of whole) {
+    d.cls = classifyDay(brightest[d.m] > 0 ? d.sum / brightest[d.m] : 1);
+    pools[d.m][d.cls].push({ val: d.val, temp: d.temp.some(t => t != null) ? d.temp : null });
+    share[d.cls]++;
+    if (prev && d.key - prev.key === 864e5) counts[d.m][prev.cls][d.cls]++;
+    prev = d;
+  }
+  const months = MONTH_NAMES.map((_, m) => pools[m].some(p => p.length) ? {
+    fitted: true, pools: pools[m],
+    P: counts[m].map(row => { const t = row[0] + row[1] + row[2]; return row.map(c => c / t); })
+  } : genericMonth(profiles, tempProfiles, m));
+  return {
+    source: whole.length ? "series" : "profiles", days: whole.length, months,
+    classShare: whole.length ? share.map(c => c / whole.length) : null
+  };
+}
+
+// One synthetic 365-day year of hourly records
+export function generateWeatherYear(model, rng, year = 2001) {
+  const hours = [];
+  let cls = 1; // the first transition draws January 1st
+  for (let m = 0; m < 12; m++) {
+    const { P, pools } = model.months[m];
+    for (let d = 1; d <= DAYS_IN_MONTH[m]; d++) {
+      const u = rng();
+      cls = u < P[cls][0] ? 0 : u < P[cls][0] + P[cls][1] ? 1 : 2;
+      // Nearest class with observed days if this month never saw the drawn one
+      const pool = [cls, cls - 1, cls + 1, cls - 2, cls + 2].map(c => pools[c]).find(p => p?.length);
+      const day = pool[Math.floor(rng() * pool.length)];
+      for (let h = 0; h < 24; h++) {
+        hours.push({ year, month: m + 1, day: d, hour: h, val: day.val[h], temp: day.temp ? day.temp[h] : null });
+      }
+    }
+  }
+  return hours;
+}
+
+// Simulates synthetic years [from, to); year i always uses the same seed, so
+// batches can be split across threads and still reproduce a single run.
+export function simulateWeatherYears({ params, model, seed, from, to }) {
+  const runs = [];
+  for (let i = from; i < to; i++) {
+    const rng = makeRng((seed ^ Math.imul(i + 1, 0x9E3779B1)) >>> 0);
+    const s = runSimulation({ ...params, hours: generateWeatherYear(model, rng) });
+    runs.push({
+      reliability: s.reliability, daysNotServed: s.daysNotServed, deficit: s.yearlyDeficit,
+      delivered: s.yearlyDemand - s.yearlyDeficit,
+      monthly: s.monthly.map(mo => ({ pumped: mo.totalPumped, deficit: mo.deficit }))
+    });
+  }
+  return runs;
+}
+
+// Reliability distribution and per-month P90 / P50 / P10 bands (m³)
+export function summariseMonteCarlo(runs) {
+  const rel = runs.map(r => r.reliability);
+  const min = Math.min(...rel);
+  const width = [1, 2, 5, 10].find(w => (100 - min) / w <= 12) ?? 10;
+  const start = Math.min(100 - width, Math.floor(min / width) * width);
+  const histogram = [];
+  for (let lo = start; lo < 100; lo += width) {
+    const last = lo + width >= 100;
+    histogram.push({ bin: `${lo}–${lo + width}%`, years: rel.filter(v => v >= lo && (last || v < lo + width)).length });
+  }
+  const band = (vals) => ({ lo: exceedance(vals, 90), mid: exceedance(vals, 50), hi: exceedance(vals, 10) });
+  return {
+    years: runs.length,
+    mean: rel.reduce((a, b) => a + b, 0) / runs.length,
+    p50: exceedance(rel, 50), p90: exceedance(rel, 90), worst: min,
+    fullyServedPct: runs.filter(r => r.daysNotServed === 0).length / runs.length * 100,
+    delivered: band(runs.map(r => r.delivered)),
+    histogram,
+    monthly: MONTH_NAMES.map((month, m) => ({
+      month, pumped: band(runs.map(r => r.monthly[m].pumped)), deficit: band(runs.map(r => r.monthly[m].deficit))
+    }))
+  };
+}
+
+// ─── SIZING OPTIMIZER ─────────────────────────────────────────────
+// Grid search over pump × array size; for each pair the smallest tank that
+// meets the target is found by bisection on the tank grid (a larger tank never
+// serves less). Feasible designs are then reduced to the Pareto set over
+// capital cost, tank volume and array size.
+
+// Indicative unit costs (USD). Pump and controller are priced per kW of rated
+// input power, i.e. the highest power in the pump map.
+export const DEFAULT_COSTS = { pumpPerKW: 2500, controllerPerKW: 600, pvPerKWp: 700, tankPerLiter: 0.3, pipePerM: 6 };
+
+export function estimateCapex({ pumpCurves, kWp, storageLiters, pipe }, costs) {
+  const ratedKW = pumpMaxPower(buildPumpMap(pumpCurves)) / 1000;
+  const items = {
+    pump: ratedKW * costs.pumpPerKW,
+    controller: ratedKW * costs.controllerPerKW,
+    pv: kWp * costs.pvPerKWp,
+    tank: storageLiters * costs.tankPerLiter,
+    pipe: (pipe?.lengthM || 0) * costs.pipePerM
+  };
+  return { ...items, total: Object.values(items).reduce((a, b) => a + b, 0) };
+}
+
+const meetsTarget = (sim, target) => target.kind === "days" ? sim.daysNotServed === 0 : sim.reliability >= target.reliability;
+
+// Array and tank sizes searched; throws rather than search an empty or endless grid
+export function sizingGrid({ kWpMin, kWpMax, kWpStep, tankMin, tankMax, tankStep }) {
+  if (!(kWpStep > 0) || !(tankStep > 0)) throw new Error("Array and tank steps must be above 0");
+  if (!(kWpMin <= kWpMax) || !(tankMin <= tankMax)) throw new Error("Search range minimum is above its maximum");
+  const kWps = [], tanks = [];
+  for (let kWp = kWpMin; kWp <= kWpMax + 1e-9; kWp += kWpStep) kWps.push(+kWp.toFixed(2));
+  for (let t = tankMin; t <= tankMax + 1e-9; t += tankStep) tanks.push(Math.round(t));
+  return { kWps, tanks };
+}
+
+// Smallest tank meeting the target for candidates [from, to) of the pump ×
+// array grid (pump-major order), so a long search can run in batches
+export function sizeDesigns(params, { target, pumps, ...ranges }, costs, from, to) {
+  const { kWps, tanks } = sizingGrid(ranges);
+  const designs = [];
+  let runs = 0;
+
+  for (let i = from; i < Math.min(to, pumps.length * kWps.length); i++) {
+    const pump = pumps[Math.floor(i / kWps.length)], size = kWps[i % kWps.length];
+    const evaluate = (storageLiters) => {
+      runs++;
+      return runSimulation({ ...params, pumpCurves: pump.curves, pv: { ...params.pv, kWp: size }, storageLiters });
+    };
+    let best = evaluate(tanks[tanks.length - 1]);
+    if (!meetsTarget(best, target)) continue;
+    let lo = 0, hi = tanks.length - 1;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      const s = evaluate(tanks[mid]);
+      if (meetsTarget(s, target)) { hi = mid; best = s; } else lo = mid + 1;
+    }
+    if (best.storageLiters !== tanks[hi]) best = evaluate(tanks[hi]);
+    const design = { pumpName: pump.name, pumpCurves: pump.curves, kWp: size, storageLiters: tanks[hi] };
+    designs.push({
+      ...design, reliability: best.reliability, daysNotServed: best.daysNotServed,
+      capex: estimateCapex({ ...design, pipe: params.pipe }, costs).total
+    });
+  }
+  return { designs, runs };
+}
+
+export const paretoDesigns = (designs) => designs.filter(d => !designs.some(o => o !== d &&
+  o.capex <= d.capex && o.storageLiters <= d.storageLiters && o.kWp <= d.kWp &&
+  (o.capex < d.capex || o.storageLiters < d.storageLiters || o.kWp < d.kWp)));
+
+export function optimizeSizing(params, opts, costs) {
+  const { designs, runs } = sizeDesigns(params, opts, costs, 0, Infinity);
+  return { designs: paretoDesigns(designs), feasible: designs.length, runs };
+}
+
+// ─── ECONOMICS ────────────────────────────────────────────────────
+// Life-cycle cost in constant dollars: CAPEX at year 0, then annual O&M plus
+// like-for-like replacement of each component at the end of its life (no
+// replacement in the final year, no salvage value). The levelized cost of
+// water is NPV(costs) / NPV(m³ delivered), with delivered = demand − deficit.
+// The diesel baseline delivers the same water against the same average TDH
+// with a genset-driven pump, reusing the pump, tank and pipework costs.
+
+export const DEFAULT_FINANCE = {
+  omPctOfCapex: 2, discountRatePct: 8, projectLifeYears: 20,
+  lifeYears: { pump: 10, controller: 7, pv: 25, tank: 20, pipe: 30 },
+  diesel: { gensetCost: 1500, fuelPrice: 1.4, fuelLPerKWh: 0.45, pumpEffPct: 45, omPerYear: 400, gensetLifeYears: 7 }
+};
+
+function lifeCycleCost(items, lifeYears, annualCost, finance) {
+  const r = finance.discountRatePct / 100;
+  const n = finance.projectLifeYears;
+  const capex = Object.values(items).reduce((a, b) => a + b, 0);
+  let npv = capex;
+  const cashflows = [{ year: 0, cost: capex, npv }];
+  for (let t = 1; t <= n; t++) {
+    let cost = annualCost;
+    for (const [k, v] of Object.entries(items)) {
+      const life = lifeYears[k];
+      if (life > 0 && t % life === 0 && t < n) cost += v;
+    }
+    npv += cost / Math.pow(1 + r, t);
+    cashflows.push({ year: t, cost, npv });
+  }
+  return { capex, npv, cashflows };
+}
+
+export function computeEconomics({ capexItems, deliveredM3, avgHeadM }, finance) {
+  const r = finance.discountRatePct / 100;
+  let waterPV = 0;
+  for (let t = 1; t <= finance.projectLifeYears; t++) waterPV += deliveredM3 / Math.pow(1 + r, t);
+
+  const { total, ...items } = capexItems;
+  const solar = lifeCycleCost(items, finance.lifeYears, total * finance.omPctOfCapex / 100, finance);
+
+  const d = finance.diesel;
+  const hydraulicKWh = GRAVITY * 1000 * avgHeadM * deliveredM3 / 3.6e6;
+  const fuelL = d.pumpEffPct > 0 ? hydraulicKWh / (d.pumpEffPct / 100) * d.fuelLPerKWh : 0;
+  const diesel = lifeCycleCost(
+    { pump: items.pump, tank: items.tank, pipe: items.pipe, genset: d.gensetCost },
+    { ...finance.lifeYears, genset: d.gensetLifeYears },
+    d.omPerYear + fuelL * d.fuelPrice, finance
+  );
+
+  return {
+    solar: { ...solar, lcow: waterPV > 0 ? solar.npv / waterPV : 0 },
+    diesel: { ...diesel, lcow: waterPV > 0 ? diesel.npv / waterPV : 0, fuelL },
+    waterPV, deliveredM3,
+    cumulative: solar.cashflows.map((c, t) => ({ year: t, solar: Math.round(c.npv), diesel: Math.round(diesel.cashflows[t].npv) }))
+  };
+}
+
+// ─── EXPORT ───────────────────────────────────────────────────────
+// Columns are { label, get(row) }; values are written in liters, W and m so
+// the files read without the m³ convention used internally.
+
+const L = (m3) => +(m3 * 1000).toFixed(1);
+
+export const HOURLY_CSV = [
+  { label: "utc", get: r => r.t != null ? new Date(r.t).toISOString().slice(0, 16) : "" },
+  { label: "year", get: r => r.year ?? "" }, { label: "month", get: r => r.month }, { label: "day", get: r => r.day }, { label: "hour", get: r => r.hour },
+  { label: "pv_power_W", get: r => Math.round(r.pv) }, { label: "pump_power_W", get: r => Math.round(r.power) },
+  { label: "flow_m3h", get: r => +r.flow.toFixed(4) }, { label: "tdh_m", get: r => +r.head.toFixed(2) },
+  { label: "demand_L", get: r => L(r.demand) }, { label: "storage_L", get: r => L(r.storage) },
+  { label: "overflow_L", get: r => L(r.overflow) }, { label: "deficit_L", get: r => L(r.deficit) },
+  { label: "pump_run_frac", get: r => +r.run.toFixed(3) }, { label: "curtailed_Wh", get: r => Math.round(r.curtailed) }
+];
+export const DAILY_CSV = [
+  { label: "day", get: r => r.day }, { label: "date", get: r => r.date },
+  { label: "demand_L", get: r => r.demand }, { label: "served_L", get: r => r.served }, { label: "deficit_L", get: r => r.demand - r.served },
+  { label: "pumped_L", get: r => r.pumped }
+];
+export const MONTHLY_CSV = [
+  { label: "month", get: r => r.month }, { label: "days", get: r => r.days },
+  { label: "pumped_L", get: r => L(r.totalPumped) }, { label: "demand_L", get: r => L(r.totalDemand) },
+  { label: "deficit_L", get: r => L(r.deficit) }, { label: "overflow_L", get: r => L(r.overflow) },
+  { label: "avg_daily_L", get: r => L(r.avgDailyPumped) },
+  { label: "pump_hours", get: r => +r.pumpHours.toFixed(2) }, { label: "starts", get: r => r.starts },
+  { label: "curtailed_kWh", get: r => +r.curtailedKWh.toFixed(2) },
+  { label: "reliability_pct", get: r => r.totalDemand > 0 ? +Math.max(0, (1 - r.deficit / r.totalDemand) * 100).toFixed(2) : 100 }
+];
+
+export function toCSV(rows, columns) {
+  const esc = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return [columns.map(c => esc(c.label)).join(","), ...rows.map(r => columns.map(c => esc(c.get(r))).join(","))].join("\n");
+}
+
+// ─── CURVE VIEWS ──────────────────────────────────────────────────
+// Flow vs power: one fitted line per datasheet head ("h<head>"), the raw
+// datasheet points ("r<head>", only at their own power) and the operating
+// curve at the current static lift including pipe friction and borehole
+// drawdown ("operating").
+export function buildPumpCurveViz(pumpCurves, headM, pipe, source, fit = "linear") {
+  const map = buildPumpMap(pumpCurves, fit);
+  const loss = buildSystemLoss(pipe, source);
+  const maxP = pumpMaxPower(map);
+  const raw = new Map();
+  for (const c of pumpCurves) {
+    for (const s of c.segments) if (s.power > 0 && s.power <= maxP) raw.set(s.power, { ...raw.get(s.power), [`r${c.head}`]: s.flow });
+  }
+  const powers = new Set([...raw.keys()]);
+  for (let p = 0; p <= maxP; p += Math.max(5, maxP / 200)) powers.add(Math.round(p));
+  const points = [...powers].sort((a, b) => a - b).map(p => {
+    const pt = { power: p, operating: +solveOperatingPoint(p, map, headM, loss).flow.toFixed(3), ...raw.get(p) };
+    for (const c of map) pt[`h${c.head}`] = p <= c.maxPower ? +c.flow(p).toFixed(3) : null;
+    return pt;
+  });
+  return { points, heads: map.map(c => c.head) };
+}
+
+// Head–flow plane: system curve (static lift + friction + drawdown) against
+// pump curves at fractions of full power. Pump head beyond twice the system
+// head is clipped.
+export const SYSTEM_CURVE_LOADS = [0.25, 0.5, 0.75, 1];
+
+export function buildSystemCurveViz(pumpCurves, headM, pipe, source, fit = "linear") {
+  const map = buildPumpMap(pumpCurves, fit);
+  const loss = buildSystemLoss(pipe, source);
+  const maxP = pumpMaxPower(map);
+  const qMax = getFlowFromPower(maxP, map, headM) * 1.25;
+  const hMax = 2 * (headM + loss(qMax));
+  const points = [];
+  for (let i = 1; i <= 60; i++) {
+    const flow = qMax * i / 60;
+    const pt = { flow: +flow.toFixed(3), system: +(headM + loss(flow)).toFixed(1) };
+    for (const load of SYSTEM_CURVE_LOADS) {
+      const h = getHeadFromFlow(maxP * load, map, flow, hMax * 1.5);
+      pt[`p${load * 100}`] = h > 0 && h <= hMax ? +h.toFixed(1) : null;
+    }
+    points.push(pt);
+  }
+  const operating = SYSTEM_CURVE_LOADS.map(load => ({ load, ...solveOperatingPoint(maxP * load, map, headM, loss) }));
+  return { points, operating, hMax };
+}
+
+// Duration curves: daily pumped volume and daily deficit (L), each sorted
+// from the highest day down, against the % of days that reach that value
+export function buildDurationCurves(dailyServed) {
+  const n = dailyServed.length;
+  const pumped = dailyServed.map(d => d.pumped).sort((a, b) => b - a);
+  const deficit = dailyServed.map(d => d.demand - d.served).sort((a, b) => b - a);
+  return pumped.map((v, i) => ({ pct: +((i + 1) / n * 100).toFixed(2), pumped: v, deficit: deficit[i] }));
+}
@@ -0,0 +1,302 @@
+// Unit tests for the simulation engine: energy and water balance invariants
+// plus the pieces they rest on. Run with `node --test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PROFILES, DEFAULT_DEMAND, DEFAULT_PIPE, DEFAULT_PV, DEFAULT_SOLAR_SOURCE, DEFAULT_CONTROLLER, DEFAULT_SOURCE, PUMP_PRESETS,
+  DEFAULT_COMMUNITY, communityDemand, communityBasisYear, DEFAULT_MOUNT, solarPosition, mountSupport, mountWeather, annualInsolation,
+  seasonalLevel, sourceWarnings, parsePVGIS_CSV, buildPiecewiseCoeffs, interpolateCurve, getFlowFromPower, solveOperatingPoint, pvPowerAtController, controllerOutput,
+  buildPumpMap, pumpMaxPower, validatePumpCurves, runSimulation, fitWeatherModel, generateWeatherYear, makeRng, simulateWeatherYears, utcMillis,
+  parseMeasuredCSV, simulateMeasuredPeriod, compareMeasured, fitDerating, parsePumpLibrary, exportPumpLibrary,
+  pumpLibraryRows, PUMP_LIBRARY_CSV, toCSV, uniquePumpName, buildDurationCurves, runLifetime, optimizeSizing
+} from "./solar_pump_engine.mjs";
+
+const BASE = {
+  headM: 150, storageLiters: 5000, dailyDemandLiters: 2000, demand: DEFAULT_DEMAND,
+  profiles: DEFAULT_PROFILES, tempProfiles: null, pumpCurves: PUMP_PRESETS["SQF-2 (1kW)"].curves,
+  pipe: DEFAULT_PIPE, pv: DEFAULT_PV, solarSource: DEFAULT_SOLAR_SOURCE, controller: DEFAULT_CONTROLLER
+};
+
+const BOREHOLE = { ...DEFAULT_SOURCE, type: "borehole", safeYieldM3h: 0.5, drawdownPerM3h: 8, pumpDepthM: 35 };
+
+// A variable year, so tanks fill, overflow and run dry
+const SYNTHETIC = generateWeatherYear(fitWeatherModel({ profiles: DEFAULT_PROFILES, tempProfiles: null, hours: null }), makeRng(7));
+
+const VARIANTS = {
+  "typical year": {},
+  "synthetic year": { hours: SYNTHETIC },
+  "no float switch": { hours: SYNTHETIC, controller: { ...DEFAULT_CONTROLLER, floatSwitch: false } },
+  "half-full start with warm-up": { hours: SYNTHETIC, initialFillPct: 50, warmUp: true },
+  "small array, morning demand": {
+    hours: SYNTHETIC, pv: { ...DEFAULT_PV, kWp: 0.5 }, storageLiters: 1500,
+    demand: { ...DEFAULT_DEMAND, hourly: Array.from({ length: 24 }, (_, h) => h >= 5 && h < 9 ? 1 : 0) }
+  },
+  "low-yield borehole": { hours: SYNTHETIC, source: BOREHOLE }
+};
+
+const close = (a, b, tol = 1e-6) => assert.ok(Math.abs(a - b) <= tol, `${a} ≠ ${b}`);
+
+for (const [name, overrides] of Object.entries(VARIANTS)) {
+  test(`water balance closes: ${name}`, () => {
+    const s = runSimulation({ ...BASE, ...overrides, trace: true });
+    const delivered = s.yearlyDemand - s.yearlyDeficit;
+    close(s.startStorage + s.yearlyPumped - delivered - s.yearlyOverflow, s.endStorage);
+    // Hour by hour, and the tank never leaves [0, capacity]
+    let level = s.startStorage;
+    for (const r of s.trace) {
+      level += r.flow - (r.demand - r.deficit) - r.overflow;
+      close(level, r.storage);
+      assert.ok(r.storage >= 0 && r.storage <= s.storageLiters / 1000 + 1e-9);
+    }
+    // Daily served totals match the yearly delivery (liters, rounded per day)
+    const served = s.dailyServed.reduce((a, d) => a + d.served, 0) / 1000;
+    close(served, delivered, s.days * 1e-3);
+  });
+
+  test(`energy balance closes: ${name}`, () => {
+    const s = runSimulation({ ...BASE, ...overrides, trace: true });
+    const used = s.trace.reduce((a, r) => a + r.power, 0) / 1000;
+    const available = s.trace.reduce((a, r) => a + r.power + r.curtailed, 0) / 1000;
+    close(used, s.pumpKWh);
+    close(available, s.pumpKWh + s.curtailedKWh);
+    // The pump only draws power while it runs, and never more than is available
+    for (const r of s.trace) {
+      assert.ok(r.power >= 0 && r.curtailed >= -1e-9);
+      if (r.run === 0) assert.equal(r.power, 0);
+      if (r.flow > 0) assert.ok(r.power > 0);
+    }
+  });
+}
+
+test("monthly results sum to the yearly totals", () => {
+  const s = runSimulation({ ...BASE, hours: SYNTHETIC });
+  const sum = (k) => s.monthly.reduce((a, m) => a + m[k], 0);
+  close(sum("totalPumped"), s.yearlyPumped);
+  close(sum("totalDemand"), s.yearlyDemand);
+  close(sum("deficit"), s.yearlyDeficit);
+  close(sum("overflow"), s.yearlyOverflow);
+  assert.equal(sum("days"), 365);
+  assert.equal(sum("starts"), s.starts);
+});
+
+test("reliability metrics agree with the daily results", () => {
+  const s = runSimulation({ ...BASE, dailyDemandLiters: 6000, hours: SYNTHETIC });
+  assert.ok(s.daysNotServed > 0 && s.longestDeficitRun.days <= s.daysNotServed);
+  assert.ok(s.lolp > 0 && s.lolp <= 100 && s.lolpByHour.some(v => v > 0));
+  close(s.autonomyDays, 5000 / 6000, 1e-9);
+  assert.ok(s.p90DailyPumped <= s.p50DailyPumped);
+  const curves = buildDurationCurves(s.dailyServed);
+  assert.equal(curves.length, s.days);
+  assert.equal(curves.filter(p => p.deficit > 0).length, s.daysNotServed);
+  close(curves.reduce((a, p) => a + p.pumped, 0) / 1000, s.yearlyPumped, 0.5);
+
+  const dark = runSimulation({ ...BASE, pv: { ...DEFAULT_PV, kWp: 0 }, hours: SYNTHETIC });
+  assert.deepEqual([dark.lolp, dark.longestDeficitRun.days], [100, dark.days]);
+});
+
+test("a borehole holds flow to its yield and intake, and adds drawdown to the head", () => {
+  const open = runSimulation({ ...BASE, hours: SYNTHETIC, trace: true });
+  const s = runSimulation({ ...BASE, hours: SYNTHETIC, source: BOREHOLE, trace: true });
+  for (const r of s.trace) {
+    if (r.run === 0) continue;
+    const level = seasonalLevel(BOREHOLE, r.month - 1);
+    assert.ok(r.flow / r.run <= BOREHOLE.safeYieldM3h + 1e-9);
+    assert.ok(level + BOREHOLE.drawdownPerM3h * r.flow / r.run <= BOREHOLE.pumpDepthM + 1e-6);
+  }
+  assert.ok(s.avgHead > open.avgHead);
+  assert.ok(s.source.yieldHours > 0 && s.source.intakeHours > 0 && s.source.heldBackM3 > 0);
+  assert.equal(sourceWarnings(s, BOREHOLE).length, 2);
+  assert.equal(open.source, null);
+  assert.deepEqual(sourceWarnings(open, DEFAULT_SOURCE), []);
+});
+
+test("community demand grows each group from the survey year to the design year", () => {
+  const community = {
+    ...DEFAULT_COMMUNITY, growthPct: 3, baseYear: 2025, designYear: 2040,
+    groups: { people: { count: 200, litersEach: 20 }, livestock: { count: 40, litersEach: 25 } }
+  };
+  const today = communityDemand(community, 2025);
+  assert.equal(today.total, 200 * 20 + 40 * 25);
+  assert.equal(today.rows.find(r => r.id === "pupils").liters, 0);
+  const design = communityDemand(community, communityBasisYear(community));
+  assert.equal(design.year, 2040);
+  assert.equal(design.rows[0].count, Math.round(200 * 1.03 ** 15));
+  assert.equal(design.total, design.rows.reduce((a, r) => a + r.count * r.litersEach, 0));
+  assert.equal(communityDemand(community, 2020).total, today.total);
+});
+
+test("controller output stays within the DC input and the pump rating", () => {
+  const map = buildPumpMap(BASE.pumpCurves);
+  const rated = pumpMaxPower(map);
+  for (let g = 0; g <= 1200; g += 25) {
+    const dc = pvPowerAtController(g, 30, { ...DEFAULT_PV, kWp: 2 }, DEFAULT_SOLAR_SOURCE);
+    const out = controllerOutput(dc, rated, DEFAULT_CONTROLLER);
+    assert.ok(out >= 0 && out <= dc && out <= rated);
+    if (dc < DEFAULT_CONTROLLER.minStartW) assert.equal(out, 0);
+  }
+});
+
+test("piecewise pump curve passes through the datasheet points", () => {
+  const segments = PUMP_PRESETS["SQF-2 (1kW)"].curves[0].segments;
+  const coeffs = buildPiecewiseCoeffs(segments);
+  for (const p of segments) close(interpolateCurve(p.power, coeffs), p.flow, 1e-9);
+  assert.equal(interpolateCurve(0, coeffs), 0);
+});
+
+test("transposed irradiance keeps GHI on a flat plane and gains from tilt and tracking", () => {
+  const meta = { lat: 40, lon: 0, surface: "horizontal", slope: null, azimuth: null };
+  const hours = [];
+  for (let m = 1; m <= 12; m++) for (let day = 1; day <= 28; day += 3) for (let hour = 0; hour < 24; hour++) {
+    const t = utcMillis({ year: 2021, month: m, day, hour }, 0);
+    const up = solarPosition(t + 1.8e6, meta.lat, meta.lon).up;
+    hours.push({ year: 2021, month: m, day, hour, t, temp: null, val: up > 0 ? 1000 * up ** 1.2 : 0 });
+  }
+  const weather = { profiles: null, hours, meta, sourceOffset: 0, kind: "G" };
+  const yearly = (mount) => annualInsolation(mountWeather(weather, { ...DEFAULT_MOUNT, ...mount }).profiles);
+
+  const flat = mountWeather(weather, { ...DEFAULT_MOUNT, mode: "fixed", tilt: 0 }).hours;
+  flat.forEach((r, i) => close(r.val, hours[i].val, 0.1));
+  const horizontal = yearly({ mode: "fixed", tilt: 0 });
+  assert.ok(yearly({ mode: "fixed", tilt: 35 }) > horizontal * 1.1);
+  assert.ok(yearly({ mode: "fixed", tilt: 35, azimuth: 180 }) < horizontal);
+  assert.ok(yearly({ mode: "tracker" }) > horizontal * 1.15);
+  assert.ok(yearly({ mode: "fixed", tilt: 0, horizon: Array(8).fill(89) }) < horizontal * 0.5);
+
+  assert.equal(mountWeather(weather, DEFAULT_MOUNT), weather);
+  assert.match(mountSupport({ ...weather, kind: "P" }).reason, /PV power/);
+});
+
+test("bad datasheet rows are flagged and ignored, and the smooth fits follow the points", () => {
+  const bad = [{ head: 40, segments: [
+    { flow: 0.5, power: 200 }, { flow: 1.5, power: 0 }, { flow: 2.0, power: 600 }, { flow: 2.4, power: 600 }, { flow: -1, power: 900 }, { flow: 3.0, power: 1000 }
+  ] }];
+  const issues = validatePumpCurves(bad);
+  assert.deepEqual(issues.filter(i => i.level === "error").map(i => i.row), [1, 4, 3]);
+  for (const fit of ["linear", "spline", "poly"]) {
+    const [c] = buildPumpMap(bad, fit);
+    assert.deepEqual([c.minPower, c.maxPower], [200, 1000]);
+    for (let p = 0; p <= 1200; p += 50) assert.ok(Number.isFinite(c.flow(p)), `${fit} at ${p} W`);
+  }
+  const segments = PUMP_PRESETS["SQF-2 (1kW)"].curves[0].segments;
+  const [spline] = buildPumpMap([{ head: 40, segments }], "spline");
+  const [poly] = buildPumpMap([{ head: 40, segments }], "poly");
+  for (const p of segments) {
+    close(spline.flow(p.power), p.flow, 1e-9);
+    close(poly.flow(p.power), p.flow, 0.1 * p.flow + 0.05);
+  }
+  assert.deepEqual(validatePumpCurves(PUMP_PRESETS["SQF-2 (1kW)"].curves).filter(i => i.level !== "info"), []);
+});
+
+test("pump library datasheets round-trip through CSV and JSON", () => {
+  const csv = [
+    "name,manufacturer,refHead,head,flow_m3h,power_w",
+    '"PS2-150, C-SJ5-8",Lorentz,40,40,5.2,1200', '"PS2-150, C-SJ5-8",Lorentz,40,40,1.0,300',
+    '"PS2-150, C-SJ5-8",Lorentz,40,60,3.5,1200', '"PS2-150, C-SJ5-8",Lorentz,40,60,1.2,600',
+    "Local,,30,,2,400", "Local,,30,,0.5,150"
+  ].join("\n");
+  const lib = parsePumpLibrary(csv, "sheet.csv");
+  assert.deepEqual(lib.map(e => [e.name, e.manufacturer, e.refHead, e.curves.map(c => c.head)]),
+    [["PS2-150, C-SJ5-8", "Lorentz", 40, [40, 60]], ["Local", "", 30, [30]]]);
+  const strip = (list) => list.map(({ id, ...e }) => e);
+  assert.deepEqual(strip(parsePumpLibrary(toCSV(pumpLibraryRows(lib), PUMP_LIBRARY_CSV))), strip(lib));
+  assert.deepEqual(strip(parsePumpLibrary(exportPumpLibrary(lib))), strip(lib));
+  assert.throws(() => parsePumpLibrary('{"name": "Bad", "refHead": 20, "segments": [{"flow": 1, "power": 0}]}'), /at least two points/);
+  assert.equal(uniquePumpName("Local", ["Local", "Local (2)"]), "Local (3)");
+});
+
+test("PVGIS CSV rows are parsed with their header metadata", () => {
+  const rows = [];
+  for (let d = 1; d <= 5; d++) {
+    for (let h = 0; h < 24; h++) rows.push(`202301${String(d).padStart(2, "0")}:${String(h).padStart(2, "0")}10,${h >= 6 && h < 18 ? 100 * d : 0},0,${10 + h},1.0,0.0`);
+  }
+  const csv = [
+    "Latitude (decimal degrees):\t1.406", "Longitude (decimal degrees):\t34.480", "Elevation (m):\t1886",
+    "Radiation database:\tPVGIS-SARAH3", "",
+    "time,G(i),H_sun,T2m,WS10m,Int", ...rows
+  ].join("\n");
+  const r = parsePVGIS_CSV(csv);
+  assert.equal(r.kind, "G");
+  assert.equal(r.hours.length, 120);
+  assert.deepEqual([r.meta.lat, r.meta.lon, r.meta.elev], [1.406, 34.48, 1886]);
+  const h = r.hours.find(x => x.day === 3 && x.hour === 7);
+  assert.deepEqual([h.val, h.temp, h.t], [300, 17, Date.UTC(2023, 0, 3, 7)]);
+  assert.equal(r.profiles[1][7], 300);
+  assert.equal(r.profiles[1][2], 0);
+});
+
+test("field data logged from a derated system is matched and the derating recovered", () => {
+  const hours = SYNTHETIC.map(r => ({ ...r, t: utcMillis(r, 0) }));
+  const april = hours.filter(r => r.month === 4);
+  // A small array, so the float switch rarely hides what the PV could give
+  const small = { ...BASE, pv: { ...DEFAULT_PV, kWp: 0.5 } };
+  const truth = runSimulation({ ...small, pv: { ...small.pv, derate: 0.8 }, hours: april, initialFillPct: 50, trace: true });
+  const pad = (v) => String(v).padStart(2, "0");
+  const rows = ["Timestamp;Meter total (L);Tank level %"];
+  let total = 0;
+  for (const r of truth.trace) {
+    total += r.flow * 1000;
+    if (r.hour % 4 === 3) rows.push(`${pad(r.day)}/04/2001 ${pad(r.hour)}:59;${total.toFixed(0)};${(r.storage / 5 * 100).toFixed(2)}`);
+  }
+  const measured = parseMeasuredCSV(rows.join("\n"));
+  assert.equal(measured.levelUnit, "pct");
+  assert.equal(measured.rowCount, 180);
+
+  const params = { ...small, pv: { ...small.pv, derate: 0.8 } };
+  const c = compareMeasured(simulateMeasuredPeriod(params, hours, measured, 0), measured, 0);
+  assert.equal(c.volume.points.length, 30);
+  assert.ok(c.volume.stats.cvRmsePct < 2 && c.level.stats.rmse < 0.05);
+
+  const fit = fitDerating({ params: small, hours, measured, utcOffset: 0, fit: "pv" });
+  close(fit.pvDerate, 0.8, 0.02);
+  assert.ok(fit.after.volume.stats.rmse < fit.before.volume.stats.rmse);
+  assert.throws(() => simulateMeasuredPeriod(BASE, hours.filter(r => r.month === 1), measured, 0), /does not cover/);
+});
+
+test("Monte Carlo years are reproducible from the seed and batch-independent", () => {
+  const model = fitWeatherModel({ profiles: DEFAULT_PROFILES, tempProfiles: null, hours: SYNTHETIC });
+  const job = { params: BASE, model, seed: 3 };
+  const whole = simulateWeatherYears({ ...job, from: 0, to: 4 });
+  const split = [...simulateWeatherYears({ ...job, from: 0, to: 2 }), ...simulateWeatherYears({ ...job, from: 2, to: 4 })];
+  assert.deepEqual(split, whole);
+  assert.notDeepEqual(simulateWeatherYears({ ...job, seed: 4, from: 0, to: 1 }), whole.slice(0, 1));
+});
+
+test("lifetime run degrades the array and pump until a replacement restores them", () => {
+  const stretched = { ...BASE, pv: { ...DEFAULT_PV, kWp: 0.6 }, dailyDemandLiters: 5500 };
+  const plan = { years: 6, lifeYears: { pv: 25, pump: 4 }, weatherYears: [SYNTHETIC] };
+  const life = runLifetime(stretched, plan, { pvDegradationPct: 2, pumpWearPct: 8, targetPct: 97 });
+  const rows = life.rows;
+  assert.deepEqual(rows.map(r => r.replaced), [[], [], [], [], ["pump"], []]);
+  close(rows[3].pumpFactor, 0.76);
+  close(rows[4].pumpFactor, 1);
+  close(rows[5].pvFactor, 0.9);
+  assert.ok(rows[1].delivered < rows[0].delivered && rows[3].delivered < rows[2].delivered);
+  assert.ok(rows[4].delivered > rows[3].delivered);
+  assert.equal(life.firstBelowYear, rows.find(r => r.reliability < 97).year);
+  assert.equal(life.worst.year, 4);
+
+  // No ageing: after the first year the tank carries over and every year repeats
+  const flat = runLifetime(stretched, plan, { pvDegradationPct: 0, pumpWearPct: 0, targetPct: 97 });
+  for (const r of flat.rows.slice(2)) close(r.delivered, flat.rows[1].delivered, 1e-6);
+  assert.equal(flat.firstBelowYear, null);
+});
+
+test("sizing search rejects empty or endless ranges", () => {
+  const opts = { target: { kind: "reliability", reliability: 95 }, pumps: [{ name: "SQF-2", curves: BASE.pumpCurves }],
+    kWpMin: 0.4, kWpMax: 2, kWpStep: 0.2, tankMin: 500, tankMax: 5000, tankStep: 500 };
+  assert.throws(() => optimizeSizing(BASE, { ...opts, tankMin: 5000, tankMax: 1000 }, {}), /minimum is above its maximum/);
+  assert.throws(() => optimizeSizing(BASE, { ...opts, kWpMin: 3 }, {}), /minimum is above its maximum/);
+  assert.throws(() => optimizeSizing(BASE, { ...opts, kWpStep: 0 }, {}), /steps must be above 0/);
+  assert.throws(() => optimizeSizing(BASE, { ...opts, tankStep: -500 }, {}), /steps must be above 0/);
+});
+
+test("zero static head gives no flow instead of failing", () => {
+  const map = buildPumpMap(BASE.pumpCurves);
+  assert.equal(getFlowFromPower(800, map, 0), 0);
+  assert.equal(getFlowFromPower(800, map, -5), 0);
+  assert.deepEqual(solveOperatingPoint(800, map, 0, q => 2 * q * q), { flow: 0, head: 0 });
+  const s = runSimulation({ ...BASE, headM: 0 });
+  assert.equal(s.yearlyPumped, 0);
+  close(s.yearlyDeficit, s.yearlyDemand, 1e-9);
+});
@@ -0,0 +1,17 @@
+// Batch worker: runs Monte Carlo years or sizing-search candidates off the UI
+// thread and posts each batch back as it completes.
+import { simulateWeatherYears, sizeDesigns } from "./solar_pump_engine.mjs";
+
+const JOBS = {
+  montecarlo: (job, from, to) => simulateWeatherYears({ ...job, from, to }),
+  sizing: (job, from, to) => sizeDesigns(job.params, job.opts, job.costs, from, to)
+};
+
+onmessage = (e) => {
+  const { kind, batch, total, ...job } = e.data;
+  for (let from = 0; from < total; from += batch) {
+    const to = Math.min(total, from + batch);
+    postMessage({ results: JOBS[kind](job, from, to), to });
+  }
+  postMessage({ done: true });
+};